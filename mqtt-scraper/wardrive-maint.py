@@ -18,13 +18,28 @@ def get_service_host():
     # Default fallback
     return "http://localhost:3000"
 
+# Admin API key from environment variable or config.json
+def get_api_key():
+  env_key = os.getenv("SERVICE_API_KEY")
+  if env_key:
+    return env_key
+
+  try:
+    with open("config.json", "r") as f:
+      config = json.load(f)
+      return config.get("service_api_key")
+  except (FileNotFoundError, json.JSONDecodeError):
+    return None
+
 HOST = get_service_host()
+API_KEY = get_api_key()
+HEADERS = {"Authorization": f"Bearer {API_KEY}"} if API_KEY else {}
 
 def consolidate():
   try:
     # Use default maxAge (14 days) or override via environment variable
     max_age = os.getenv("CONSOLIDATE_MAX_AGE_DAYS", "14")
-    resp = requests.post(HOST + f"/consolidate?maxAge={max_age}", timeout=30)
+    resp = requests.post(HOST + f"/consolidate?maxAge={max_age}", headers=HEADERS, timeout=30)
     resp.raise_for_status()
     data = resp.json()
     print(f"Consolidate returned {data}, response: {resp.status_code}")
@@ -34,7 +49,12 @@ def consolidate():
 
 def clean_up():
   try:
-    resp = requests.post(HOST + "/clean-up?op=repeaters", timeout=30)
+    # The first request previews the clean-up, the second confirms it
+    resp = requests.post(HOST + "/clean-up?op=repeaters", headers=HEADERS, timeout=30)
+    resp.raise_for_status()
+    preview = resp.json()
+    print(f"Clean-up preview {preview['repeaters']}")
+    resp = requests.post(HOST + "/clean-up?op=repeaters", params={"confirm": preview["confirm"]}, headers=HEADERS, timeout=30)
     resp.raise_for_status()
     data = resp.json()
     print(f"Clean-up returned {data}, response: {resp.status_code}")
@@ -25,6 +25,7 @@ CHANNEL_HASH = CONFIG["channel_hash"]
 CHANNEL_SECRET = bytes.fromhex(CONFIG["channel_secret"])
 
 SERVICE_HOST = CONFIG["service_host"]
+SERVICE_API_KEY = CONFIG.get("service_api_key")
 ADD_REPEATER_URL = "/put-repeater"
 ADD_SAMPLE_URL = "/put-sample"
 
@@ -59,7 +60,8 @@ def is_valid_location(lat: float, lon: float):
 # Sends data to the specified url with error logging.
 def post_to_service(url, data):
   try:
-    resp = requests.post(url, json=data, timeout=5)
+    headers = {"Authorization": f"Bearer {SERVICE_API_KEY}"} if SERVICE_API_KEY else {}
+    resp = requests.post(url, json=data, headers=headers, timeout=5)
     resp.raise_for_status()
     print(f"Sent {data} response: {resp.status_code}")
   except requests.RequestException as e:
@@ -72,16 +74,18 @@ def upload_sample(lat: float, lon: float, path: list[str]):
     "lat": lat,
     "lon": lon,
     "path": path,
-    "observed": True
+    "observed": True,
+    "source": "mqtt"
   }
   url = SERVICE_HOST + ADD_SAMPLE_URL
   post_to_service(url, payload)
 
 
 # Uploads a repeater update to the service.
-def upload_repeater(id: str, name: str, lat: float, lon: float):
+def upload_repeater(id: str, name: str, lat: float, lon: float, public_key: str = None):
   payload = {
     "id": id,
+    "publicKey": public_key,
     "name": name,
     "lat": lat,
     "lon": lon,
@@ -161,7 +165,7 @@ def handle_advert(packet):
     name = to_utf8(payload.read())
 
   if is_valid_location(lat, lon):
-    upload_repeater(id, name, lat, lon)
+    upload_repeater(id, name, lat, lon, pubkey)
 
 
 # Handle a GROUP_MSG packet.
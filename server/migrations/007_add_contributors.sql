@@ -0,0 +1,15 @@
+-- Contributor attribution for samples
+-- A contributor is the companion's public key (hex) or the name of the API key that uploaded the sample
+
+ALTER TABLE samples
+  ADD COLUMN IF NOT EXISTS contributor VARCHAR(64);
+
+ALTER TABLE archive
+  ADD COLUMN IF NOT EXISTS contributor VARCHAR(64);
+
+-- Consolidated samples can merge several contributors
+ALTER TABLE coverage_samples
+  ADD COLUMN IF NOT EXISTS sample_contributors TEXT[] DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_samples_contributor ON samples (contributor);
+CREATE INDEX IF NOT EXISTS idx_archive_contributor ON archive (contributor);
@@ -0,0 +1,17 @@
+-- Signed samples
+-- signed: the sample came with a companion signature
+-- verified: the signature checked out against the sample's contributor public key
+-- Merged samples are only signed/verified if every merged sample was
+
+ALTER TABLE samples
+  ADD COLUMN IF NOT EXISTS signed BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS verified BOOLEAN DEFAULT false;
+
+ALTER TABLE archive
+  ADD COLUMN IF NOT EXISTS signed BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS verified BOOLEAN DEFAULT false;
+
+ALTER TABLE coverage_samples
+  ADD COLUMN IF NOT EXISTS sample_verified BOOLEAN DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_samples_verified ON samples (verified);
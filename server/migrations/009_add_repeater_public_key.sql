@@ -0,0 +1,16 @@
+-- Full public key identity for repeaters
+-- id stays as the 1 byte path hash (first 2 hex digits of the key) so samples can still refer to it.
+-- Repeaters added by id only (no known key) keep a NULL public_key.
+
+ALTER TABLE repeaters
+  ADD COLUMN IF NOT EXISTS public_key VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_repeaters_public_key ON repeaters (public_key);
+
+DO $$
+BEGIN
+  ALTER TABLE repeaters
+    ADD CONSTRAINT repeaters_id_from_public_key CHECK (public_key IS NULL OR id = LEFT(public_key, 2));
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
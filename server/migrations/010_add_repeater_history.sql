@@ -0,0 +1,27 @@
+-- Repeater history and soft retirement
+-- Stale repeaters are retired (hidden by default) instead of deleted.
+-- repeater_history records every advert-driven change so moves, renames and
+-- outages can be looked up later.
+
+ALTER TABLE repeaters
+  ADD COLUMN IF NOT EXISTS retired_at BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_repeaters_retired_at ON repeaters (retired_at);
+
+CREATE TABLE IF NOT EXISTS repeater_history (
+    id SERIAL PRIMARY KEY,
+    repeater_id VARCHAR(2) NOT NULL,
+    public_key VARCHAR(64),
+    event VARCHAR(16) NOT NULL CHECK (event IN ('added', 'moved', 'renamed', 'retired', 'revived')),
+    name VARCHAR(255),
+    lat DECIMAL(11,8),
+    lon DECIMAL(11,8),
+    prev_name VARCHAR(255),
+    prev_lat DECIMAL(11,8),
+    prev_lon DECIMAL(11,8),
+    time BIGINT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_repeater_history_id ON repeater_history (repeater_id, time);
+CREATE INDEX IF NOT EXISTS idx_repeater_history_public_key ON repeater_history (public_key, time);
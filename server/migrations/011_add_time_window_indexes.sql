@@ -0,0 +1,6 @@
+-- Indexes for time-windowed coverage queries
+-- Windowed coverage is rebuilt from archived samples and consolidated coverage samples,
+-- grouped by coverage tile and filtered by time.
+
+CREATE INDEX IF NOT EXISTS idx_archive_geohash_prefix_time ON archive (LEFT(geohash, 6), time);
+CREATE INDEX IF NOT EXISTS idx_coverage_samples_time ON coverage_samples (sample_time);
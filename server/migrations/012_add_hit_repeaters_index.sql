@@ -0,0 +1,2 @@
+-- Index for looking up the coverage tiles that heard a repeater
+CREATE INDEX IF NOT EXISTS idx_coverage_hit_repeaters ON coverage USING GIN (hit_repeaters);
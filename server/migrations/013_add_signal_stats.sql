@@ -0,0 +1,90 @@
+-- SNR/RSSI statistics
+-- snr and rssi only keep the best value seen, so one lucky packet makes a marginal
+-- tile look great. The *_stats columns keep { n, sum, min, max, hist } so averages,
+-- medians and percentiles can be worked out. hist counts values per bin, split at
+-- the edges in src/utils/signalStats.js.
+
+ALTER TABLE samples
+  ADD COLUMN IF NOT EXISTS snr_stats JSONB,
+  ADD COLUMN IF NOT EXISTS rssi_stats JSONB;
+
+ALTER TABLE archive
+  ADD COLUMN IF NOT EXISTS snr_stats JSONB,
+  ADD COLUMN IF NOT EXISTS rssi_stats JSONB;
+
+ALTER TABLE coverage_samples
+  ADD COLUMN IF NOT EXISTS sample_snr_stats JSONB,
+  ADD COLUMN IF NOT EXISTS sample_rssi_stats JSONB;
+
+ALTER TABLE coverage
+  ADD COLUMN IF NOT EXISTS snr_stats JSONB,
+  ADD COLUMN IF NOT EXISTS rssi_stats JSONB;
+
+-- Stats for a single value (null for no value).
+CREATE OR REPLACE FUNCTION signal_stats_of(value NUMERIC, edges NUMERIC[])
+RETURNS JSONB AS $$
+  SELECT CASE WHEN value IS NULL THEN NULL ELSE jsonb_build_object(
+    'n', 1,
+    'sum', value,
+    'min', value,
+    'max', value,
+    'hist', (
+      SELECT jsonb_agg(CASE WHEN i = (SELECT COUNT(*) FROM unnest(edges) e WHERE value >= e) THEN 1 ELSE 0 END ORDER BY i)
+      FROM generate_series(0, cardinality(edges)) i
+    )
+  ) END
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Merges two stats, either of which may be null.
+CREATE OR REPLACE FUNCTION merge_signal_stats(a JSONB, b JSONB)
+RETURNS JSONB AS $$
+  SELECT CASE
+    WHEN a IS NULL THEN b
+    WHEN b IS NULL THEN a
+    ELSE jsonb_build_object(
+      'n', (a->>'n')::INTEGER + (b->>'n')::INTEGER,
+      'sum', (a->>'sum')::NUMERIC + (b->>'sum')::NUMERIC,
+      'min', LEAST((a->>'min')::NUMERIC, (b->>'min')::NUMERIC),
+      'max', GREATEST((a->>'max')::NUMERIC, (b->>'max')::NUMERIC),
+      'hist', (
+        SELECT jsonb_agg(COALESCE((a->'hist'->>i)::INTEGER, 0) + COALESCE((b->'hist'->>i)::INTEGER, 0) ORDER BY i)
+        FROM generate_series(0, GREATEST(jsonb_array_length(a->'hist'), jsonb_array_length(b->'hist')) - 1) i
+      )
+    )
+  END
+$$ LANGUAGE SQL IMMUTABLE;
+
+DROP AGGREGATE IF EXISTS signal_stats_agg(JSONB);
+CREATE AGGREGATE signal_stats_agg(JSONB) (
+  SFUNC = merge_signal_stats,
+  STYPE = JSONB
+);
+
+-- Backfill from the best values we have. Older data only knows its max, so its
+-- stats start from that one value.
+UPDATE samples SET
+  snr_stats = signal_stats_of(snr, ARRAY[-20, -15, -10, -5, 0, 5, 10, 15]),
+  rssi_stats = signal_stats_of(rssi, ARRAY[-130, -120, -110, -100, -90, -80, -70, -60])
+WHERE snr_stats IS NULL AND rssi_stats IS NULL;
+
+UPDATE archive SET
+  snr_stats = signal_stats_of(snr, ARRAY[-20, -15, -10, -5, 0, 5, 10, 15]),
+  rssi_stats = signal_stats_of(rssi, ARRAY[-130, -120, -110, -100, -90, -80, -70, -60])
+WHERE snr_stats IS NULL AND rssi_stats IS NULL;
+
+UPDATE coverage_samples SET
+  sample_snr_stats = signal_stats_of(sample_snr, ARRAY[-20, -15, -10, -5, 0, 5, 10, 15]),
+  sample_rssi_stats = signal_stats_of(sample_rssi, ARRAY[-130, -120, -110, -100, -90, -80, -70, -60])
+WHERE sample_snr_stats IS NULL AND sample_rssi_stats IS NULL;
+
+UPDATE coverage c SET
+  snr_stats = s.snr_stats,
+  rssi_stats = s.rssi_stats
+FROM (
+  SELECT coverage_geohash,
+    signal_stats_agg(sample_snr_stats) AS snr_stats,
+    signal_stats_agg(sample_rssi_stats) AS rssi_stats
+  FROM coverage_samples
+  GROUP BY coverage_geohash
+) s
+WHERE s.coverage_geohash = c.geohash AND c.snr_stats IS NULL AND c.rssi_stats IS NULL;
@@ -0,0 +1,89 @@
+-- Coverage pyramid
+-- coverage keeps the 6 character tiles. coverage_levels keeps the same totals at the
+-- other precisions: 5 characters for regional overviews and 7 for dense areas. The
+-- precision is the length of the geohash. verified is true when every sample counted
+-- was verified, like a trusted coverage tile.
+
+CREATE TABLE IF NOT EXISTS coverage_levels (
+    geohash VARCHAR(7) PRIMARY KEY,
+    observed INTEGER DEFAULT 0,
+    heard INTEGER DEFAULT 0,
+    lost INTEGER DEFAULT 0,
+    snr DECIMAL(10,2),
+    rssi DECIMAL(10,2),
+    last_observed BIGINT,
+    last_heard BIGINT,
+    hit_repeaters TEXT[] DEFAULT '{}',
+    snr_stats JSONB,
+    rssi_stats JSONB,
+    verified BOOLEAN DEFAULT true,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_coverage_levels_precision ON coverage_levels (LENGTH(geohash), geohash);
+
+DROP TRIGGER IF EXISTS update_coverage_levels_updated_at ON coverage_levels;
+CREATE TRIGGER update_coverage_levels_updated_at BEFORE UPDATE ON coverage_levels
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Rebuilds coverage_levels from scratch and returns the number of rows.
+-- 5 character tiles add up the coverage table. 7 character tiles come from the
+-- archive, since only archived samples know where in a 6 character tile they were.
+CREATE OR REPLACE FUNCTION rebuild_coverage_levels()
+RETURNS INTEGER AS $$
+  DELETE FROM coverage_levels;
+
+  WITH tiles AS (
+    SELECT c.*, LEFT(c.geohash, 5) AS parent,
+      EXISTS (SELECT 1 FROM coverage_samples cs WHERE cs.coverage_geohash = c.geohash)
+        AND NOT EXISTS (SELECT 1 FROM coverage_samples cs WHERE cs.coverage_geohash = c.geohash AND NOT cs.sample_verified)
+        AS trusted
+    FROM coverage c
+  ),
+  repeaters AS (
+    SELECT parent, ARRAY_AGG(DISTINCT LOWER(id) ORDER BY LOWER(id)) AS hit_repeaters
+    FROM tiles, unnest(hit_repeaters) AS id
+    GROUP BY parent
+  )
+  INSERT INTO coverage_levels (geohash, observed, heard, lost, snr, rssi, last_observed, last_heard, hit_repeaters, snr_stats, rssi_stats, verified)
+  SELECT t.parent,
+    SUM(COALESCE(t.observed, t.heard, 0)), SUM(COALESCE(t.heard, 0)), SUM(COALESCE(t.lost, 0)),
+    MAX(t.snr), MAX(t.rssi), MAX(t.last_observed), MAX(t.last_heard),
+    COALESCE(r.hit_repeaters, '{}'),
+    signal_stats_agg(t.snr_stats), signal_stats_agg(t.rssi_stats),
+    bool_and(t.trusted)
+  FROM tiles t
+  LEFT JOIN repeaters r ON r.parent = t.parent
+  GROUP BY t.parent, r.hit_repeaters;
+
+  WITH archived AS (
+    SELECT LEFT(geohash, 7) AS hash, time, path,
+      COALESCE(observed, cardinality(path) > 0) AS observed,
+      snr, rssi, snr_stats, rssi_stats, COALESCE(verified, false) AS verified
+    FROM archive
+    WHERE LENGTH(geohash) >= 7
+  ),
+  repeaters AS (
+    SELECT hash, ARRAY_AGG(DISTINCT LOWER(id) ORDER BY LOWER(id)) AS hit_repeaters
+    FROM archived, unnest(path) AS id
+    GROUP BY hash
+  )
+  INSERT INTO coverage_levels (geohash, observed, heard, lost, snr, rssi, last_observed, last_heard, hit_repeaters, snr_stats, rssi_stats, verified)
+  SELECT a.hash,
+    COUNT(*) FILTER (WHERE a.observed),
+    COUNT(*) FILTER (WHERE cardinality(a.path) > 0),
+    COUNT(*) FILTER (WHERE COALESCE(cardinality(a.path), 0) = 0),
+    MAX(a.snr), MAX(a.rssi),
+    MAX(a.time) FILTER (WHERE a.observed),
+    MAX(a.time) FILTER (WHERE cardinality(a.path) > 0),
+    COALESCE(r.hit_repeaters, '{}'),
+    signal_stats_agg(a.snr_stats), signal_stats_agg(a.rssi_stats),
+    bool_and(a.verified)
+  FROM archived a
+  LEFT JOIN repeaters r ON r.hash = a.hash
+  GROUP BY a.hash, r.hit_repeaters;
+
+  SELECT COUNT(*)::INTEGER FROM coverage_levels;
+$$ LANGUAGE SQL;
+
+SELECT rebuild_coverage_levels();
@@ -0,0 +1,98 @@
+-- Coverage grid
+-- Coverage can be kept on geohash rectangles (the default) or H3 hexagons
+-- (COVERAGE_GRID=h3). Cells of both grids share the coverage tables, so each row
+-- records its grid, and cell ids need room for 15 character H3 indexes. Coverage
+-- samples belong to their coverage row's grid. The precision of an H3 cell isn't
+-- its length, so coverage_levels keeps it in a column. H3 cells also keep the
+-- geohash of their center, so area lookups by geohash prefix work for both grids
+-- (geohash cells leave it null).
+
+ALTER TABLE coverage_samples DROP CONSTRAINT IF EXISTS coverage_samples_coverage_geohash_fkey;
+
+ALTER TABLE coverage
+  ALTER COLUMN geohash TYPE VARCHAR(16),
+  ADD COLUMN IF NOT EXISTS grid VARCHAR(8) NOT NULL DEFAULT 'geohash',
+  ADD COLUMN IF NOT EXISTS center VARCHAR(8);
+
+ALTER TABLE coverage_samples
+  ALTER COLUMN coverage_geohash TYPE VARCHAR(16);
+
+ALTER TABLE coverage_samples
+  ADD CONSTRAINT coverage_samples_coverage_geohash_fkey
+  FOREIGN KEY (coverage_geohash) REFERENCES coverage(geohash) ON DELETE CASCADE;
+
+ALTER TABLE coverage_levels
+  ALTER COLUMN geohash TYPE VARCHAR(16),
+  ADD COLUMN IF NOT EXISTS grid VARCHAR(8) NOT NULL DEFAULT 'geohash',
+  ADD COLUMN IF NOT EXISTS precision SMALLINT,
+  ADD COLUMN IF NOT EXISTS center VARCHAR(8);
+
+UPDATE coverage_levels SET precision = LENGTH(geohash) WHERE precision IS NULL;
+
+ALTER TABLE coverage_levels ALTER COLUMN precision SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_coverage_levels_precision;
+CREATE INDEX IF NOT EXISTS idx_coverage_grid ON coverage (grid, geohash);
+CREATE INDEX IF NOT EXISTS idx_coverage_center ON coverage (center) WHERE center IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_coverage_levels_grid ON coverage_levels (grid, precision, geohash);
+CREATE INDEX IF NOT EXISTS idx_coverage_levels_center ON coverage_levels (center) WHERE center IS NOT NULL;
+
+-- rebuild_coverage_levels() only rebuilds the geohash grid now. SQL can't work out
+-- H3 cells, so the server rebuilds those itself.
+CREATE OR REPLACE FUNCTION rebuild_coverage_levels()
+RETURNS INTEGER AS $$
+  DELETE FROM coverage_levels WHERE grid = 'geohash';
+
+  WITH tiles AS (
+    SELECT c.*, LEFT(c.geohash, 5) AS parent,
+      EXISTS (SELECT 1 FROM coverage_samples cs WHERE cs.coverage_geohash = c.geohash)
+        AND NOT EXISTS (SELECT 1 FROM coverage_samples cs WHERE cs.coverage_geohash = c.geohash AND NOT cs.sample_verified)
+        AS trusted
+    FROM coverage c
+    WHERE c.grid = 'geohash'
+  ),
+  repeaters AS (
+    SELECT parent, ARRAY_AGG(DISTINCT LOWER(id) ORDER BY LOWER(id)) AS hit_repeaters
+    FROM tiles, unnest(hit_repeaters) AS id
+    GROUP BY parent
+  )
+  INSERT INTO coverage_levels (geohash, grid, precision, observed, heard, lost, snr, rssi, last_observed, last_heard, hit_repeaters, snr_stats, rssi_stats, verified)
+  SELECT t.parent, 'geohash', 5,
+    SUM(COALESCE(t.observed, t.heard, 0)), SUM(COALESCE(t.heard, 0)), SUM(COALESCE(t.lost, 0)),
+    MAX(t.snr), MAX(t.rssi), MAX(t.last_observed), MAX(t.last_heard),
+    COALESCE(r.hit_repeaters, '{}'),
+    signal_stats_agg(t.snr_stats), signal_stats_agg(t.rssi_stats),
+    bool_and(t.trusted)
+  FROM tiles t
+  LEFT JOIN repeaters r ON r.parent = t.parent
+  GROUP BY t.parent, r.hit_repeaters;
+
+  WITH archived AS (
+    SELECT LEFT(geohash, 7) AS hash, time, path,
+      COALESCE(observed, cardinality(path) > 0) AS observed,
+      snr, rssi, snr_stats, rssi_stats, COALESCE(verified, false) AS verified
+    FROM archive
+    WHERE LENGTH(geohash) >= 7
+  ),
+  repeaters AS (
+    SELECT hash, ARRAY_AGG(DISTINCT LOWER(id) ORDER BY LOWER(id)) AS hit_repeaters
+    FROM archived, unnest(path) AS id
+    GROUP BY hash
+  )
+  INSERT INTO coverage_levels (geohash, grid, precision, observed, heard, lost, snr, rssi, last_observed, last_heard, hit_repeaters, snr_stats, rssi_stats, verified)
+  SELECT a.hash, 'geohash', 7,
+    COUNT(*) FILTER (WHERE a.observed),
+    COUNT(*) FILTER (WHERE cardinality(a.path) > 0),
+    COUNT(*) FILTER (WHERE COALESCE(cardinality(a.path), 0) = 0),
+    MAX(a.snr), MAX(a.rssi),
+    MAX(a.time) FILTER (WHERE a.observed),
+    MAX(a.time) FILTER (WHERE cardinality(a.path) > 0),
+    COALESCE(r.hit_repeaters, '{}'),
+    signal_stats_agg(a.snr_stats), signal_stats_agg(a.rssi_stats),
+    bool_and(a.verified)
+  FROM archived a
+  LEFT JOIN repeaters r ON r.hash = a.hash
+  GROUP BY a.hash, r.hit_repeaters;
+
+  SELECT COUNT(*)::INTEGER FROM coverage_levels WHERE grid = 'geohash';
+$$ LANGUAGE SQL;
@@ -0,0 +1,20 @@
+-- Maintenance job history
+-- Every consolidation and repeater cleanup run, scheduled or by an admin, is
+-- recorded with its timings and counters. Dry runs are recorded too.
+
+CREATE TABLE IF NOT EXISTS maintenance_jobs (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(32) NOT NULL,
+    trigger VARCHAR(16) NOT NULL CHECK (trigger IN ('schedule', 'admin')),
+    dry_run BOOLEAN NOT NULL DEFAULT false,
+    params JSONB,
+    status VARCHAR(16) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+    result JSONB,
+    error TEXT,
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_jobs_started_at ON maintenance_jobs (started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_maintenance_jobs_type ON maintenance_jobs (type, started_at DESC);
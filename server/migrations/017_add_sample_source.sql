@@ -0,0 +1,13 @@
+-- Sample source
+-- Where a sample came from: 'mqtt' (the MQTT scraper's fixed observers) or
+-- 'wardrive' (the wardrive app). Samples uploaded before this, or by clients
+-- that don't say, have no source.
+
+ALTER TABLE samples
+  ADD COLUMN IF NOT EXISTS source VARCHAR(16) CHECK (source IN ('mqtt', 'wardrive'));
+
+ALTER TABLE archive
+  ADD COLUMN IF NOT EXISTS source VARCHAR(16) CHECK (source IN ('mqtt', 'wardrive'));
+
+-- Clean-ups select archived samples by path
+CREATE INDEX IF NOT EXISTS idx_archive_path ON archive USING GIN (path);
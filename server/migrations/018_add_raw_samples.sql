@@ -0,0 +1,87 @@
+-- Raw sample log
+-- Every sample as it was uploaded, before it's merged into samples and consolidated
+-- into coverage, so coverage can be rebuilt from it (see services/rebuild.js). Rows
+-- are only ever added, except by clean-ups that remove bad data. received_at is
+-- when the server got the sample, which tells samples still waiting in the samples
+-- table apart from consolidated ones.
+--
+-- The log is partitioned by the month of the sample's time (epoch milliseconds, UTC).
+-- The server creates each month's partition before it writes samples for it.
+
+CREATE TABLE IF NOT EXISTS raw_samples (
+    id BIGSERIAL,
+    geohash VARCHAR(8) NOT NULL,
+    time BIGINT NOT NULL,
+    path TEXT[] DEFAULT '{}',
+    observed BOOLEAN,
+    snr DECIMAL(10,2),
+    rssi DECIMAL(10,2),
+    snr_stats JSONB,
+    rssi_stats JSONB,
+    contributor VARCHAR(64),
+    signed BOOLEAN DEFAULT false,
+    verified BOOLEAN DEFAULT false,
+    source VARCHAR(16) CHECK (source IN ('mqtt', 'wardrive')),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id, time)
+) PARTITION BY RANGE (time);
+
+CREATE INDEX IF NOT EXISTS idx_raw_samples_geohash ON raw_samples (geohash);
+CREATE INDEX IF NOT EXISTS idx_raw_samples_time ON raw_samples (time);
+
+-- Creates the partition for the month of a time (epoch milliseconds) if it doesn't
+-- exist yet, and returns its name.
+CREATE OR REPLACE FUNCTION create_raw_samples_partition(sample_time BIGINT)
+RETURNS TEXT AS $$
+DECLARE
+  month_start TIMESTAMP := date_trunc('month', to_timestamp(sample_time / 1000.0) AT TIME ZONE 'UTC');
+  partition_name TEXT := 'raw_samples_' || to_char(month_start, 'YYYY_MM');
+BEGIN
+  EXECUTE format(
+    'CREATE TABLE IF NOT EXISTS %I PARTITION OF raw_samples FOR VALUES FROM (%s) TO (%s)',
+    partition_name,
+    (EXTRACT(EPOCH FROM month_start) * 1000)::BIGINT,
+    (EXTRACT(EPOCH FROM month_start + INTERVAL '1 month') * 1000)::BIGINT
+  );
+  RETURN partition_name;
+EXCEPTION
+  -- Another session created it first.
+  WHEN duplicate_table THEN
+    RETURN partition_name;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Start the log with the history we have: archived samples, samples waiting to be
+-- consolidated, and the consolidated samples from before the archive existed (one row
+-- per 6 character tile sample, see CONSOLIDATED_SAMPLES in models/coverage.js).
+-- One partition call per day of data is plenty.
+SELECT create_raw_samples_partition(time) FROM (
+  SELECT DISTINCT (time / 86400000) * 86400000 AS time FROM archive
+  UNION
+  SELECT DISTINCT (time / 86400000) * 86400000 FROM samples
+  UNION
+  SELECT DISTINCT (sample_time / 86400000) * 86400000 FROM coverage_samples
+) days;
+
+INSERT INTO raw_samples (geohash, time, path, observed, snr, rssi, snr_stats, rssi_stats, contributor, signed, verified, source, received_at)
+SELECT geohash, time, path, observed, snr, rssi, snr_stats, rssi_stats, contributor, signed, verified, source, created_at
+FROM archive;
+
+INSERT INTO raw_samples (geohash, time, path, observed, snr, rssi, snr_stats, rssi_stats, contributor, signed, verified, source, received_at)
+SELECT geohash, time, path, observed, snr, rssi, snr_stats, rssi_stats, contributor, signed, verified, source, created_at
+FROM samples;
+
+INSERT INTO raw_samples (geohash, time, path, observed, snr, rssi, snr_stats, rssi_stats, contributor, signed, verified, received_at)
+SELECT cs.coverage_geohash, cs.sample_time, cs.sample_path, cs.sample_observed, cs.sample_snr, cs.sample_rssi,
+  cs.sample_snr_stats, cs.sample_rssi_stats, cs.sample_contributors[1], cs.sample_verified, cs.sample_verified, cs.created_at
+FROM coverage_samples cs
+JOIN coverage c ON c.geohash = cs.coverage_geohash
+WHERE c.grid = 'geohash' AND NOT EXISTS (
+  SELECT 1 FROM archive a
+  WHERE LEFT(a.geohash, 6) = cs.coverage_geohash AND a.time = cs.sample_time
+);
+
+-- Rebuilds can also be run from scripts/rebuild-coverage.js.
+ALTER TABLE maintenance_jobs DROP CONSTRAINT IF EXISTS maintenance_jobs_trigger_check;
+ALTER TABLE maintenance_jobs
+  ADD CONSTRAINT maintenance_jobs_trigger_check CHECK (trigger IN ('schedule', 'admin', 'script'));
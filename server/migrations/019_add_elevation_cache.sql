@@ -0,0 +1,17 @@
+-- Elevation cache
+-- Ground elevations (meters) looked up for repeater locations, from local DEM tiles
+-- or the remote provider (see services/elevation.js), so each location is only
+-- looked up once. Locations are rounded to 4 decimal places (about 10 m), finer
+-- than the DEMs. Only found elevations are kept, so failed lookups are retried.
+
+CREATE TABLE IF NOT EXISTS elevation_cache (
+    lat DECIMAL(8,4) NOT NULL,
+    lon DECIMAL(8,4) NOT NULL,
+    elevation DECIMAL(10,2) NOT NULL,
+    source VARCHAR(16) NOT NULL CHECK (source IN ('dem', 'remote')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (lat, lon)
+);
+
+-- The elevation backfill looks for repeaters without one.
+CREATE INDEX IF NOT EXISTS idx_repeaters_missing_elev ON repeaters (lat, lon) WHERE elev IS NULL;
@@ -0,0 +1,26 @@
+-- Predicted coverage
+-- The signal (dBm) the propagation model expects from each repeater in each coverage
+-- tile (see services/prediction.js), for tiles where it's near or above the receiver
+-- sensitivity. Tiles are cells of the configured grid at coverage precision, and H3
+-- cells keep the geohash of their center for area lookups, like coverage.
+-- predicted_repeaters records what each repeater's prediction was made from, so only
+-- repeaters that moved (or all of them, when the model settings change) are redone.
+
+CREATE TABLE IF NOT EXISTS predicted_coverage (
+    repeater_key VARCHAR(100) NOT NULL,
+    geohash VARCHAR(16) NOT NULL,
+    grid VARCHAR(8) NOT NULL DEFAULT 'geohash',
+    center VARCHAR(8),
+    rssi DECIMAL(5,1) NOT NULL,
+    PRIMARY KEY (repeater_key, geohash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_predicted_coverage_grid ON predicted_coverage (grid, geohash);
+CREATE INDEX IF NOT EXISTS idx_predicted_coverage_center ON predicted_coverage (center) WHERE center IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS predicted_repeaters (
+    repeater_key VARCHAR(100) PRIMARY KEY,
+    inputs TEXT NOT NULL,
+    tiles INTEGER NOT NULL,
+    predicted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
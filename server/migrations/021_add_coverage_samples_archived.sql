@@ -0,0 +1,27 @@
+-- Ties consolidated coverage samples to the archive
+-- archived: the coverage sample sums up samples that are also in the archive, so
+-- windowed coverage counts those and leaves this one out (see CONSOLIDATED_SAMPLES in
+-- models/coverage.js). Coverage samples from before the archive existed are the only
+-- record of their samples and stay false.
+--
+-- Until now that was worked out by matching a coverage sample's time with an archived
+-- sample in its tile, which misses runs whose newest sample went to a geohash that was
+-- already archived. Existing rows are marked from that match, or from archive rows
+-- written in the same consolidation (within an hour after the coverage sample). H3
+-- coverage was always archived.
+
+ALTER TABLE coverage_samples
+  ADD COLUMN IF NOT EXISTS archived BOOLEAN NOT NULL DEFAULT false;
+
+UPDATE coverage_samples cs
+SET archived = true
+FROM coverage c
+WHERE c.geohash = cs.coverage_geohash AND (
+  c.grid <> 'geohash' OR EXISTS (
+    SELECT 1 FROM archive a
+    WHERE LEFT(a.geohash, 6) = cs.coverage_geohash AND (
+      a.time = cs.sample_time
+      OR a.archived_at BETWEEN cs.created_at AND cs.created_at + INTERVAL '1 hour'
+    )
+  )
+);
@@ -1,7 +1,6 @@
 import {
   ageInDays,
   centerPos,
-  geo,
   haversineMiles,
   initialZoom,
   loadConfig,
@@ -11,6 +10,7 @@ import {
   sigmoid,
   fromTruncatedTime,
 } from './shared.js'
+import { cellCenter, cellKey, cellLatLngs, cellOfSample, loadGrid } from './grid.js'
 
 // Global Init - map will be initialized after config loads
 let map = null;
@@ -20,21 +20,93 @@ let osm = null;
 let repeaterRenderMode = 'all';
 let repeaterSearch = '';
 let showSamples = false;
+let trustedOnly = false; // Only show data from signed (verified) samples
+let showPredicted = false; // Show the predicted coverage layer
 let colorPalette = 'red-yellow-green'; // 'red-yellow-green', 'blue', 'patterns'
-let queryMode = 'coverage'; // 'coverage', 'observed-pct', 'heard-pct', 'last-updated', 'past-day', 'repeater-count', 'sample-count'
+let timeWindow = 'all'; // Key of TIME_WINDOWS
+let queryMode = 'coverage'; // 'coverage', 'observed-pct', 'heard-pct', 'last-updated', 'past-day', 'repeater-count', 'sample-count', 'snr', 'rssi', 'typical-snr', 'worst-snr', 'predicted-vs-measured'
 
 // Data
 let nodes = null; // Graph data from the last refresh
 let idToRepeaters = null; // Index of id -> [repeater]
+let keyToRepeater = null; // Index of repeater key (public key, or id|lat|lon) -> repeater
 let hashToCoverage = null; // Index of geohash -> coverage
 let edgeList = null; // List of connected repeater and coverage
 let individualSamples = null; // Individual (non-aggregated) samples
+let predicted = null; // Predicted coverage: { precision, sensitivity, tiles: Map of tile -> { rssi, rptr } }
+
+// Viewport refresh state
+const VIEWPORT_PADDING = 0.25; // Fetch a bit beyond the visible bounds so small pans don't need a refetch
+const VIEWPORT_REFRESH_DELAY_MS = 300;
+let viewportRefreshTimer = null;
+let refreshRequestId = 0; // Used to drop responses for viewports we've already moved away from
+let popupOpen = false;
+
+// Live update state (see connectEvents)
+const LIVE_REFRESH_DELAY_MS = 2000; // Tile changes usually come in bursts from one job
+let liveRefreshTimer = null;
+let liveSamples = new Map(); // Sample geohash -> heard, for samples applied since the last refresh
+let eventsDropped = false; // Set when the stream drops, so we catch up when it's back
+
+// Tile detail panel state
+let selectedTileHash = null; // Geohash of the tile shown in the panel
+let tileRequestId = 0; // Used to drop history responses for tiles we've moved away from
+
+// Time windows the server can limit coverage and samples to, in days before now.
+// "Last" windows start at `since`; "as of" windows end at `until`.
+const TIME_WINDOWS = {
+  'all': {},
+  'last-7d': { since: 7 },
+  'last-30d': { since: 30 },
+  'as-of-30d': { until: 30 },
+  'as-of-90d': { until: 90 },
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Coverage tile precision (geohash length) by zoom: 4-5 for regional overviews,
+// 6 for towns and 7 for street-level detail in dense areas.
+const ZOOM_PRECISIONS = [
+  { minZoom: 14, precision: 7 },
+  { minZoom: 10, precision: 6 },
+  { minZoom: 7, precision: 5 },
+  { minZoom: 0, precision: 4 },
+];
+
+// dB values spread evenly across the color scale for the SNR and RSSI query modes.
+// Replaced by the server's config (SNR_BREAKPOINTS/RSSI_BREAKPOINTS) on load.
+let snrBreakpoints = [-15, -10, -5, 0, 5, 10];
+let rssiBreakpoints = [-120, -110, -100, -90, -80];
+
+// Recency score by age in days for the last-updated and past-day query modes:
+// <=1 day: 1.0, 2 days: 0.75, 3 days: 0.50, 5 days: 0.25, >=7 days: 0.0
+const RECENCY_POINTS = [[0, 1.0], [1, 1.0], [2, 0.75], [3, 0.50], [5, 0.25], [7, 0.0], [30, 0.0]];
+
+// Where each palette changes style, as query values (0-1). A 0 edge means 0 gets a
+// style of its own. Used to build the legend, so keep in step with the palette functions.
+const PALETTE_EDGES = {
+  'red-yellow-green': [0.25, 0.40, 0.70, 0.85],
+  'blue': [0, 0.25, 0.40, 0.70, 0.85],
+  'patterns': [0, 0.25, 0.40, 0.70],
+  'simple-green': [0.25, 0.50],
+};
+
+// How quickly the chance of being heard rises with the predicted signal's margin over
+// the sensitivity (per dB), for comparing predictions with what was measured.
+const PREDICTED_MARGIN_SCALE = 0.3;
+
+// Path ids are only the first byte of a repeater's key, so the server sends the
+// candidate repeaters for each id with a confidence. Below this, show it as a guess.
+const AMBIGUOUS_CONFIDENCE = 0.8;
 
 // Map layers (will be initialized after map is created)
 let coverageLayer = null;
 let edgeLayer = null;
+let predictedLayer = null;
 let sampleLayer = null;
 let repeaterLayer = null;
+let footprintLayer = null;
+let footprintKey = null; // Key of the repeater whose footprint is shown
+let losLine = null; // Path of the line of sight popup
 
 // Map controls (must be added first so Top Repeaters appears below)
 const mapControl = L.control({ position: 'topright' });
@@ -53,6 +125,23 @@ mapControl.onAdd = m => {
           <option value="past-day">Past Day</option>
           <option value="repeater-count">Repeater Count</option>
           <option value="sample-count">Sample Count</option>
+          <option value="snr">SNR</option>
+          <option value="rssi">RSSI</option>
+          <option value="typical-snr">Typical SNR</option>
+          <option value="worst-snr">Worst-Case SNR</option>
+          <option value="predicted-vs-measured">Predicted vs Measured</option>
+        </select>
+      </label>
+    </div>
+    <div class="mesh-control-row">
+      <label>
+        Time:
+        <select id="time-window-select">
+          <option value="all" selected="true">All Time</option>
+          <option value="last-7d">Last 7 Days</option>
+          <option value="last-30d">Last 30 Days</option>
+          <option value="as-of-30d">As of 30 Days Ago</option>
+          <option value="as-of-90d">As of 90 Days Ago</option>
         </select>
       </label>
     </div>
@@ -89,22 +178,44 @@ mapControl.onAdd = m => {
         <input type="checkbox" id="show-samples" />
       </label>
     </div>
+    <div class="mesh-control-row">
+      <label>
+        Predicted Coverage:
+        <input type="checkbox" id="show-predicted" />
+      </label>
+    </div>
+    <div class="mesh-control-row">
+      <label>
+        Trusted Only:
+        <input type="checkbox" id="trusted-only" />
+      </label>
+    </div>
     <div class="mesh-control-row">
       <button type="button" id="refresh-map-button">Refresh map</button>
     </div>
   `;
 
   div.querySelector("#query-mode-select")
-    .addEventListener("change", (e) => {
+    .addEventListener("change", async (e) => {
       queryMode = e.target.value;
-      if (nodes) {
+      updateLegend();
+      if (needsPredicted() && predicted === null) {
+        await refreshCoverage();
+      } else if (nodes) {
         renderNodes(nodes);
       }
     });
 
+  div.querySelector("#time-window-select")
+    .addEventListener("change", async (e) => {
+      timeWindow = e.target.value;
+      await refreshCoverage();
+    });
+
   div.querySelector("#color-palette-select")
     .addEventListener("change", (e) => {
       colorPalette = e.target.value;
+      updateLegend();
       if (nodes) {
         renderNodes(nodes);
       }
@@ -138,6 +249,25 @@ mapControl.onAdd = m => {
       }
     });
 
+  div.querySelector("#show-predicted")
+    .addEventListener("change", async (e) => {
+      showPredicted = e.target.checked;
+      if (showPredicted && predicted === null) {
+        await refreshCoverage();
+      } else {
+        renderPredicted();
+      }
+    });
+
+  div.querySelector("#trusted-only")
+    .addEventListener("change", async (e) => {
+      trustedOnly = e.target.checked;
+      await refreshCoverage();
+      if (showSamples) {
+        await loadIndividualSamples();
+      }
+    });
+
   div.querySelector("#refresh-map-button")
     .addEventListener("click", () => refreshCoverage());
 
@@ -216,10 +346,23 @@ repeatersControl.onAdd = m => {
   
   return div;
 };
+// Legend for the current query mode and palette (bottom-right corner)
+const legendControl = L.control({ position: 'bottomright' });
+legendControl.onAdd = m => {
+  const div = L.DomUtil.create('div', 'map-legend leaflet-control');
+  div.id = 'map-legend';
+  L.DomEvent.disableClickPropagation(div);
+  L.DomEvent.disableScrollPropagation(div);
+  return div;
+};
+
 // Initialization function - loads config and sets up map
 async function initMap() {
   // Load config from server
-  await loadConfig();
+  const config = await loadConfig();
+  await loadGrid();
+  snrBreakpoints = config.snrBreakpoints || snrBreakpoints;
+  rssiBreakpoints = config.rssiBreakpoints || rssiBreakpoints;
   
   // Initialize map with configured center position and initial zoom
   map = L.map('map', { worldCopyJump: true }).setView(centerPos, initialZoom);
@@ -231,10 +374,12 @@ async function initMap() {
   }).addTo(map);
   
   // Create map layers
+  predictedLayer = L.layerGroup().addTo(map);
   coverageLayer = L.layerGroup().addTo(map);
   edgeLayer = L.layerGroup().addTo(map);
   sampleLayer = L.layerGroup().addTo(map);
   repeaterLayer = L.layerGroup().addTo(map);
+  footprintLayer = L.layerGroup().addTo(map);
   
   // Initialize SVG patterns for pattern palette
   initSVGPatterns();
@@ -242,6 +387,24 @@ async function initMap() {
   // Add controls
   mapControl.addTo(map);
   repeatersControl.addTo(map);
+  legendControl.addTo(map);
+  updateLegend();
+
+  // Tile detail panel, opened by clicking a coverage tile
+  const tilePanel = document.createElement('div');
+  tilePanel.id = 'tile-panel';
+  tilePanel.className = 'closed';
+  tilePanel.innerHTML = `
+    <button type="button" class="tile-panel-close" title="Close">×</button>
+    <div class="tile-panel-details"></div>
+    <div class="tile-panel-los"></div>
+    <div class="tile-panel-history"></div>
+  `;
+  tilePanel.querySelector('.tile-panel-close').addEventListener('click', closeTilePanel);
+  L.DomEvent.disableClickPropagation(tilePanel);
+  L.DomEvent.disableScrollPropagation(tilePanel);
+  document.body.appendChild(tilePanel);
+  map.on('click', closeTilePanel);
   
   // Max radius circle (only show if distance limit is enabled)
   if (maxDistanceMiles > 0) {
@@ -253,8 +416,21 @@ async function initMap() {
     }).addTo(map);
   }
   
-  // Load initial data
+  // Refetch the viewport when the map moves. Skip while a popup is open so
+  // the popup's auto-pan doesn't re-render (and close) it.
+  map.on('popupopen', () => { popupOpen = true; });
+  map.on('popupclose', () => { popupOpen = false; });
+  map.on('moveend zoomend', () => {
+    if (popupOpen) return;
+    clearTimeout(viewportRefreshTimer);
+    viewportRefreshTimer = setTimeout(() => {
+      refreshCoverage().catch(err => console.error('Failed to refresh coverage:', err));
+    }, VIEWPORT_REFRESH_DELAY_MS);
+  });
+  
+  // Load initial data, then keep it up to date
   await refreshCoverage();
+  connectEvents();
 }
 
 // Initialize on load - wait for DOM and handle errors
@@ -548,39 +724,47 @@ function successRateToColor(rate) {
   return paletteRedYellowGreen(clampedRate);
 }
 
-// Get value for current query mode (0-1 for color mapping)
-function getQueryValue(coverage) {
-  function recencyScore(ageDays) {
-    // Piecewise mapping:
-    // <=1 day: 1.0
-    // 2 days: 0.75
-    // 3 days: 0.50
-    // 5 days: 0.25
-    // >=7 days: 0.0
-    const points = [
-      { d: 0, v: 1.0 },
-      { d: 1, v: 1.0 },
-      { d: 2, v: 0.75 },
-      { d: 3, v: 0.50 },
-      { d: 5, v: 0.25 },
-      { d: 7, v: 0.0 },
-      { d: 30, v: 0.0 },
-    ];
-
-    // Clamp negative ages to 0
-    const clampedAge = Math.max(0, ageDays);
-
-    for (let i = 1; i < points.length; i++) {
-      const prev = points[i - 1];
-      const curr = points[i];
-      if (clampedAge <= curr.d) {
-        const t = (clampedAge - prev.d) / (curr.d - prev.d);
-        return prev.v + (curr.v - prev.v) * t;
-      }
+// Linearly interpolates between [x, value] points, clamped to the first and last.
+function interpolate(points, x) {
+  if (x <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [prevX, prevV] = points[i - 1];
+    const [currX, currV] = points[i];
+    if (x <= currX) {
+      return prevV + (currV - prevV) * (x - prevX) / (currX - prevX);
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+// The inverse of interpolate: the first x where the points reach value.
+// Points must only rise or only fall in value.
+function interpolateInverse(points, value) {
+  for (let i = 1; i < points.length; i++) {
+    const [prevX, prevV] = points[i - 1];
+    const [currX, currV] = points[i];
+    if ((value - prevV) * (value - currV) <= 0 && prevV !== currV) {
+      return prevX + (currX - prevX) * (value - prevV) / (currV - prevV);
     }
-    return 0.0;
   }
+  // Out of range, so use whichever end is closer in value.
+  const first = points[0];
+  const last = points[points.length - 1];
+  return Math.abs(value - first[1]) <= Math.abs(value - last[1]) ? first[0] : last[0];
+}
+
+// Spreads dB breakpoints evenly over 0-1.
+function breakpointPoints(breakpoints) {
+  return breakpoints.map((db, i) => [db, i / (breakpoints.length - 1)]);
+}
+
+function recencyScore(ageDays) {
+  // Clamp negative ages to 0
+  return interpolate(RECENCY_POINTS, Math.max(0, ageDays));
+}
 
+// Get value for current query mode (0-1 for color mapping)
+function getQueryValue(coverage) {
   switch (queryMode) {
     case 'coverage': {
       const totalSamples = coverage.rcv + coverage.lost;
@@ -636,11 +820,166 @@ function getQueryValue(coverage) {
       const range = globalSampleMax - globalSampleMin;
       return range > 0 ? (count - globalSampleMin) / range : 1.0;
     }
+    case 'snr':
+    case 'rssi': {
+      // Best SNR/RSSI heard, placed between the configured breakpoints.
+      // Tiles without readings aren't drawn.
+      const value = parseFloat(queryMode === 'snr' ? coverage.snr : coverage.rssi);
+      if (isNaN(value)) return null;
+      return interpolate(breakpointPoints(queryMode === 'snr' ? snrBreakpoints : rssiBreakpoints), value);
+    }
+    case 'typical-snr':
+    case 'worst-snr': {
+      // Median or 10th percentile SNR, so one lucky packet doesn't make a tile look good.
+      // Tiles without SNR data aren't drawn.
+      const snr = queryMode === 'typical-snr' ? coverage.snrStat?.med : coverage.snrStat?.p10;
+      if (snr === undefined) return null;
+      return interpolate(breakpointPoints(snrBreakpoints), snr);
+    }
+    case 'predicted-vs-measured': {
+      // How well the heard % matches the chance of being heard the prediction gives.
+      // Tiles nothing is predicted for count as predicted not to be heard.
+      const totalSamples = coverage.rcv + coverage.lost;
+      if (predicted === null || predicted.tiles.size === 0 || totalSamples === 0) return null;
+      const prediction = predictedFor(coverage);
+      const chance = prediction ? sigmoid(prediction.rssi - predicted.sensitivity, PREDICTED_MARGIN_SCALE) : 0;
+      return 1 - Math.abs(coverage.rcv / totalSamples - chance);
+    }
     default:
       return 0;
   }
 }
 
+// Describes the current query mode's values in its own units, for the legend.
+// fromValue maps a query value (0-1) back to those units, and bounded scales can't
+// go past their ends. Modes with only a few possible values list them as stops instead.
+function queryScale() {
+  const round1 = v => Math.round(v * 10) / 10;
+  const percent = { bounded: true, format: v => `${Math.round(v * 100)}%`, fromValue: v => v };
+  const decibels = (breakpoints, unit) => ({
+    format: v => `${round1(v)} ${unit}`,
+    fromValue: v => interpolateInverse(breakpointPoints(breakpoints), v),
+  });
+
+  switch (queryMode) {
+    case 'coverage':
+      return { title: 'Coverage (heard %)', ...percent };
+    case 'observed-pct':
+      return { title: 'Observed %', ...percent };
+    case 'heard-pct':
+      return { title: 'Heard %', ...percent };
+    case 'last-updated':
+      return {
+        title: 'Last Updated',
+        descending: true,
+        format: d => d < 1 ? `${Math.round(d * 24)}h ago` : `${round1(d)}d ago`,
+        fromValue: v => interpolateInverse(RECENCY_POINTS, v),
+      };
+    case 'past-day':
+      return { title: 'Past Day', stops: [{ value: 1, label: 'Updated in the past day' }] };
+    case 'repeater-count':
+      return {
+        title: 'Repeater Count',
+        stops: [{ value: 0, label: '0' }, { value: 0.5, label: '1' }, { value: 0.75, label: '2' }, { value: 1, label: '3+' }],
+      };
+    case 'sample-count':
+      return {
+        title: 'Sample Count',
+        bounded: true,
+        format: v => `${Math.round(v)}`,
+        fromValue: v => globalSampleMin + v * (globalSampleMax - globalSampleMin),
+      };
+    case 'snr':
+      return { title: 'Best SNR', ...decibels(snrBreakpoints, 'dB') };
+    case 'rssi':
+      return { title: 'Best RSSI', ...decibels(rssiBreakpoints, 'dBm') };
+    case 'typical-snr':
+      return { title: 'Typical SNR', ...decibels(snrBreakpoints, 'dB') };
+    case 'worst-snr':
+      return { title: 'Worst-Case SNR', ...decibels(snrBreakpoints, 'dB') };
+    case 'predicted-vs-measured':
+      return { title: 'Agrees with Prediction', ...percent };
+    default:
+      return { title: queryMode, ...percent };
+  }
+}
+
+// Gets the legend rows, best first: { rate, label } where rate is a query value
+// that gets the row's style.
+function legendRows() {
+  const scale = queryScale();
+  const edges = PALETTE_EDGES[colorPalette] ?? PALETTE_EDGES['red-yellow-green'];
+
+  // Each band runs from the previous edge (exclusive) up to its edge, and the last up to 1.
+  const bands = [];
+  let low = 0;
+  for (const high of [...edges, 1]) {
+    bands.push({ low: low, high: high, rate: (low + high) / 2 });
+    low = high;
+  }
+
+  const styleKey = rate => JSON.stringify(successRateToStyle(rate));
+  const rows = bands.map((band, i) => {
+    if (scale.stops) {
+      // Match stops by style, since palettes differ on which side of an edge is included.
+      const labels = scale.stops.filter(stop => styleKey(stop.value) === styleKey(band.rate)).map(stop => stop.label);
+      return labels.length > 0 ? { rate: band.rate, label: labels.join(', ') } : null;
+    }
+
+    const from = scale.fromValue(band.low);
+    const to = scale.fromValue(band.high);
+    let label;
+    if (band.low === band.high && scale.bounded) {
+      label = scale.format(from);
+    } else if (band.low === band.high) {
+      label = `${scale.descending ? '≥' : '≤'} ${scale.format(from)}`;
+    } else if (i === 0) {
+      label = `${scale.descending ? '≥' : '≤'} ${scale.format(to)}`;
+    } else if (band.high === 1) {
+      label = `${scale.descending ? '<' : '>'} ${scale.format(from)}`;
+    } else {
+      label = `${scale.format(Math.min(from, to))} to ${scale.format(Math.max(from, to))}`;
+    }
+    return { rate: band.rate, label: label };
+  });
+
+  return rows.filter(row => row !== null).reverse();
+}
+
+function legendSwatch(rate) {
+  const style = successRateToStyle(rate);
+  if (style.patternUrl) {
+    return `<svg class="map-legend-swatch" width="18" height="12">
+      <rect width="18" height="12" fill="${style.fillColor}"/>
+      <rect width="18" height="12" fill="${style.patternUrl}"/>
+    </svg>`;
+  }
+  if (style.hasBorder) {
+    return `<span class="map-legend-swatch" style="border: 2px solid ${style.borderColor}"></span>`;
+  }
+  return `<span class="map-legend-swatch" style="background: ${style.fillColor}"></span>`;
+}
+
+// Redraws the legend for the current query mode and palette.
+function updateLegend() {
+  const div = document.getElementById('map-legend');
+  if (!div) return;
+
+  const rows = legendRows().map(row => `
+    <div class="map-legend-row">${legendSwatch(row.rate)}<span>${escapeHtml(row.label)}</span></div>`);
+  div.innerHTML = `<div class="map-legend-title">${escapeHtml(queryScale().title)}</div>${rows.join('')}`;
+}
+
+// Combines SNR/RSSI stats summaries ({ n, mean, med, p10 }) from coverage and samples.
+// Means combine exactly; the median and p10 are weighted by count as an estimate.
+function combineStats(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const n = a.n + b.n;
+  const weighted = key => Math.round((a[key] * a.n + b[key] * b.n) / n * 10) / 10;
+  return { n: n, mean: weighted('mean'), med: weighted('med'), p10: weighted('p10') };
+}
+
 // Get global min/max for sample count normalization
 let globalSampleMin = 0;
 let globalSampleMax = 1;
@@ -692,8 +1031,6 @@ function successRateToStyle(rate) {
 }
 
 function coverageMarker(coverage) {
-  const [minLat, minLon, maxLat, maxLon] = geo.decode_bbox(coverage.id);
-  
   // Get value for current query mode
   let queryValue = getQueryValue(coverage);
   
@@ -701,6 +1038,10 @@ function coverageMarker(coverage) {
   if (queryMode === 'past-day' && queryValue === 0) {
     return null; // Don't render this marker
   }
+  // No data for this query (e.g. no SNR readings)
+  if (queryValue === null) {
+    return null;
+  }
   
   // Get style based on palette
   const styleInfo = successRateToStyle(queryValue);
@@ -725,7 +1066,8 @@ function coverageMarker(coverage) {
     fillOpacity: styleInfo.fillOpacity !== undefined ? styleInfo.fillOpacity : Math.max(opacityValue, 0.2), // Use palette opacity or minimum 20% opacity
   };
   
-  const rect = L.rectangle([[minLat, minLon], [maxLat, maxLon]], style);
+  // Clicks open the tile panel, so don't let them reach the map (which closes it).
+  const rect = L.polygon(cellLatLngs(coverage.id), { ...style, bubblingMouseEvents: false });
   
   // Apply pattern if using patterns palette
   if (colorPalette === 'patterns' && styleInfo.patternUrl) {
@@ -748,7 +1090,7 @@ function coverageMarker(coverage) {
   }
   details += `Updated: ${date.toLocaleString()}`;
   if (coverage.rptr && coverage.rptr.length > 0) {
-    details += `<br/>Repeaters: ${coverage.rptr.join(',')}`;
+    details += `<br/>Repeaters: ${describeRepeaters(coverage.rptr, coverage.cand)}`;
   }
   if (coverage.snr !== null && coverage.snr !== undefined) {
     details += `<br/>SNR: ${coverage.snr} dB`;
@@ -756,23 +1098,269 @@ function coverageMarker(coverage) {
   if (coverage.rssi !== null && coverage.rssi !== undefined) {
     details += `<br/>RSSI: ${coverage.rssi} dBm`;
   }
+  if (coverage.snrStat) {
+    details += `<br/>SNR typical: ${coverage.snrStat.med} dB, worst: ${coverage.snrStat.p10} dB, mean: ${coverage.snrStat.mean} dB (${coverage.snrStat.n})`;
+  }
+  if (coverage.rssiStat) {
+    details += `<br/>RSSI typical: ${coverage.rssiStat.med} dBm, worst: ${coverage.rssiStat.p10} dBm`;
+  }
+  const prediction = predictedFor(coverage);
+  if (prediction) {
+    const repeater = keyToRepeater.get(prediction.rptr);
+    details += `<br/>Predicted: ${prediction.rssi} dBm` + (repeater ? ` from ${escapeHtml(repeater.name)} [${repeater.id}]` : '');
+  }
 
   rect.coverage = coverage;
-  rect.bindPopup(details, { maxWidth: 320 });
-  rect.on('popupopen', e => updateAllEdgeVisibility(e.target.coverage));
-  rect.on('popupclose', () => updateAllEdgeVisibility());
+  rect.details = details;
+  rect.on('click', e => openTilePanel(e.target.coverage, e.target.details));
 
   if (window.matchMedia("(hover: hover)").matches) {
     rect.on('mouseover', e => updateAllEdgeVisibility(e.target.coverage));
-    rect.on('mouseout', () => updateAllEdgeVisibility());
+    rect.on('mouseout', () => updateAllEdgeVisibility(selectedCoverage()));
   }
 
   coverage.marker = rect;
   return rect;
 }
 
+// Gets the coverage shown in the tile panel, if it's still loaded.
+function selectedCoverage() {
+  return selectedTileHash ? hashToCoverage?.get(selectedTileHash) : undefined;
+}
+
+// Shows a tile's details in the side panel and loads its history chart.
+async function openTilePanel(coverage, details) {
+  const panel = document.getElementById('tile-panel');
+  const requestId = ++tileRequestId;
+  selectedTileHash = coverage.id;
+  updateAllEdgeVisibility(coverage);
+
+  panel.querySelector('.tile-panel-details').innerHTML = details;
+  renderLosButtons(panel.querySelector('.tile-panel-los'), coverage);
+  const history = panel.querySelector('.tile-panel-history');
+  history.innerHTML = 'Loading history…';
+  panel.classList.remove('closed');
+
+  try {
+    const query = new URLSearchParams({ hash: coverage.id });
+    if (trustedOnly)
+      query.set('trusted', '1');
+    const resp = await fetch(`/get-tile?${query}`, { headers: { 'Accept': 'application/json' } });
+    if (!resp.ok)
+      throw new Error(`HTTP ${resp.status} ${resp.statusText}`);
+
+    const tile = await resp.json();
+    if (requestId !== tileRequestId)
+      return; // Another tile was opened.
+    history.innerHTML = tileHistoryHtml(tile);
+  } catch (error) {
+    if (requestId === tileRequestId)
+      history.innerHTML = `Failed to load history: ${escapeHtml(error.message)}`;
+  }
+}
+
+function closeTilePanel() {
+  if (selectedTileHash === null)
+    return;
+  tileRequestId++;
+  selectedTileHash = null;
+  document.getElementById('tile-panel').classList.add('closed');
+  updateAllEdgeVisibility();
+}
+
+// Builds the history section of the tile panel: a chart and when each repeater was heard.
+function tileHistoryHtml(tile) {
+  if (tile.history.length === 0)
+    return 'No history for this tile.';
+
+  let html = tileHistoryChart(tile.history);
+  html += `<div class="tile-panel-legend">
+    <span style="color: #16a34a">■ Heard</span>
+    <span style="color: #dc2626">■ Lost</span>
+    <span style="color: #2563eb">— SNR</span>
+  </div>`;
+  html += `<div>Samples: ${tile.samples}${tile.pending > 0 ? ` (${tile.pending} not consolidated yet)` : ''}</div>`;
+
+  if (tile.repeaters.length > 0) {
+    html += '<table class="tile-panel-repeaters"><tr><th>Repeater</th><th>Heard</th><th>First</th><th>Last</th></tr>';
+    tile.repeaters.forEach(r => {
+      const date = t => new Date(t).toLocaleDateString();
+      html += `<tr><td>${describeRepeaters([r.id], selectedCoverage()?.cand)}</td>` +
+        `<td>${r.count}</td><td>${date(r.first)}</td><td>${date(r.last)}</td></tr>`;
+    });
+    html += '</table>';
+  }
+  return html;
+}
+
+// Draws heard/lost bars per time bucket with the average SNR as a line on top.
+function tileHistoryChart(history) {
+  const width = 280;
+  const height = 110;
+  const barsHeight = height - 14; // Leave room for the date labels
+  const step = width / history.length;
+  const maxCount = Math.max(...history.map(b => b.heard + b.lost));
+
+  let svg = `<svg class="tile-panel-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">`;
+  history.forEach((b, i) => {
+    const x = i * step + step * 0.1;
+    const barWidth = Math.max(step * 0.8, 1);
+    const heardHeight = barsHeight * b.heard / maxCount;
+    const lostHeight = barsHeight * b.lost / maxCount;
+    const title = `${new Date(b.time).toLocaleDateString()}: heard ${b.heard}, lost ${b.lost}` +
+      (b.snr !== null ? `, SNR ${b.snr} dB` : '') + (b.rssi !== null ? `, RSSI ${b.rssi} dBm` : '');
+    svg += `<g><title>${escapeHtml(title)}</title>` +
+      `<rect x="${x}" y="${barsHeight - heardHeight}" width="${barWidth}" height="${heardHeight}" fill="#16a34a" />` +
+      `<rect x="${x}" y="${barsHeight - heardHeight - lostHeight}" width="${barWidth}" height="${lostHeight}" fill="#dc2626" /></g>`;
+  });
+
+  const snrPoints = history
+    .map((b, i) => ({ x: i * step + step / 2, snr: b.snr }))
+    .filter(p => p.snr !== null);
+  if (snrPoints.length > 0) {
+    const minSnr = Math.min(...snrPoints.map(p => p.snr));
+    const maxSnr = Math.max(...snrPoints.map(p => p.snr));
+    const range = Math.max(maxSnr - minSnr, 1);
+    const y = snr => 4 + (barsHeight - 8) * (1 - (snr - minSnr) / range);
+    svg += `<polyline points="${snrPoints.map(p => `${p.x},${y(p.snr)}`).join(' ')}" fill="none" stroke="#2563eb" stroke-width="2" />`;
+    svg += `<text x="${width}" y="10" text-anchor="end" class="tile-panel-axis">${maxSnr} dB</text>`;
+    svg += `<text x="${width}" y="${barsHeight}" text-anchor="end" class="tile-panel-axis">${minSnr} dB</text>`;
+  }
+
+  const first = new Date(history[0].time).toLocaleDateString();
+  const last = new Date(history[history.length - 1].time).toLocaleDateString();
+  svg += `<text x="0" y="${height - 2}" class="tile-panel-axis">${first}</text>`;
+  svg += `<text x="${width}" y="${height - 2}" text-anchor="end" class="tile-panel-axis">${last}</text>`;
+  return svg + '</svg>';
+}
+
+// Adds a line of sight button for each repeater heard on a tile.
+function renderLosButtons(div, coverage) {
+  div.innerHTML = '';
+  const repeaters = (coverage.rptr ?? [])
+    .map(id => getLikelyRepeater(coverage, id)?.repeater)
+    .filter(r => r);
+  if (repeaters.length === 0)
+    return;
+
+  div.append('Line of sight: ');
+  repeaters.forEach(r => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'los-button';
+    button.textContent = `${r.id} ${r.name}`;
+    button.addEventListener('click', () => showLineOfSight(coverage, r));
+    div.append(button);
+  });
+}
+
+// Opens a popup on a tile with the terrain profile between it and a repeater.
+async function showLineOfSight(coverage, r) {
+  const content = document.createElement('div');
+  content.className = 'los-popup';
+  content.innerHTML = `<strong>${coverage.id} → ${escapeHtml(r.name)} [${r.id}]</strong><div>Loading profile…</div>`;
+  losLine?.remove();
+  losLine = L.polyline([coverage.pos, [r.lat, r.lon]], { color: '#555555', weight: 2, dashArray: '4,4', interactive: false }).addTo(map);
+  const popup = L.popup({ maxWidth: 340 })
+    .setLatLng(coverage.pos)
+    .setContent(content)
+    .openOn(map);
+  popup.on('remove', () => {
+    if (losLine?.popup === popup) {
+      losLine.remove();
+      losLine = null;
+    }
+  });
+  losLine.popup = popup;
+
+  try {
+    const query = new URLSearchParams({ from: coverage.pos.join(','), to: r.key });
+    const resp = await fetch(`/los?${query}`, { headers: { 'Accept': 'application/json' } });
+    if (!resp.ok) {
+      const error = await resp.json().catch(() => ({}));
+      throw new Error(error.error ?? `HTTP ${resp.status} ${resp.statusText}`);
+    }
+
+    const los = await resp.json();
+    const color = los.clearance.fresnelClear ? '#16a34a' : (los.clearance.lineOfSight ? '#e37304' : '#dc2626');
+    losLine.setStyle({ color: color });
+    content.lastElementChild.innerHTML = losHtml(los);
+  } catch (error) {
+    content.lastElementChild.textContent = `Failed to load profile: ${error.message}`;
+  }
+}
+
+// Describes a line of sight profile: the chart, whether the path is clear and the losses.
+function losHtml(los) {
+  const { clearance, loss } = los;
+  let verdict;
+  if (clearance.lineOfSight === false) {
+    const worst = clearance.worst;
+    verdict = `<span style="color: #dc2626">Blocked by terrain</span>, worst ${(worst.terrain - worst.los).toFixed(0)} m ` +
+      `above the line at ${worst.distance.toFixed(1)} mi`;
+  } else if (clearance.fresnelClear === false) {
+    verdict = `<span style="color: #e37304">Line of sight</span>, but only ${(100 * Math.max(clearance.fresnel, 0)).toFixed(0)}% ` +
+      `of the Fresnel zone is clear (60% needed)`;
+  } else if (clearance.lineOfSight) {
+    verdict = '<span style="color: #16a34a">Clear line of sight and Fresnel zone</span>';
+  } else {
+    verdict = 'No elevation data along the path';
+  }
+
+  let html = losChart(los);
+  html += `<div class="tile-panel-legend">
+    <span style="color: #a16207">■ Terrain</span>
+    <span style="color: #2563eb">— Line of sight</span>
+    <span style="color: #2563eb">┄ Fresnel zone</span>
+  </div>`;
+  html += `<div>${verdict}</div>`;
+  html += `<div>${los.distance} mi · Free-space loss ${loss.freeSpace} dB` +
+    (loss.diffraction > 0 ? ` + terrain ${loss.diffraction} dB = ${loss.total} dB` : '') + '</div>';
+  html += `<div>Antennas: ${los.from.antenna} m here (ground ${los.from.ground} m), ` +
+    `${los.to.antenna} m at the repeater (ground ${los.to.ground} m)</div>`;
+  if (los.missing > 0)
+    html += `<div><em>No elevation data for ${los.missing} of ${los.profile.length} points</em></div>`;
+  return html;
+}
+
+// Draws the terrain (raised for the earth's curve) under the line of sight and the
+// bottom of the first Fresnel zone, with obstructions marked.
+function losChart(los) {
+  const width = 300;
+  const height = 120;
+  const chartHeight = height - 14; // Leave room for the distance labels
+  const profile = los.profile.filter(p => p.terrain !== null);
+  const heights = [
+    ...profile.map(p => p.terrain),
+    ...los.profile.map(p => p.los),
+    ...los.profile.map(p => p.los - p.fresnel)
+  ];
+  const minHeight = Math.min(...heights);
+  const range = Math.max(Math.max(...heights) - minHeight, 1);
+  const x = d => width * d / Math.max(los.distance, 0.001);
+  const y = h => 4 + (chartHeight - 8) * (1 - (h - minHeight) / range);
+  const line = points => points.map(p => `${x(p.distance)},${y(p.h)}`).join(' ');
+
+  let svg = `<svg class="tile-panel-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">`;
+  if (profile.length > 0) {
+    const ground = line(profile.map(p => ({ distance: p.distance, h: p.terrain })));
+    svg += `<polygon points="${x(profile[0].distance)},${chartHeight} ${ground} ${x(profile[profile.length - 1].distance)},${chartHeight}" fill="#a16207" fill-opacity="0.6" />`;
+  }
+  svg += `<polyline points="${line(los.profile.map(p => ({ distance: p.distance, h: p.los - p.fresnel })))}" fill="none" stroke="#2563eb" stroke-width="1" stroke-dasharray="3,3" />`;
+  svg += `<polyline points="${line(los.profile.map(p => ({ distance: p.distance, h: p.los })))}" fill="none" stroke="#2563eb" stroke-width="2" />`;
+  los.obstructions.forEach(p => {
+    svg += `<circle cx="${x(p.distance)}" cy="${y(p.terrain)}" r="2" fill="#dc2626"><title>${p.distance} mi: ${-p.clearance} m above the line</title></circle>`;
+  });
+
+  svg += `<text x="0" y="10" class="tile-panel-axis">${(minHeight + range).toFixed(0)} m</text>`;
+  svg += `<text x="0" y="${chartHeight}" class="tile-panel-axis">${minHeight.toFixed(0)} m</text>`;
+  svg += `<text x="0" y="${height - 2}" class="tile-panel-axis">Tile</text>`;
+  svg += `<text x="${width}" y="${height - 2}" text-anchor="end" class="tile-panel-axis">${los.distance} mi</text>`;
+  return svg + '</svg>';
+}
+
 function sampleMarker(s) {
-  const [lat, lon] = posFromHash(s.id);
+  const [lat, lon] = cellCenter(s.id);
   // Use success rate to determine color (gradient from red 0% to green 100%)
   const successRate = s.successRate ?? (s.total > 0 ? s.heard / s.total : 0);
   const color = successRateToColor(successRate);
@@ -788,14 +1376,14 @@ function sampleMarker(s) {
   const marker = L.circleMarker([lat, lon], style);
   const date = new Date(fromTruncatedTime(s.time));
   const successPercent = (successRate * 100).toFixed(1);
-  const repeaters = s.rptr || [];
+  const repeaters = s.path || s.rptr || [];
   let details = `
     <strong>${s.id}</strong><br/>
     ${lat.toFixed(4)}, ${lon.toFixed(4)}<br/>
     Samples: ${s.total || 0} (${s.heard || 0} heard, ${s.lost || 0} lost)<br/>
     Success Rate: ${successPercent}%<br/>`;
   if (repeaters.length > 0) {
-    details += `<br/>Repeaters: ${repeaters.join(', ')}`;
+    details += `<br/>Repeaters: ${describeRepeaters(repeaters, s.cand)}`;
   }
   if (s.snr !== null && s.snr !== undefined) {
     details += `<br/>SNR: ${s.snr} dB`;
@@ -806,6 +1394,7 @@ function sampleMarker(s) {
   details += `<br/>Updated: ${date.toLocaleString()}`;
   marker.bindPopup(details, { maxWidth: 320 });
   marker.on('add', () => updateSampleMarkerVisibility(marker));
+  s.marker = marker;
   return marker;
 }
 
@@ -862,11 +1451,25 @@ function repeaterMarker(r) {
     `<strong>${escapeHtml(r.name)} [${r.id}]</strong>`,
     `${r.lat.toFixed(4)}, ${r.lon.toFixed(4)} · <em>${(r.elev).toFixed(0)}m</em>`,
     `${new Date(time).toLocaleString()}`
-  ].join('<br/>');
+  ];
+  if (r.pk) {
+    details.push(`Key: <code>${r.pk.substring(0, 16)}…</code>`);
+  }
+  const sharedId = (idToRepeaters.get(r.id)?.length ?? 1) - 1;
+  if (sharedId > 0) {
+    details.push(`<em>${sharedId} other repeater${sharedId > 1 ? 's' : ''} share id ${r.id}</em>`);
+  }
   const marker = L.marker([r.lat, r.lon], { icon: icon });
 
+  const popup = document.createElement('div');
+  popup.innerHTML = `${details.join('<br/>')}
+    <div><button type="button" class="footprint-button">${footprintKey === r.key ? 'Hide' : 'Show'} footprint</button></div>
+    <div class="footprint-stats"></div>`;
+  popup.querySelector('.footprint-button')
+    .addEventListener('click', e => toggleFootprint(r, e.target, popup.querySelector('.footprint-stats')));
+
   marker.repeater = r;
-  marker.bindPopup(details, { maxWidth: 320 });
+  marker.bindPopup(popup, { maxWidth: 320 });
   marker.on('add', () => updateRepeaterMarkerVisibility(marker));
   marker.on('popupopen', e => updateAllEdgeVisibility(e.target.repeater));
   marker.on('popupclose', () => updateAllEdgeVisibility());
@@ -880,6 +1483,78 @@ function repeaterMarker(r) {
   return marker;
 }
 
+// Shows (or hides) the outline of the tiles a repeater was heard from.
+async function toggleFootprint(r, button, statsDiv) {
+  footprintLayer.clearLayers();
+  statsDiv.innerHTML = '';
+  if (footprintKey === r.key) {
+    footprintKey = null;
+    button.textContent = 'Show footprint';
+    return;
+  }
+
+  footprintKey = r.key;
+  button.textContent = 'Hide footprint';
+  try {
+    const resp = await fetch(`/get-repeater-coverage?id=${r.pk ?? r.id}`, { headers: { 'Accept': 'application/json' } });
+    if (!resp.ok)
+      throw new Error(`HTTP ${resp.status} ${resp.statusText}`);
+
+    const data = await resp.json();
+    if (footprintKey !== r.key)
+      return; // Hidden or switched to another repeater.
+
+    const entry = data.repeaters.find(e => e.repeater.key === r.key) ?? data.repeaters[0];
+    if (entry.footprint) {
+      L.polygon(entry.footprint, {
+        color: '#e37304',
+        weight: 3,
+        dashArray: '6,4',
+        fillOpacity: 0.08,
+        interactive: false,
+      }).addTo(footprintLayer);
+    }
+
+    const { tiles, maxRange, medianRange, footprintArea } = entry.stats;
+    statsDiv.innerHTML = `Tiles: ${tiles} · Max range: ${maxRange} mi<br/>` +
+      `Median range: ${medianRange} mi · Area: ${footprintArea} sq mi`;
+  } catch (error) {
+    statsDiv.textContent = `Failed to load footprint: ${error.message}`;
+  }
+}
+
+// Describes path ids with their candidate repeaters, e.g. "a3 (Hill 82%, Tower 15%)".
+function describeRepeaters(ids, cand) {
+  return ids.map(id => {
+    const candidates = (cand?.[id] ?? []).filter(([key]) => keyToRepeater.has(key));
+    if (candidates.length === 0) {
+      return `${id} (unknown)`;
+    }
+    if (candidates.length === 1 && candidates[0][1] >= AMBIGUOUS_CONFIDENCE) {
+      return `${id} (${escapeHtml(keyToRepeater.get(candidates[0][0]).name)})`;
+    }
+    const guesses = candidates
+      .map(([key, confidence]) => `${escapeHtml(keyToRepeater.get(key).name)} ${(100 * confidence).toFixed(0)}%`)
+      .join(', ');
+    return `${id} (${guesses})`;
+  }).join(', ');
+}
+
+// Gets the most likely repeater for a path id on a coverage tile as { repeater, confidence }.
+// Falls back to guessing by distance if the server didn't send candidates.
+function getLikelyRepeater(coverage, id) {
+  const candidates = coverage.cand?.[id];
+  if (candidates) {
+    const best = candidates.find(([key]) => keyToRepeater.has(key));
+    return best ? { repeater: keyToRepeater.get(best[0]), confidence: best[1] } : null;
+  }
+
+  const repeaterList = idToRepeaters.get(id);
+  if (repeaterList === undefined)
+    return null;
+  return { repeater: getBestRepeater(coverage.pos, repeaterList), confidence: null };
+}
+
 function getBestRepeater(fromPos, repeaterList) {
   if (repeaterList.length === 1) {
     return repeaterList[0];
@@ -971,7 +1646,8 @@ function updateAllEdgeVisibility(end) {
       // e.ends is [repeater, coverage]
       markersToOverride.push(e.ends[0].marker);
       coverageToHighlight.push(e.ends[1].marker);
-      e.setStyle({ opacity: 0.6, color: '#1e40af' }); // Darker blue when visible
+      // Darker blue when visible, fainter if it's only a guess which repeater this was.
+      e.setStyle({ opacity: e.ambiguous ? 0.3 : 0.6, color: '#1e40af' });
     } else {
       e.setStyle({ opacity: 0 });
     }
@@ -993,6 +1669,7 @@ function renderNodes(nodes) {
   // Update global stats for sample-count normalization
   if (queryMode === 'sample-count') {
     updateGlobalSampleStats();
+    updateLegend(); // Its scale follows the data
   }
 
   // Add coverage boxes.
@@ -1023,29 +1700,38 @@ function renderNodes(nodes) {
   });
 
   // Add edges.
-  edgeList.forEach(e => {
-    const style = {
-      weight: 3,
-      opacity: 0,
-      color: '#1e40af', // Darker blue
-      dashArray: '2,4',
-      interactive: false,
-    };
-    const line = L.polyline([e.repeater.pos, e.coverage.pos], style);
-    line.ends = [e.repeater, e.coverage];
-    line.addTo(edgeLayer);
-  });
+  edgeList.forEach(e => edgeLine(e).addTo(edgeLayer));
+
+  // Keep the tile in the panel highlighted.
+  if (selectedCoverage()) {
+    updateAllEdgeVisibility(selectedCoverage());
+  }
+}
+
+// Makes the (hidden until highlighted) line for an edge between a repeater and a tile.
+function edgeLine(e) {
+  const style = {
+    weight: 3,
+    opacity: 0,
+    color: '#1e40af', // Darker blue
+    dashArray: '2,4',
+    interactive: false,
+  };
+  const line = L.polyline([e.repeater.pos, e.coverage.pos], style);
+  line.ends = [e.repeater, e.coverage];
+  line.ambiguous = e.confidence !== null && e.confidence < AMBIGUOUS_CONFIDENCE;
+  return line;
 }
 
 function buildIndexes(nodes) {
   hashToCoverage = new Map();
   idToRepeaters = new Map();
+  keyToRepeater = new Map();
   edgeList = [];
 
   // Index coverage items.
   nodes.coverage.forEach(c => {
-    const { latitude: lat, longitude: lon } = geo.decode(c.id);
-    c.pos = [lat, lon];
+    c.pos = cellCenter(c.id);
     if (c.rptr === undefined) c.rptr = [];
     // Map backend time fields to frontend time field
     // Backend sends ut (updated time), lht (last heard time), lot (last observed time)
@@ -1075,22 +1761,24 @@ function buildIndexes(nodes) {
   // Add aggregated samples to coverage items.
   // Samples are now already aggregated by geohash prefix on the server
   nodes.samples.forEach(s => {
-    const key = s.id; // Already a 6-char geohash prefix from server
+    const key = s.id; // Already a coverage tile at the response precision
     let coverage = hashToCoverage.get(key);
     const sampleHeard = s.heard || 0;
     const sampleLost = s.lost || 0;
     
     if (!coverage) {
-      const { latitude: lat, longitude: lon } = geo.decode(key);
       coverage = {
         id: key,
-        pos: [lat, lon],
+        pos: cellCenter(key),
         rcv: sampleHeard,
         lost: sampleLost,
         time: s.time || 0,
         rptr: (s.path || s.rptr) ? [...(s.path || s.rptr)] : [],
+        cand: s.cand ? { ...s.cand } : {},
         snr: (s.snr !== null && s.snr !== undefined) ? s.snr : undefined,
         rssi: (s.rssi !== null && s.rssi !== undefined) ? s.rssi : undefined,
+        snrStat: s.snrStat,
+        rssiStat: s.rssiStat,
         obs: (s.obs !== undefined) ? (s.obs ? 1 : 0) : 0, // Preserve obs from samples
       };
       hashToCoverage.set(key, coverage);
@@ -1106,6 +1794,8 @@ function buildIndexes(nodes) {
       if (s.time > (coverage.time || 0)) {
         coverage.time = s.time;
       }
+      // Merge repeater candidates, keeping the coverage's where both have them
+      coverage.cand = { ...(s.cand ?? {}), ...(coverage.cand ?? {}) };
       // Merge repeaters (avoid duplicates)
       const samplePath = s.path || s.rptr;
       if (samplePath) {
@@ -1127,6 +1817,8 @@ function buildIndexes(nodes) {
           ? s.rssi 
           : Math.max(coverage.rssi, s.rssi);
       }
+      coverage.snrStat = combineStats(coverage.snrStat, s.snrStat);
+      coverage.rssiStat = combineStats(coverage.rssiStat, s.rssiStat);
     }
   });
 
@@ -1134,19 +1826,20 @@ function buildIndexes(nodes) {
   nodes.repeaters.forEach(r => {
     r.hitBy = [];
     r.pos = [r.lat, r.lon];
+    r.key = r.key ?? `${r.id}|${r.lat}|${r.lon}`;
     pushMap(idToRepeaters, r.id, r);
+    keyToRepeater.set(r.key, r);
   });
 
-  // Build connections.
+  // Build connections to the most likely repeater for each id.
   hashToCoverage.entries().forEach(([key, coverage]) => {
     coverage.rptr.forEach(r => {
-      const candidateRepeaters = idToRepeaters.get(r);
-      if (candidateRepeaters === undefined)
+      const likely = getLikelyRepeater(coverage, r);
+      if (likely === null)
         return;
 
-      const bestRepeater = getBestRepeater(coverage.pos, candidateRepeaters);
-      bestRepeater.hitBy.push(coverage);
-      edgeList.push({ repeater: bestRepeater, coverage: coverage });
+      likely.repeater.hitBy.push(coverage);
+      edgeList.push({ repeater: likely.repeater, coverage: coverage, confidence: likely.confidence });
     });
   });
 }
@@ -1225,7 +1918,7 @@ function updateRepeatersList(contentDiv) {
 
 async function loadIndividualSamples() {
   try {
-    const endpoint = "/get-samples";
+    const endpoint = trustedOnly ? "/get-samples?trusted=1" : "/get-samples";
     const resp = await fetch(endpoint, { headers: { 'Accept': 'application/json' } });
 
     if (!resp.ok)
@@ -1249,14 +1942,276 @@ function clearIndividualSamples() {
   // Don't clear the layer here - renderNodes will handle it
 }
 
+// Gets the coverage tile precision for a zoom level.
+function precisionForZoom(zoom) {
+  return (ZOOM_PRECISIONS.find(z => zoom >= z.minZoom) ?? ZOOM_PRECISIONS[ZOOM_PRECISIONS.length - 1]).precision;
+}
+
+// Gets the /get-nodes query for the current (padded) viewport and zoom.
+function viewportQuery() {
+  const bounds = map.wrapLatLngBounds(map.getBounds().pad(VIEWPORT_PADDING));
+  const bbox = [bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast()]
+    .map(v => v.toFixed(5))
+    .join(',');
+  const query = new URLSearchParams({ bbox: bbox, precision: precisionForZoom(map.getZoom()) });
+  if (trustedOnly)
+    query.set('trusted', '1');
+  const { since, until } = TIME_WINDOWS[timeWindow];
+  if (since !== undefined)
+    query.set('since', Date.now() - since * DAY_MS);
+  if (until !== undefined)
+    query.set('until', Date.now() - until * DAY_MS);
+  return query;
+}
+
 export async function refreshCoverage() {
-  const endpoint = "/get-nodes";
-  const resp = await fetch(endpoint, { headers: { 'Accept': 'application/json' } });
+  const requestId = ++refreshRequestId;
+  const endpoint = `/get-nodes?${viewportQuery()}`;
+  const [resp, predictedData] = await Promise.all([
+    fetch(endpoint, { headers: { 'Accept': 'application/json' } }),
+    needsPredicted() ? fetchPredicted() : null
+  ]);
 
   if (!resp.ok)
     throw new Error(`HTTP ${resp.status} ${resp.statusText}`);
 
-  nodes = await resp.json();
+  const data = await resp.json();
+  if (requestId !== refreshRequestId)
+    return; // A newer viewport request has been made.
+
+  nodes = data;
+  predicted = predictedData;
+  liveSamples = new Map();
   buildIndexes(nodes);
   renderNodes(nodes);
+  renderPredicted();
+}
+
+// --- Predicted coverage ---
+// The server predicts each repeater's coverage from the terrain (see /get-predicted).
+// It's shown as a layer under the measured tiles, and the "Predicted vs Measured"
+// query mode colors measured tiles by how well they agree with it.
+
+function needsPredicted() {
+  return showPredicted || queryMode === 'predicted-vs-measured';
+}
+
+// Fetches the predicted coverage for the viewport.
+async function fetchPredicted() {
+  const resp = await fetch(`/get-predicted?${viewportQuery()}`, { headers: { 'Accept': 'application/json' } });
+  if (!resp.ok)
+    throw new Error(`HTTP ${resp.status} ${resp.statusText}`);
+
+  const data = await resp.json();
+  return {
+    precision: data.precision,
+    sensitivity: data.sensitivity,
+    tiles: new Map(data.tiles.map(t => [t.id, t])),
+  };
+}
+
+// Gets the prediction for a tile, if any. Predictions are no finer than 6 characters,
+// so finer tiles use the one they're in.
+function predictedFor(coverage) {
+  if (predicted === null)
+    return undefined;
+  const tile = nodes.precision > predicted.precision
+    ? cellKey(coverage.pos[0], coverage.pos[1], predicted.precision)
+    : coverage.id;
+  return predicted.tiles.get(tile);
+}
+
+// Draws the predicted coverage layer: darker where the signal should be stronger,
+// outlined only where it should be just below the sensitivity.
+function renderPredicted() {
+  predictedLayer.clearLayers();
+  if (!showPredicted || predicted === null)
+    return;
+
+  predicted.tiles.forEach(t => {
+    const margin = t.rssi - predicted.sensitivity;
+    const style = {
+      color: '#7c3aed',
+      weight: margin < 0 ? 1 : 0,
+      dashArray: margin < 0 ? '2,3' : null,
+      fillColor: '#7c3aed',
+      fillOpacity: margin < 0 ? 0 : Math.min(0.1 + margin / 50, 0.45),
+      interactive: false,
+    };
+    predictedLayer.addLayer(L.polygon(cellLatLngs(t.id), style));
+  });
+}
+
+// --- Live updates ---
+// /events pushes samples, repeater adverts and tile changes as the server gets them.
+// Samples and repeaters are applied to the loaded data in place; tiles changed by a
+// job (consolidation, clean-up, rebuild) are refetched with the viewport.
+
+// Opens the event stream. EventSource reconnects by itself if the stream drops.
+function connectEvents() {
+  const events = new EventSource('/events');
+  events.addEventListener('sample', e => applyLiveSample(JSON.parse(e.data)));
+  events.addEventListener('samples', e => JSON.parse(e.data).samples.forEach(applyLiveSample));
+  events.addEventListener('repeater', e => applyLiveRepeater(JSON.parse(e.data)));
+  events.addEventListener('tiles', e => applyLiveTiles(JSON.parse(e.data)));
+  events.addEventListener('error', () => {
+    eventsDropped = true;
+    // The server turned us away (e.g. too many streams), so it won't retry by itself.
+    if (events.readyState === EventSource.CLOSED)
+      setTimeout(connectEvents, 60 * 1000);
+  });
+  events.addEventListener('open', () => {
+    // Events sent while we were away aren't replayed, so refetch.
+    if (eventsDropped) {
+      eventsDropped = false;
+      scheduleLiveRefresh();
+    }
+  });
+}
+
+// Refetches the viewport soon, once for a burst of changes.
+function scheduleLiveRefresh() {
+  clearTimeout(liveRefreshTimer);
+  liveRefreshTimer = setTimeout(() => {
+    if (popupOpen) return; // Don't close the popup, the next move refreshes.
+    refreshCoverage().catch(err => console.error('Failed to refresh coverage:', err));
+  }, LIVE_REFRESH_DELAY_MS);
+}
+
+// Whether a location is in the area the loaded data covers.
+function inLoadedArea(pos) {
+  return map.getBounds().pad(VIEWPORT_PADDING).contains(pos);
+}
+
+// Replaces a tile's marker after its data changed.
+function redrawCoverage(coverage) {
+  if (coverage.marker)
+    coverageLayer.removeLayer(coverage.marker);
+  coverage.marker = null;
+  const marker = coverageMarker(coverage);
+  if (marker)
+    coverageLayer.addLayer(marker);
+}
+
+// Adds edges from a tile to the likely repeaters for new path ids.
+function addLiveEdges(coverage, ids) {
+  ids.forEach(id => {
+    const likely = getLikelyRepeater(coverage, id);
+    if (likely === null)
+      return;
+    likely.repeater.hitBy.push(coverage);
+    const e = { repeater: likely.repeater, coverage: coverage, confidence: likely.confidence };
+    edgeList.push(e);
+    edgeLine(e).addTo(edgeLayer);
+  });
+}
+
+// Adds an uploaded sample to its tile (and its aggregated sample marker).
+// A geohash counts once, like on the server, so a repeat upload only upgrades lost to heard.
+// Samples already in the last refresh can be counted again until the next one.
+function applyLiveSample(s) {
+  if (!nodes)
+    return;
+  if (trustedOnly && !s.verified)
+    return;
+  if (TIME_WINDOWS[timeWindow].until !== undefined)
+    return; // "As of" windows end in the past.
+  if (!inLoadedArea(posFromHash(s.id)))
+    return;
+
+  const key = cellOfSample(s.id, nodes.precision);
+  const wasHeard = liveSamples.get(s.id);
+  const heard = s.heard > 0 || wasHeard === true;
+  const counts = wasHeard === undefined
+    ? { heard: s.heard, lost: s.lost }
+    : { heard: heard && !wasHeard ? 1 : 0, lost: heard && !wasHeard ? -1 : 0 };
+  liveSamples.set(s.id, heard);
+
+  // The tile.
+  let coverage = hashToCoverage.get(key);
+  if (!coverage) {
+    coverage = { id: key, pos: cellCenter(key), rcv: 0, lost: 0, obs: 0, time: 0, rptr: [], cand: {} };
+    hashToCoverage.set(key, coverage);
+  }
+  coverage.rcv += counts.heard;
+  coverage.lost += counts.lost;
+  coverage.obs = (coverage.obs || s.obs) ? 1 : 0;
+  coverage.time = Math.max(coverage.time || 0, s.time);
+  if (s.snr !== undefined)
+    coverage.snr = (coverage.snr === null || coverage.snr === undefined) ? s.snr : Math.max(coverage.snr, s.snr);
+  if (s.rssi !== undefined)
+    coverage.rssi = (coverage.rssi === null || coverage.rssi === undefined) ? s.rssi : Math.max(coverage.rssi, s.rssi);
+  if (wasHeard === undefined) {
+    const stat = value => (value !== undefined ? { n: 1, mean: value, med: value, p10: value } : undefined);
+    coverage.snrStat = combineStats(coverage.snrStat, stat(s.snr));
+    coverage.rssiStat = combineStats(coverage.rssiStat, stat(s.rssi));
+  }
+  coverage.hrd = coverage.rcv;
+  const newIds = (s.path ?? []).filter(id => !coverage.rptr.includes(id));
+  coverage.rptr.push(...newIds);
+  if (queryMode === 'sample-count')
+    updateGlobalSampleStats();
+  redrawCoverage(coverage);
+  addLiveEdges(coverage, newIds);
+
+  // The aggregated sample marker for the tile.
+  let sample = nodes.samples.find(x => x.id === key);
+  if (!sample) {
+    sample = { id: key, heard: 0, lost: 0, obs: 0, time: 0, path: [] };
+    nodes.samples.push(sample);
+  }
+  sample.heard += counts.heard;
+  sample.lost += counts.lost;
+  sample.obs = (sample.obs || s.obs) ? 1 : 0;
+  sample.time = Math.max(sample.time, s.time);
+  sample.path = Array.from(new Set([...(sample.path ?? []), ...(s.path ?? [])])).sort();
+  if (s.snr !== undefined)
+    sample.snr = sample.snr === undefined ? s.snr : Math.max(sample.snr, s.snr);
+  if (s.rssi !== undefined)
+    sample.rssi = sample.rssi === undefined ? s.rssi : Math.max(sample.rssi, s.rssi);
+  if (showSamples && individualSamples) {
+    const individual = {
+      name: s.id,
+      metadata: { time: fromTruncatedTime(s.time), path: s.path ?? [], snr: s.snr ?? null, rssi: s.rssi ?? null }
+    };
+    individualSamples.keys.push(individual);
+    sampleLayer.addLayer(individualSampleMarker(individual));
+  } else {
+    if (sample.marker)
+      sampleLayer.removeLayer(sample.marker);
+    sampleLayer.addLayer(sampleMarker(sample));
+  }
+}
+
+// Adds or updates a repeater from its advert.
+function applyLiveRepeater(r) {
+  if (!nodes || !inLoadedArea([r.lat, r.lon]))
+    return;
+
+  const existing = keyToRepeater.get(r.key);
+  if (existing) {
+    const moved = existing.lat !== r.lat || existing.lon !== r.lon;
+    repeaterLayer.removeLayer(existing.marker);
+    Object.assign(existing, r, { pos: [r.lat, r.lon] });
+    delete existing.ret;
+    repeaterLayer.addLayer(repeaterMarker(existing));
+    if (moved)
+      scheduleLiveRefresh(); // Its edges and candidates changed.
+    return;
+  }
+
+  r.hitBy = [];
+  r.pos = [r.lat, r.lon];
+  nodes.repeaters.push(r);
+  pushMap(idToRepeaters, r.id, r);
+  keyToRepeater.set(r.key, r);
+  repeaterLayer.addLayer(repeaterMarker(r));
+}
+
+// Refetches the viewport if a job changed any tile in it (tiles is null for all of them).
+function applyLiveTiles({ tiles }) {
+  if (!nodes)
+    return;
+  if (tiles === null || tiles.some(tile => inLoadedArea(cellCenter(tile))))
+    scheduleLiveRefresh();
 }
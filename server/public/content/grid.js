@@ -0,0 +1,49 @@
+// Coverage grid for the map and wardrive pages: geohash rectangles, or H3 hexagons
+// when the server is configured with COVERAGE_GRID=h3 (see /config).
+// Samples are always 8 character geohashes; only coverage tiles use the grid.
+import { cellToBoundary, cellToLatLng, latLngToCell } from 'https://cdn.skypack.dev/h3-js@4.5.0';
+import { geo, loadConfig, posFromHash } from './shared.js';
+
+const COVERAGE_PRECISION = 6;
+
+let coverageGrid = 'geohash';
+let h3Resolutions = {}; // precision -> H3 resolution
+
+// Loads the grid from the server config. Call before using the other functions.
+export async function loadGrid() {
+  const config = await loadConfig();
+  coverageGrid = config.coverageGrid || coverageGrid;
+  h3Resolutions = config.h3Resolutions || h3Resolutions;
+}
+
+export function isH3() {
+  return coverageGrid === 'h3';
+}
+
+// Gets the coverage tile containing a lat/lon.
+export function cellKey(lat, lon, precision = COVERAGE_PRECISION) {
+  return isH3()
+    ? latLngToCell(lat, lon, h3Resolutions[precision])
+    : geo.encode(lat, lon, precision);
+}
+
+// Gets the coverage tile a sample (by its geohash) falls in.
+export function cellOfSample(sampleHash, precision = COVERAGE_PRECISION) {
+  if (!isH3())
+    return sampleHash.substring(0, precision);
+  const [lat, lon] = posFromHash(sampleHash);
+  return cellKey(lat, lon, precision);
+}
+
+// Gets [lat, lon] for the center of a tile.
+export function cellCenter(cell) {
+  return isH3() ? cellToLatLng(cell) : posFromHash(cell);
+}
+
+// Gets the tile outline as Leaflet latlngs.
+export function cellLatLngs(cell) {
+  if (isH3())
+    return cellToBoundary(cell);
+  const [minLat, minLon, maxLat, maxLon] = geo.decode_bbox(cell);
+  return [[minLat, minLon], [minLat, maxLon], [maxLat, maxLon], [maxLat, minLon]];
+}
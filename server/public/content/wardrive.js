@@ -12,8 +12,6 @@ import { colord } from 'https://cdn.skypack.dev/colord@2.9.3';
 import {
   ageInDays,
   centerPos,
-  coverageKey,
-  geo,
   haversineMiles,
   initialZoom,
   isValidLocation,
@@ -22,6 +20,7 @@ import {
   sampleKey,
   posFromHash
 } from "./shared.js";
+import { cellKey, cellLatLngs, cellOfSample, loadGrid } from "./grid.js";
 
 // Fade a color by desaturating and lightening it
 function fadeColor(color, amount) {
@@ -42,6 +41,7 @@ const mapEl = $("map");
 const controlsSection = $("controls"); // May be null in simplified UI
 const intervalSection = $("interval-controls"); // May be null in simplified UI
 const ignoredRepeaterId = $("ignoredRepeaterId");
+const apiKeyStatus = $("apiKeyStatus");
 const logBody = $("logBody"); // May be null in simplified UI
 const debugConsole = $("debugConsole"); // May be null in simplified UI
 
@@ -54,6 +54,7 @@ const pingModeSelect = $("pingModeSelect"); // May be null in simplified UI
 const intervalSelect = $("intervalSelect"); // May be null in simplified UI
 const minDistanceSelect = $("minDistanceSelect"); // May be null in simplified UI
 const ignoredRepeaterBtn = $("ignoredRepeaterBtn");
+const apiKeyBtn = $("apiKeyBtn");
 const ignoreCoverageMapCheckbox = $("ignoreCoverageMapCheckbox");
 const debugModeCheckbox = $("debugModeCheckbox");
 
@@ -64,6 +65,7 @@ const wardriveChannelHash = parseInt("e0", 16);
 const wardriveChannelKey = BufferUtils.hexToBytes("4076c315c1ef385fa93f066027320fe5");
 const wardriveChannelName = "#wardrive";
 const refreshTileAge = 1; // Tiles older than this (days) will get pinged again.
+const tilesRefreshSpreadMs = 30 * 1000; // Pages refetch changed tiles within this, not all at once.
 
 // --- Global Init ---
 const utf8decoder = new TextDecoder(); // default 'utf-8'
@@ -103,18 +105,23 @@ const LOG_KEY = "meshcoreWardriveLogV1";
 const IGNORED_ID_KEY = "meshcoreWardriveIgnoredIdV1"
 const IGNORE_COVERAGE_MAP_KEY = "meshcoreWardriveIgnoreCoverageMapV1"
 const DEBUG_MODE_KEY = "meshcoreWardriveDebugModeV1"
+const API_KEY_KEY = "meshcoreApiKeyV1" // Shared with the add sample/repeater pages.
+const SIGN_TIMEOUT_MS = 5000;
 
 const state = {
   connection: null,
   selfInfo: null,
+  canSign: true, // Cleared if the companion can't sign, so we stop asking.
   wardriveChannel: null,
   pingMode: "fill",
   running: false,
   autoTimerId: null,
-  coverageRefreshTimerId: null,
+  eventsDropped: false, // Set when the event stream drops, so we catch up when it's back
+  tilesRefreshTimer: null, // Pending refetch after a tiles event
   lastSample: null, // { lat, lon, timestamp }
   wakeLock: null,
   ignoredId: null, // Allows a repeater to be ignored.
+  apiKey: null, // Ingest API key, if the server requires one.
   ignoreCoverageMap: false, // Ignore coverage map and send samples anyway
   debugMode: false, // Enable verbose debug logging
   coveredTiles: new Set(),
@@ -170,6 +177,56 @@ function mergeCoverage(id, value) {
   prev.a = Math.min(value.a, prev.a);
 }
 
+// Follows samples uploaded by everyone (see /events), so fill mode skips tiles
+// teammates have just filled. Tiles changed by a job or a big batch (all of them after
+// a full rebuild) are refetched. EventSource reconnects by itself if the stream drops.
+function connectEvents() {
+  const events = new EventSource("/events");
+  events.addEventListener("sample", e => onLiveSample(JSON.parse(e.data)));
+  events.addEventListener("samples", e => JSON.parse(e.data).samples.forEach(onLiveSample));
+  events.addEventListener("tiles", () => {
+    clearTimeout(state.tilesRefreshTimer);
+    state.tilesRefreshTimer = setTimeout(async () => {
+      debugLog("Coverage tiles changed, refreshing coverage data...");
+      await refreshCoverageData();
+      redrawCoverage();
+    }, Math.random() * tilesRefreshSpreadMs);
+  });
+  events.addEventListener("error", () => {
+    state.eventsDropped = true;
+    // The server turned us away (e.g. too many streams), so it won't retry by itself.
+    if (events.readyState === EventSource.CLOSED)
+      setTimeout(connectEvents, 60 * 1000);
+  });
+  events.addEventListener("open", async () => {
+    // Samples sent while we were away aren't replayed, so catch up.
+    if (state.eventsDropped) {
+      state.eventsDropped = false;
+      debugLog("Event stream is back, refreshing coverage data...");
+      await refreshCoverageData();
+      redrawCoverage();
+    }
+  });
+}
+
+// Marks the tile of a just uploaded sample as covered.
+function onLiveSample(sample) {
+  const tileId = cellOfSample(sample.id);
+  const prev = state.coverageTiles.get(tileId);
+  const before = prev ? { ...prev } : null;
+  mergeCoverage(tileId, { o: sample.obs, h: sample.heard, a: 0 });
+  const info = state.coverageTiles.get(tileId);
+  const changed = !before || before.o !== info.o || before.h !== info.h || before.a !== info.a;
+
+  if (!state.coveredTiles.has(tileId)) {
+    debugLog(`Tile ${tileId} was just filled.`);
+    state.coveredTiles.add(tileId);
+    addCoverageBox(tileId);
+  } else if (changed) {
+    addCoverageBox(tileId);
+  }
+}
+
 function getCoverageBoxMarker(tileId) {
   function getMarkerColor(info) {
     if (info.o)
@@ -180,7 +237,6 @@ function getCoverageBoxMarker(tileId) {
   }
 
   const info = state.coverageTiles.get(tileId) || { o: 0, h: 0, a: refreshTileAge + 1 };
-  const [minLat, minLon, maxLat, maxLon] = geo.decode_bbox(tileId);
   const color = getMarkerColor(info);
   const fresh = info.a <= refreshTileAge;
   const fillColor = fresh ? color : fadeColor(color, .4);
@@ -193,7 +249,7 @@ function getCoverageBoxMarker(tileId) {
     pane: "overlayPane",
     interactive: false
   };
-  return L.rectangle([[minLat, minLon], [maxLat, maxLon]], style);
+  return L.polygon(cellLatLngs(tileId), style);
 }
 
 function addCoverageBox(tileId) {
@@ -363,6 +419,62 @@ function updateIgnoreId() {
   if (ignoredRepeaterId) ignoredRepeaterId.innerText = state.ignoredId ?? "<none>";
 }
 
+// --- Signing ---
+// Signs the sample with the companion's key so the server can verify who sent it.
+// Returns the body to POST: { payload, signature } or the plain sample if it can't be signed.
+async function signSample(data) {
+  if (!state.canSign || !state.connection || !data.contributor) return data;
+
+  const payload = JSON.stringify({ ...data, time: Date.now() });
+  let timeout;
+  try {
+    const signature = await Promise.race([
+      state.connection.sign(new TextEncoder().encode(payload)),
+      new Promise((_, reject) => {
+        timeout = setTimeout(() => reject(new Error("timeout")), SIGN_TIMEOUT_MS);
+      }),
+    ]);
+    return { payload, signature: BufferUtils.bytesToHex(signature) };
+  } catch (e) {
+    console.warn("Signing failed, sending unsigned samples", e);
+    log("Companion can't sign samples, sending them unsigned.");
+    state.canSign = false;
+    return data;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// --- API Key ---
+function loadApiKey() {
+  try {
+    state.apiKey = localStorage.getItem(API_KEY_KEY) || null;
+  } catch (e) {
+    console.warn("Failed to load API key", e);
+  }
+
+  updateApiKey();
+}
+
+function promptApiKey() {
+  const key = prompt("Enter the API key for this map (leave empty to clear).", state.apiKey ?? '');
+
+  // Was prompt cancelled?
+  if (key === null)
+    return;
+
+  state.apiKey = key.trim() ? key.trim() : null;
+  if (state.apiKey)
+    localStorage.setItem(API_KEY_KEY, state.apiKey);
+  else
+    localStorage.removeItem(API_KEY_KEY);
+  updateApiKey();
+}
+
+function updateApiKey() {
+  if (apiKeyStatus) apiKeyStatus.innerText = state.apiKey ? `${state.apiKey.substring(0, 10)}…` : "<none>";
+}
+
 // --- Ignore Coverage Map ---
 function loadIgnoreCoverageMap() {
   try {
@@ -451,7 +563,7 @@ async function updateCurrentPosition() {
       map.panTo(state.currentPos);
     }
 
-    const coverageTileId = coverageKey(lat, lon);
+    const coverageTileId = cellKey(lat, lon);
     const needsPing = !state.coveredTiles.has(coverageTileId);
     if (currentTileEl) currentTileEl.innerText = coverageTileId;
     if (currentNeedsPingEl) currentNeedsPingEl.innerText = needsPing ? "✅" : "⛔";
@@ -664,7 +776,7 @@ async function sendPing({ auto = false } = {}) {
   // make sure the lat/lon in the ping is derived from the hash.
   const [rawLat, rawLon] = pos;
   const sampleId = sampleKey(rawLat, rawLon);
-  const coverageTileId = sampleId.substring(0, 6);
+  const coverageTileId = cellOfSample(sampleId);
   const [lat, lon] = posFromHash(sampleId);
   let distanceMilesValue = null;
 
@@ -745,7 +857,11 @@ async function sendPing({ auto = false } = {}) {
   if (sentToMesh) {
     // Send sample to service.
     try {
-      const data = { lat, lon };
+      const data = { lat, lon, source: "wardrive" };
+      if (state.selfInfo?.publicKey) {
+        // Credit the sample to this companion on the contributor leaderboard.
+        data.contributor = BufferUtils.bytesToHex(state.selfInfo.publicKey);
+      }
       if (repeat) {
         data.path = [repeat.repeater];
         data.observed = true; // We heard a repeat, so this is observed
@@ -756,11 +872,18 @@ async function sendPing({ auto = false } = {}) {
         }
       }
 
-      await fetch("/put-sample", {
+      const body = await signSample(data);
+      const headers = { "Content-Type": "application/json" };
+      if (state.apiKey) headers["Authorization"] = `Bearer ${state.apiKey}`;
+      if (data.contributor) headers["X-Device-Id"] = data.contributor;
+
+      const resp = await fetch("/put-sample", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(data),
+        headers: headers,
+        body: JSON.stringify(body),
       });
+      if (!resp.ok)
+        throw new Error(`HTTP ${resp.status} ${resp.statusText}`);
       sentToService = true;
     } catch (e) {
       console.error("Service POST failed", e);
@@ -842,10 +965,6 @@ function stopAutoPing() {
     clearInterval(state.autoTimerId);
     state.autoTimerId = null;
   }
-  if (state.coverageRefreshTimerId != null) {
-    clearInterval(state.coverageRefreshTimerId);
-    state.coverageRefreshTimerId = null;
-  }
   state.running = false;
   updateAutoButton();
   releaseWakeLock();
@@ -880,15 +999,7 @@ async function startAutoPing() {
   await refreshCoverageData();
   redrawCoverage();
 
-  // In "fill" mode, periodically refresh coverage data to stay up to date
-  if (state.pingMode === "fill") {
-    // Refresh coverage every 2 minutes
-    state.coverageRefreshTimerId = setInterval(async () => {
-      debugLog("Refreshing coverage data...");
-      await refreshCoverageData();
-      redrawCoverage();
-    }, 2 * 60 * 1000);
-  }
+  // Tiles filled meanwhile (by us or teammates) come from the event stream.
 
   // Ensure location tracking is active
   await startLocationTracking();
@@ -961,6 +1072,7 @@ async function onConnected() {
 
     const selfInfo = await state.connection.getSelfInfo();
     state.selfInfo = selfInfo;
+    state.canSign = true;
     if (deviceNameEl) {
       deviceNameEl.textContent = selfInfo?.name
         ? `Device: ${selfInfo.name}`
@@ -1110,6 +1222,7 @@ if (pingModeSelect) {
 }
 
 ignoredRepeaterBtn.addEventListener("click", promptIgnoredId);
+if (apiKeyBtn) apiKeyBtn.addEventListener("click", promptApiKey);
 
 if (ignoreCoverageMapCheckbox) {
   ignoreCoverageMapCheckbox.addEventListener("change", () => {
@@ -1167,6 +1280,7 @@ export async function onLoad() {
     
     // Load config from server first
     await loadConfig();
+    await loadGrid();
     
     // Initialize map with configured center position
     map = L.map('map', {
@@ -1203,6 +1317,7 @@ export async function onLoad() {
     
     loadLog();
     loadIgnoredId();
+    loadApiKey();
     loadIgnoreCoverageMap();
     loadDebugMode();
     updateLastSampleInfo();
@@ -1211,6 +1326,7 @@ export async function onLoad() {
     console.log('Wardrive: Refreshing coverage data...');
     await refreshCoverageData();
     redrawCoverage();
+    connectEvents();
 
     console.log('Wardrive: Starting location tracking...');
     await startLocationTracking();
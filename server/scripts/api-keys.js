@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Manage API keys for write (ingest) and maintenance (admin) endpoints.
+ * 
+ * Usage:
+ *   node scripts/api-keys.js create --name <name> --role <ingest|admin>
+ *   node scripts/api-keys.js list
+ *   node scripts/api-keys.js revoke <id|prefix>
+ * 
+ * The plain key is only printed once, when created.
+ */
+
+require('dotenv').config();
+const pool = require('../src/config/database');
+const apiKeysModel = require('../src/models/apiKeys');
+
+function usage() {
+  console.error('Usage:');
+  console.error('  node scripts/api-keys.js create --name <name> --role <ingest|admin>');
+  console.error('  node scripts/api-keys.js list');
+  console.error('  node scripts/api-keys.js revoke <id|prefix>');
+  process.exit(1);
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const [command, ...args] = process.argv.slice(2);
+  const config = { command, name: null, role: 'ingest', target: null };
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--name' && args[i + 1]) {
+      config.name = args[i + 1];
+      i++;
+    } else if (args[i] === '--role' && args[i + 1]) {
+      config.role = args[i + 1];
+      i++;
+    } else if (!config.target) {
+      config.target = args[i];
+    }
+  }
+  
+  return config;
+}
+
+async function main(config) {
+  switch (config.command) {
+    case 'create': {
+      if (!config.name) usage();
+      const created = await apiKeysModel.create(config.name, config.role);
+      console.log(`Created ${created.role} key #${created.id} for "${created.name}"`);
+      console.log('');
+      console.log(`  ${created.key}`);
+      console.log('');
+      console.log('Store it now, it cannot be shown again.');
+      break;
+    }
+    case 'list': {
+      const keys = await apiKeysModel.getAll();
+      if (keys.length === 0) {
+        console.log('No API keys.');
+      }
+      keys.forEach(k => {
+        const status = k.revokedAt ? `revoked ${k.revokedAt.toISOString()}` : 'active';
+        const lastUsed = k.lastUsedAt ? k.lastUsedAt.toISOString() : 'never';
+        console.log(`#${k.id}\t${k.prefix}…\t${k.role}\t${status}\tlast used: ${lastUsed}\t${k.name}`);
+      });
+      break;
+    }
+    case 'revoke': {
+      if (!config.target) usage();
+      const count = await apiKeysModel.revoke(config.target);
+      console.log(count > 0 ? `Revoked ${count} key(s)` : `No active key matches ${config.target}`);
+      break;
+    }
+    default:
+      usage();
+  }
+}
+
+main(parseArgs())
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -13,7 +13,7 @@ done
 echo "PostgreSQL is up - executing migrations"
 
 # Run migrations
-psql -h "$DB_HOST" -p "$DB_PORT" -U "$DB_USER" -d "$DB_NAME" -f /app/migrations/001_initial_schema.sql
+node /app/scripts/migrate.js
 
 echo "Database initialization complete!"
 
@@ -9,6 +9,11 @@
  * Usage:
  *   node scripts/migrate-samples.js
  *   node scripts/migrate-samples.js --source <url> --dest <url>
+ *   node scripts/migrate-samples.js --source <url> --dest <url> --batch 500
+ *   node scripts/migrate-samples.js --source <url> --dest <url> --api-key <key>
+ *
+ * With --batch, samples are sent in groups to /put-samples (next to the
+ * --dest /put-sample URL) instead of one request per sample.
  */
 
 const geo = require('ngeohash');
@@ -25,7 +30,9 @@ function parseArgs() {
   const config = {
     source: DEFAULT_SOURCE,
     dest: DEFAULT_DEST,
-    delay: 30 // milliseconds between requests
+    delay: 30, // milliseconds between requests
+    batch: 0, // samples per /put-samples request, 0 = one /put-sample request per sample
+    apiKey: process.env.API_KEY || null // ingest key for the destination, if it requires one
   };
   
   for (let i = 0; i < args.length; i++) {
@@ -38,6 +45,12 @@ function parseArgs() {
     } else if (args[i] === '--delay' && args[i + 1]) {
       config.delay = parseInt(args[i + 1], 10) || 0;
       i++;
+    } else if (args[i] === '--batch' && args[i + 1]) {
+      config.batch = parseInt(args[i + 1], 10) || 0;
+      i++;
+    } else if (args[i] === '--api-key' && args[i + 1]) {
+      config.apiKey = args[i + 1];
+      i++;
     }
   }
   
@@ -79,8 +92,8 @@ function decodeGeohash(geohash) {
   }
 }
 
-// Post a single sample to destination URL
-async function postSample(destUrl, sample) {
+// Builds the /put-sample(s) request body for a source sample
+function sampleBody(sample) {
   const { name: geohash, metadata } = sample;
   
   // Decode geohash to lat/lon
@@ -108,12 +121,29 @@ async function postSample(destUrl, sample) {
   if (body.snr === null) delete body.snr;
   if (body.rssi === null) delete body.rssi;
   
+  return body;
+}
+
+// Request headers for posting to the destination
+function postHeaders(apiKey) {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  return headers;
+}
+
+// Post a single sample to destination URL
+async function postSample(destUrl, sample, apiKey) {
+  const geohash = sample.name;
+  const body = sampleBody(sample);
+  
   try {
     const response = await fetch(destUrl, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
+      headers: postHeaders(apiKey),
       body: JSON.stringify(body)
     });
     
@@ -128,6 +158,45 @@ async function postSample(destUrl, sample) {
   }
 }
 
+// Longest Retry-After waited out before retrying a rate limited batch. Longer waits
+// (e.g. a quarantine) fail the batch instead.
+const MAX_RETRY_AFTER_SECONDS = 120;
+
+// Post a batch of samples to the /put-samples URL
+// Returns the per-item results from the server
+async function postBatch(batchUrl, samples, apiKey) {
+  const body = JSON.stringify(samples.map(sampleBody));
+  let response;
+  for (;;) {
+    response = await fetch(batchUrl, {
+      method: 'POST',
+      headers: postHeaders(apiKey),
+      body: body
+    });
+    const retryAfter = parseInt(response.headers.get('Retry-After'));
+    if (response.status !== 429 || !(retryAfter <= MAX_RETRY_AFTER_SECONDS)) {
+      break;
+    }
+    console.log(`Rate limited, retrying in ${retryAfter}s...`);
+    await sleep(retryAfter * 1000);
+  }
+  
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}: ${errorText || response.statusText}`);
+  }
+  
+  const data = await response.json();
+  return data.results;
+}
+
+// Gets the /put-samples URL next to a /put-sample URL
+function batchUrlFor(destUrl) {
+  const url = new URL(destUrl);
+  url.pathname = url.pathname.replace(/\/put-sample$/, '/put-samples');
+  return url.toString();
+}
+
 // Sleep utility
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -175,30 +244,63 @@ async function migrate(config) {
   let errorCount = 0;
   const errors = [];
   
-  for (let i = 0; i < samples.length; i++) {
-    const sample = samples[i];
-    const progress = `[${i + 1}/${samples.length}]`;
+  if (config.batch > 0) {
+    const batchUrl = batchUrlFor(config.dest);
+    console.log(`Batching ${config.batch} samples per request to ${batchUrl}`);
     
-    try {
-      await postSample(config.dest, sample);
-      successCount++;
+    for (let start = 0; start < samples.length; start += config.batch) {
+      const batch = samples.slice(start, start + config.batch);
+      const progress = `[${start + batch.length}/${samples.length}]`;
       
-      if ((i + 1) % 100 === 0 || i === samples.length - 1) {
-        console.log(`${progress} Migrated ${successCount} samples (${errorCount} errors)`);
+      try {
+        const results = await postBatch(batchUrl, batch, config.apiKey);
+        results.forEach(r => {
+          if (r.status === 'accepted') {
+            successCount++;
+          } else {
+            errorCount++;
+            errors.push({ sample: batch[r.index]?.name || 'unknown', error: r.reason });
+          }
+        });
+      } catch (error) {
+        errorCount += batch.length;
+        errors.push({ sample: `batch starting at ${start}`, error: error.message });
+        console.error(`${progress} ✗ ${error.message}`);
       }
-    } catch (error) {
-      errorCount++;
-      errors.push({ sample: sample.name || 'unknown', error: error.message });
       
-      // Show error immediately for first few, then batch
-      if (errorCount <= 10) {
-        console.error(`${progress} ✗ ${error.message}`);
+      console.log(`${progress} Migrated ${successCount} samples (${errorCount} errors)`);
+      
+      // Add delay between requests if specified
+      if (config.delay > 0 && start + config.batch < samples.length) {
+        await sleep(config.delay);
       }
     }
+  } else {
+    for (let i = 0; i < samples.length; i++) {
+      const sample = samples[i];
+      const progress = `[${i + 1}/${samples.length}]`;
     
-    // Add delay between requests if specified
-    if (config.delay > 0 && i < samples.length - 1) {
-      await sleep(config.delay);
+      try {
+        await postSample(config.dest, sample, config.apiKey);
+        successCount++;
+      
+        if ((i + 1) % 100 === 0 || i === samples.length - 1) {
+          console.log(`${progress} Migrated ${successCount} samples (${errorCount} errors)`);
+        }
+      } catch (error) {
+        errorCount++;
+        errors.push({ sample: sample.name || 'unknown', error: error.message });
+      
+        // Show error immediately for first few, then batch
+        if (errorCount <= 10) {
+          console.error(`${progress} ✗ ${error.message}`);
+        }
+      }
+    
+      // Add delay between requests if specified
+      if (config.delay > 0 && i < samples.length - 1) {
+        await sleep(config.delay);
+      }
     }
   }
   
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Apply database migrations (the server also applies them when it starts).
+ *
+ * Usage:
+ *   node scripts/migrate.js [up] [--dry-run]
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js baseline [version]
+ *
+ * --dry-run applies pending migrations in a transaction that's rolled back.
+ * baseline records migrations up to a version (default: all) as applied without
+ * running them, for databases that were migrated by hand before.
+ */
+
+require('dotenv').config();
+const pool = require('../src/config/database');
+const migrations = require('../src/services/migrations');
+
+function usage() {
+  console.error('Usage:');
+  console.error('  node scripts/migrate.js [up] [--dry-run]');
+  console.error('  node scripts/migrate.js status');
+  console.error('  node scripts/migrate.js baseline [version]');
+  process.exit(1);
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = { command: 'up', dryRun: false, version: null };
+
+  for (const arg of args) {
+    if (arg === '--dry-run') {
+      config.dryRun = true;
+    } else if (['up', 'status', 'baseline'].includes(arg)) {
+      config.command = arg;
+    } else if (/^\d+$/.test(arg)) {
+      config.version = parseInt(arg);
+    } else {
+      usage();
+    }
+  }
+
+  return config;
+}
+
+async function main(config) {
+  switch (config.command) {
+    case 'up': {
+      const applied = await migrations.migrate({ dryRun: config.dryRun });
+      if (applied.length === 0) {
+        console.log('No pending migrations.');
+      } else if (config.dryRun) {
+        console.log(`${applied.length} pending migration(s) would apply cleanly (nothing was changed).`);
+      } else {
+        console.log(`Applied ${applied.length} migration(s).`);
+      }
+      break;
+    }
+    case 'status': {
+      const status = await migrations.getStatus();
+      status.migrations.forEach(m => {
+        const when = m.appliedAt ? `\t${m.appliedAt.toISOString()}${m.baseline ? ' (baseline)' : ''}` : '';
+        console.log(`${m.state}\t${m.name}${when}`);
+      });
+      status.missing.forEach(name => console.log(`missing\t${name}\t(applied, but the file is gone)`));
+      break;
+    }
+    case 'baseline': {
+      const marked = await migrations.baseline(config.version);
+      marked.forEach(name => console.log(`Marked ${name} as applied`));
+      console.log(`Marked ${marked.length} migration(s) as applied.`);
+      break;
+    }
+    default:
+      usage();
+  }
+}
+
+main(parseArgs())
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild coverage from the raw sample log (the same as POST /rebuild-coverage).
+ *
+ * Usage:
+ *   node scripts/rebuild-coverage.js [--dry-run]
+ *   node scripts/rebuild-coverage.js --prefix <geohash> [--dry-run]
+ *   node scripts/rebuild-coverage.js --bbox <minLat,minLon,maxLat,maxLon> [--dry-run]
+ *   node scripts/rebuild-coverage.js --since <time> --until <time> [--dry-run]
+ *
+ * Without options, every tile is rebuilt. --prefix and --bbox rebuild the tiles in
+ * an area; --since and --until (epoch milliseconds or dates) rebuild the tiles with
+ * samples from then. --dry-run reports what would change without changing anything.
+ */
+
+require('dotenv').config();
+const pool = require('../src/config/database');
+const { parseOptions, rebuild } = require('../src/services/rebuild');
+
+function usage() {
+  console.error('Usage:');
+  console.error('  node scripts/rebuild-coverage.js [--since <time>] [--until <time>] [--prefix <geohash>] [--bbox <bbox>] [--dry-run]');
+  process.exit(1);
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const query = {};
+  let dryRun = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    if (args[i] === '--dry-run') {
+      dryRun = true;
+    } else if (['since', 'until', 'prefix', 'bbox'].includes(name) && args[i] !== name && args[i + 1]) {
+      query[name] = args[i + 1];
+      i++;
+    } else {
+      usage();
+    }
+  }
+
+  try {
+    return { ...parseOptions(query), dryRun: dryRun };
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    usage();
+  }
+}
+
+async function main(config) {
+  const result = await rebuild({ ...config, trigger: 'script' });
+  const verb = config.dryRun ? 'Would rebuild' : 'Rebuilt';
+  console.log(`${verb} ${result.tiles} tile(s) from ${result.samples} sample(s) (${result.raw_samples} raw).`);
+  console.log(`Tiles added: ${result.tiles_added}, removed: ${result.tiles_removed}.`);
+  if (result.coverage_levels !== undefined) {
+    console.log(`Coverage levels: ${result.coverage_levels} tile(s).`);
+  }
+}
+
+main(parseArgs())
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -2,6 +2,7 @@ const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const errorHandler = require('./middleware/errorHandler');
+const { REQUIRE_INGEST_API_KEY } = require('./middleware/auth');
 
 const samplesRoutes = require('./routes/samples');
 const repeatersRoutes = require('./routes/repeaters');
@@ -9,17 +10,39 @@ const coverageRoutes = require('./routes/coverage');
 const nodesRoutes = require('./routes/nodes');
 const adminRoutes = require('./routes/admin');
 const configRoutes = require('./routes/config');
+const tilesRoutes = require('./routes/tiles');
+const exportRoutes = require('./routes/export');
+const contributorsRoutes = require('./routes/contributors');
+const eventsRoutes = require('./routes/events');
+const losRoutes = require('./routes/los');
 
 const app = express();
 
+// Behind a reverse proxy, req.ip (used for rate limits) needs the forwarded address.
+// TRUST_PROXY takes Express values, e.g. "true", a hop count, or "loopback".
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy));
+}
+
 // Middleware
-// CORS configuration - allow all origins for static files and API
-app.use(cors({
-  origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: false
-}));
+// CORS configuration - allow all origins unless CORS_ORIGINS lists the allowed ones (comma separated).
+// Once ingest keys are required, other origins can only read unless they're listed:
+// their pages can't send keys or post.
+const corsOrigins = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()).filter(o => o !== '')
+  : '*';
+const readOnlyCors = corsOrigins === '*' && REQUIRE_INGEST_API_KEY;
+const corsOptions = {
+  origin: corsOrigins,
+  methods: readOnlyCors ? ['GET', 'OPTIONS'] : ['GET', 'POST', 'OPTIONS'],
+  allowedHeaders: readOnlyCors ? ['Content-Type'] : ['Content-Type', 'Authorization', 'X-API-Key', 'X-Device-Id'],
+  credentials: false,
+  optionsSuccessStatus: 200
+};
+app.use(cors(corsOptions));
+// Batch sample uploads can be much larger than the default body limit
+app.use('/put-samples', express.json({ limit: process.env.MAX_BATCH_BODY_SIZE || '10mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -29,12 +52,7 @@ app.get('/health', (req, res) => {
 });
 
 // Handle OPTIONS requests for CORS preflight (before static files)
-app.options('*', (req, res) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.sendStatus(200);
-});
+app.options('*', cors(corsOptions));
 
 // API routes (before static files to handle API requests first)
 app.use('/', samplesRoutes);
@@ -43,6 +61,11 @@ app.use('/', coverageRoutes);
 app.use('/', nodesRoutes);
 app.use('/', adminRoutes);
 app.use('/', configRoutes);
+app.use('/', tilesRoutes);
+app.use('/', exportRoutes);
+app.use('/', contributorsRoutes);
+app.use('/', eventsRoutes);
+app.use('/', losRoutes);
 
 // Handle browser requests for icons on API routes (e.g., /get-nodes.svg)
 // These are common browser behaviors and should return 404 silently
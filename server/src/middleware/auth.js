@@ -0,0 +1,57 @@
+const apiKeysModel = require('../models/apiKeys');
+
+// Ingest keys are opt-in so existing wardrive/MQTT clients keep working until
+// they're issued keys. Until they're required, anyone (any web site, too, while CORS
+// allows all origins) can add samples and repeaters. Admin routes need a key unless
+// explicitly turned off.
+const REQUIRE_INGEST_API_KEY = process.env.REQUIRE_INGEST_API_KEY === 'true';
+const REQUIRE_ADMIN_API_KEY = process.env.REQUIRE_ADMIN_API_KEY !== 'false';
+
+// Gets the API key from "Authorization: Bearer <key>" or "X-API-Key: <key>".
+function getRequestKey(req) {
+  const auth = req.get('Authorization');
+  if (auth && auth.startsWith('Bearer ')) {
+    return auth.substring('Bearer '.length).trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+// Requires an API key with at least the given role ('ingest' or 'admin').
+// A valid key is attached as req.apiKey. An invalid key is always rejected,
+// even when the role doesn't require one.
+function requireRole(role) {
+  const required = role === 'admin' ? REQUIRE_ADMIN_API_KEY : REQUIRE_INGEST_API_KEY;
+  
+  return async (req, res, next) => {
+    try {
+      const key = getRequestKey(req);
+      if (!key) {
+        if (!required) {
+          return next();
+        }
+        return res.status(401).json({ error: 'API key required' });
+      }
+      
+      const apiKey = await apiKeysModel.findActive(key);
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+      
+      if (apiKeysModel.ROLES.indexOf(apiKey.role) < apiKeysModel.ROLES.indexOf(role)) {
+        return res.status(403).json({ error: `API key lacks ${role} role` });
+      }
+      
+      req.apiKey = apiKey;
+      apiKeysModel.touch(apiKey.id).catch(e => console.log(`Failed to update API key usage. ${e}`));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  REQUIRE_INGEST_API_KEY,
+  requireRole,
+  getRequestKey,
+};
@@ -6,15 +6,29 @@ function errorHandler(err, req, res, next) {
   
   console.error('Error:', err);
   
+  // Request bodies the body parsers turned away (too large, malformed JSON)
+  if (err.type && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  
   // Validation errors
   if (err.message && err.message.includes('Invalid location')) {
     return res.status(400).json({ error: err.message });
   }
   
+  if (err.message && err.message.includes('Invalid sample')) {
+    return res.status(400).json({ error: err.message });
+  }
+  
   if (err.message && err.message.includes('exceeds max distance')) {
     return res.status(400).json({ error: err.message });
   }
   
+  // Maintenance jobs that can't overlap
+  if (err.message && err.message.includes('is already running')) {
+    return res.status(409).json({ error: err.message });
+  }
+  
   // Database errors
   if (err.code && err.code.startsWith('23')) {
     return res.status(400).json({ error: 'Database constraint violation' });
@@ -0,0 +1,207 @@
+// In-process rate limiting and quarantine for ingest routes.
+//
+// Clients are identified by API key, or else by IP address. The X-Device-Id header
+// is chosen by the client, so it only narrows the limit: each device at an address
+// gets the limit, and the address as a whole gets a few times it. Each limiter
+// counts requests per client in fixed windows and answers 429 with Retry-After
+// once a client is over its limit, or 413 for a request that costs more than the
+// client could ever send in one window. Clients that keep hitting the limit, or keep
+// sending data that fails validation, are quarantined for a while.
+//
+// State lives in this process only, so limits apply per server instance and
+// reset on restart.
+
+const ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const WINDOW_MS = (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000;
+// Identified (API key) clients, like the MQTT scraper, get this many times the limit.
+const API_KEY_FACTOR = parseInt(process.env.RATE_LIMIT_API_KEY_FACTOR) || 10;
+// Anonymous devices sharing an IP address (e.g. behind carrier NAT) together get this many times the limit.
+const IP_FACTOR = parseInt(process.env.RATE_LIMIT_IP_FACTOR) || 4;
+// Strikes (limited requests or rejected data) within a window before quarantine.
+const QUARANTINE_STRIKES = parseInt(process.env.QUARANTINE_STRIKES) || 20;
+const QUARANTINE_MS = (parseInt(process.env.QUARANTINE_MINUTES) || 60) * 60 * 1000;
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+
+const clients = new Map(); // client or device id -> { windowStart, counts: { bucket -> n }, strikes }
+const quarantined = new Map(); // client id -> { since, until, reason }
+const counters = new Map(); // bucket -> { allowed, limited, quarantined, rejected }
+
+// Gets the id used to track a client, and to quarantine it.
+function getClientId(req) {
+  if (req.apiKey) {
+    return `key:${req.apiKey.id}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+// Gets the id of an anonymous client's device within its IP address, or null for API
+// keys. Requests without an X-Device-Id share one device.
+function getDeviceId(req, clientId) {
+  if (req.apiKey) {
+    return null;
+  }
+  return `${clientId}/device:${(req.get('X-Device-Id') || '').substring(0, 64)}`;
+}
+
+function getCounters(bucket) {
+  if (!counters.has(bucket)) {
+    counters.set(bucket, { allowed: 0, limited: 0, quarantined: 0, rejected: 0 });
+  }
+  return counters.get(bucket);
+}
+
+// Gets the client's state, starting a new window if the last one is over.
+function getClient(clientId, now) {
+  let client = clients.get(clientId);
+  if (!client || now - client.windowStart >= WINDOW_MS) {
+    client = { windowStart: now, counts: {}, strikes: 0 };
+    clients.set(clientId, client);
+  }
+  return client;
+}
+
+function getQuarantine(clientId, now) {
+  const entry = quarantined.get(clientId);
+  if (entry && entry.until <= now) {
+    quarantined.delete(clientId);
+    return null;
+  }
+  return entry || null;
+}
+
+function addStrike(clientId, reason, now) {
+  const client = getClient(clientId, now);
+  client.strikes++;
+  if (client.strikes >= QUARANTINE_STRIKES && !getQuarantine(clientId, now)) {
+    quarantined.set(clientId, { since: now, until: now + QUARANTINE_MS, reason: reason });
+    console.log(`Quarantined ${clientId} until ${new Date(now + QUARANTINE_MS).toISOString()}: ${reason}`);
+  }
+}
+
+function retryAfterSeconds(until, now) {
+  return Math.max(1, Math.ceil((until - now) / 1000));
+}
+
+// Adds a strike against the request's client, for data that's rejected without a 400
+// (e.g. a batch that's mostly invalid items).
+function strike(req, bucket, reason) {
+  if (!ENABLED || req.apiKey?.role === 'admin') {
+    return;
+  }
+  getCounters(bucket).rejected++;
+  addStrike(getClientId(req), reason, Date.now());
+}
+
+// Limits a route to `limit` units per window per client.
+// `cost(req)` gives the units a request uses (default 1), e.g. the number of samples in a batch.
+// Requests costing more than a whole window's limit get 413, since waiting won't help; they
+// aren't strikes. Admin keys aren't limited. Responses with status 400 count as strikes
+// towards quarantine.
+function rateLimit(bucket, limit, cost = () => 1) {
+  return (req, res, next) => {
+    if (!ENABLED || req.apiKey?.role === 'admin') {
+      return next();
+    }
+
+    const now = Date.now();
+    const clientId = getClientId(req);
+    const stats = getCounters(bucket);
+
+    const quarantine = getQuarantine(clientId, now);
+    if (quarantine) {
+      stats.quarantined++;
+      res.set('Retry-After', String(retryAfterSeconds(quarantine.until, now)));
+      return res.status(429).json({ error: `Client quarantined: ${quarantine.reason}` });
+    }
+
+    const client = getClient(clientId, now);
+    const clientLimit = req.apiKey ? limit * API_KEY_FACTOR : limit * IP_FACTOR;
+    const deviceId = getDeviceId(req, clientId);
+    const device = deviceId ? getClient(deviceId, now) : null;
+    const units = Math.max(1, cost(req));
+
+    const maxUnits = device ? Math.min(limit, clientLimit) : clientLimit;
+    if (units > maxUnits) {
+      stats.limited++;
+      return res.status(413).json({ error: `Too large for the rate limit (at most ${maxUnits} per ${WINDOW_MS / 1000}s)` });
+    }
+
+    const over = [[client, clientLimit], [device, limit]]
+      .find(([c, max]) => c && (c.counts[bucket] || 0) + units > max);
+    if (over) {
+      const [c, max] = over;
+      stats.limited++;
+      addStrike(clientId, 'rate limit exceeded', now);
+      res.set('Retry-After', String(retryAfterSeconds(c.windowStart + WINDOW_MS, now)));
+      return res.status(429).json({ error: `Rate limit exceeded (${max} per ${WINDOW_MS / 1000}s)` });
+    }
+
+    client.counts[bucket] = (client.counts[bucket] || 0) + units;
+    if (device) {
+      device.counts[bucket] = (device.counts[bucket] || 0) + units;
+    }
+    stats.allowed++;
+
+    res.on('finish', () => {
+      if (res.statusCode === 400) {
+        stats.rejected++;
+        addStrike(clientId, 'invalid data', Date.now());
+      }
+    });
+
+    next();
+  };
+}
+
+// Lifts a quarantine early. Returns whether the client was quarantined.
+function release(clientId) {
+  clients.delete(clientId);
+  return quarantined.delete(clientId);
+}
+
+function getStats() {
+  const now = Date.now();
+  const buckets = {};
+  for (const [bucket, stats] of counters.entries()) {
+    buckets[bucket] = { ...stats };
+  }
+
+  const quarantinedClients = [];
+  for (const clientId of Array.from(quarantined.keys())) {
+    const entry = getQuarantine(clientId, now);
+    if (entry) {
+      quarantinedClients.push({ client: clientId, ...entry });
+    }
+  }
+
+  return {
+    enabled: ENABLED,
+    windowSeconds: WINDOW_MS / 1000,
+    trackedClients: clients.size,
+    buckets: buckets,
+    quarantined: quarantinedClients
+  };
+}
+
+// Drops finished windows and expired quarantines so idle clients don't pile up.
+function prune() {
+  const now = Date.now();
+  for (const [clientId, client] of clients.entries()) {
+    if (now - client.windowStart >= WINDOW_MS) {
+      clients.delete(clientId);
+    }
+  }
+  for (const clientId of Array.from(quarantined.keys())) {
+    getQuarantine(clientId, now);
+  }
+}
+
+setInterval(prune, PRUNE_INTERVAL_MS).unref();
+
+module.exports = {
+  rateLimit,
+  strike,
+  release,
+  getStats,
+  getClientId,
+};
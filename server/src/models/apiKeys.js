@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+const KEY_PREFIX = 'mcm_';
+
+// Roles in increasing order of privilege. A role grants everything below it.
+const ROLES = ['ingest', 'admin'];
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    role: row.role,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+// Creates a new key. Returns the stored record plus the plain key,
+// which is not recoverable afterwards.
+async function create(name, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role ${role}`);
+  }
+
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const prefix = key.substring(0, KEY_PREFIX.length + 6);
+  const result = await pool.query(
+    'INSERT INTO api_keys (name, key_prefix, key_hash, role) VALUES ($1, $2, $3, $4) RETURNING *',
+    [name, prefix, hashKey(key), role]
+  );
+
+  return { ...toApiKey(result.rows[0]), key: key };
+}
+
+// Gets the active (not revoked) key record for a plain key, or null.
+async function findActive(key) {
+  const result = await pool.query(
+    'SELECT * FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+    [hashKey(key)]
+  );
+  return result.rows.length > 0 ? toApiKey(result.rows[0]) : null;
+}
+
+// Records key usage, at most every few minutes to avoid a write per request.
+async function touch(id) {
+  await pool.query(
+    `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '5 minutes')`,
+    [id]
+  );
+}
+
+async function getAll() {
+  const result = await pool.query('SELECT * FROM api_keys ORDER BY id');
+  return result.rows.map(toApiKey);
+}
+
+// Revokes a key by numeric id or key prefix. Returns the number of keys revoked.
+async function revoke(idOrPrefix) {
+  const isId = /^\d+$/.test(String(idOrPrefix));
+  const result = await pool.query(
+    `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+     WHERE ${isId ? 'id = $1' : 'key_prefix = $1'} AND revoked_at IS NULL
+     RETURNING id`,
+    [isId ? parseInt(idOrPrefix) : idOrPrefix]
+  );
+  return result.rows.length;
+}
+
+module.exports = {
+  ROLES,
+  create,
+  findActive,
+  touch,
+  getAll,
+  revoke,
+};
@@ -1,11 +1,34 @@
 const pool = require('../config/database');
+const { SNR_EDGES, RSSI_EDGES, statsOf } = require('../utils/signalStats');
 
-async function insert(geohash, time, path, observed = null, snr = null, rssi = null) {
+// snrStats/rssiStats default to the stats of snr/rssi alone.
+// A geohash that's already archived (sampled again after it was consolidated) is
+// merged the way samples are (see models/samples.js), so no sample is lost.
+async function insert(geohash, time, path, observed = null, snr = null, rssi = null, contributor = null, signed = false, verified = false, snrStats = null, rssiStats = null, source = null) {
   const normalizedObserved = observed ?? (path && path.length > 0);
-  await pool.query(
-    'INSERT INTO archive (geohash, time, path, observed, snr, rssi) VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (geohash) DO NOTHING',
-    [geohash, time, path, normalizedObserved, snr, rssi]
-  );
+  await pool.query(`
+    INSERT INTO archive (geohash, time, path, observed, snr, rssi, contributor, signed, verified, snr_stats, rssi_stats, source)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    ON CONFLICT (geohash)
+    DO UPDATE SET
+      time = GREATEST(archive.time, EXCLUDED.time),
+      path = (
+        SELECT ARRAY(
+          SELECT DISTINCT unnest(ARRAY_CAT(COALESCE(archive.path, '{}'), EXCLUDED.path))
+          ORDER BY 1
+        )
+      ),
+      observed = COALESCE(EXCLUDED.observed, archive.observed) OR COALESCE(archive.observed, EXCLUDED.observed, false),
+      snr = GREATEST(archive.snr, EXCLUDED.snr),
+      rssi = GREATEST(archive.rssi, EXCLUDED.rssi),
+      contributor = COALESCE(archive.contributor, EXCLUDED.contributor),
+      source = COALESCE(archive.source, EXCLUDED.source),
+      signed = archive.signed AND EXCLUDED.signed,
+      verified = archive.verified AND EXCLUDED.verified,
+      snr_stats = merge_signal_stats(archive.snr_stats, EXCLUDED.snr_stats),
+      rssi_stats = merge_signal_stats(archive.rssi_stats, EXCLUDED.rssi_stats),
+      archived_at = CURRENT_TIMESTAMP
+  `, [geohash, time, path, normalizedObserved, snr, rssi, contributor, signed, verified, snrStats ?? statsOf(snr, SNR_EDGES), rssiStats ?? statsOf(rssi, RSSI_EDGES), source]);
 }
 
 async function getAll() {
@@ -0,0 +1,193 @@
+const pool = require('../config/database');
+const { bboxPrefixes, hashInBbox, SAMPLE_PRECISION, COVERAGE_PRECISION } = require('../utils/shared');
+const { isH3, cellOfSample } = require('../utils/grid');
+
+// Columns clean-up filters match in each table of samples. Templates take the value
+// as '?'. Consolidated coverage samples don't know their source.
+const SAMPLE_COLUMNS = {
+  time: 'time',
+  geohash: 'geohash',
+  path: 'path',
+  contributor: 'contributor = ?',
+  source: 'source = ?',
+};
+const COVERAGE_SAMPLE_COLUMNS = {
+  time: 'cs.sample_time',
+  geohash: 'cs.coverage_geohash',
+  path: 'cs.sample_path',
+  contributor: '? = ANY(cs.sample_contributors)',
+  source: null,
+};
+
+// Builds the conditions for clean-up filters (see services/cleanup.js), adding their
+// values to params. Bboxes are matched by geohash prefixes of up to maxPrecision
+// characters, so callers check them exactly afterwards.
+function filterConditions(filters, columns, params, maxPrecision) {
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = [];
+
+  if (filters.since !== null) {
+    conditions.push(`${columns.time} >= ${param(filters.since)}`);
+  }
+  if (filters.until !== null) {
+    conditions.push(`${columns.time} <= ${param(filters.until)}`);
+  }
+  if (filters.prefix) {
+    conditions.push(`${columns.geohash} LIKE ${param(`${filters.prefix}%`)}`);
+  }
+  if (filters.bbox) {
+    const prefixes = bboxPrefixes(filters.bbox, 64, maxPrecision);
+    conditions.push(`LEFT(${columns.geohash}, ${param(prefixes[0].length)}) = ANY(${param(prefixes)})`);
+  }
+  if (filters.repeater) {
+    conditions.push(`${columns.path} @> ARRAY[${param(filters.repeater)}]::TEXT[]`);
+  }
+  if (filters.contributor) {
+    conditions.push(columns.contributor.replace('?', param(filters.contributor)));
+  }
+  if (filters.source) {
+    conditions.push(columns.source.replace('?', param(filters.source)));
+  }
+  return conditions;
+}
+
+// Gets the samples (table 'samples') or archived samples (table 'archive') matching the
+// filters, oldest first: { geohash, time, path, contributor, source }.
+async function getSamples(table, filters) {
+  const params = [];
+  const conditions = filterConditions(filters, SAMPLE_COLUMNS, params, SAMPLE_PRECISION);
+  const result = await pool.query(`
+    SELECT geohash, time, path, contributor, source
+    FROM ${table === 'archive' ? 'archive' : 'samples'}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY time, geohash
+  `, params);
+
+  return result.rows
+    .filter(row => !filters.bbox || hashInBbox(row.geohash, filters.bbox))
+    .map(row => ({
+      geohash: row.geohash,
+      time: Number(row.time),
+      path: row.path ?? [],
+      contributor: row.contributor ?? null,
+      source: row.source ?? null
+    }));
+}
+
+// Gets the geohashes with samples in the raw sample log matching the filters, and how
+// many samples each has: { geohash, count }.
+async function getRawSamples(filters) {
+  const params = [];
+  const conditions = filterConditions(filters, SAMPLE_COLUMNS, params, SAMPLE_PRECISION);
+  const result = await pool.query(`
+    SELECT geohash, COUNT(*)::INTEGER AS count
+    FROM raw_samples
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY geohash
+    ORDER BY geohash
+  `, params);
+
+  return result.rows.filter(row => !filters.bbox || hashInBbox(row.geohash, filters.bbox));
+}
+
+// Gets the consolidated coverage samples ({ tile, time, path }) that go with the archived
+// samples being removed: the archived summary each consolidation wrote for a tile has
+// the time of its newest sample. Geohash tiles also have summaries from before the
+// archive existed (not archived); those are the only record of their samples, so they
+// go if they match the filters themselves.
+async function getCoverageSamples(filters, archived) {
+  const found = new Map();
+  const keyOf = (tile, time) => `${tile}|${Number(time)}`;
+
+  if (archived.length > 0) {
+    const archivedKeys = new Set(archived.map(a => keyOf(cellOfSample(a.geohash), a.time)));
+    const result = await pool.query(
+      'SELECT coverage_geohash, sample_time, sample_path FROM coverage_samples WHERE archived AND coverage_geohash = ANY($1) AND sample_time = ANY($2)',
+      [
+        Array.from(new Set(archived.map(a => cellOfSample(a.geohash)))),
+        Array.from(new Set(archived.map(a => a.time)))
+      ]
+    );
+    result.rows
+      .filter(row => archivedKeys.has(keyOf(row.coverage_geohash, row.sample_time)))
+      .forEach(row => found.set(keyOf(row.coverage_geohash, row.sample_time), row));
+  }
+
+  if (!isH3() && !filters.source) {
+    const params = [];
+    const conditions = filterConditions(filters, COVERAGE_SAMPLE_COLUMNS, params, COVERAGE_PRECISION);
+    const result = await pool.query(`
+      SELECT cs.coverage_geohash, cs.sample_time, cs.sample_path
+      FROM coverage_samples cs
+      JOIN coverage c ON c.geohash = cs.coverage_geohash
+      WHERE c.grid = 'geohash' AND NOT cs.archived
+        ${conditions.map(c => `AND ${c}`).join(' ')}
+    `, params);
+    result.rows
+      .filter(row => !filters.bbox || hashInBbox(row.coverage_geohash, filters.bbox))
+      .forEach(row => found.set(keyOf(row.coverage_geohash, row.sample_time), row));
+  }
+
+  return Array.from(found.values())
+    .map(row => ({ tile: row.coverage_geohash, time: Number(row.sample_time), path: row.sample_path ?? [] }))
+    .sort((a, b) => a.time - b.time || a.tile.localeCompare(b.tile));
+}
+
+// Deletes samples and archived samples by geohash, consolidated coverage samples by
+// tile and time, and the raw samples matching the filters at the geohashes from
+// getRawSamples, along with the raw copies of the consolidated samples from before the
+// archive, in one transaction. Returns the number of rows deleted from each.
+async function deleteSamples(samples, archived, coverageSamples, filters, rawGeohashes) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const rawParams = [rawGeohashes];
+    const rawConditions = filterConditions(filters, SAMPLE_COLUMNS, rawParams, SAMPLE_PRECISION);
+    const deletedRaw = await client.query(
+      `DELETE FROM raw_samples WHERE geohash = ANY($1) ${rawConditions.map(c => `AND ${c}`).join(' ')}`,
+      rawParams
+    );
+    const deletedRawTiles = await client.query(
+      `DELETE FROM raw_samples
+       WHERE (geohash, time) IN (SELECT * FROM unnest($1::TEXT[], $2::BIGINT[]))`,
+      [coverageSamples.map(s => s.tile), coverageSamples.map(s => s.time)]
+    );
+    const deletedSamples = await client.query(
+      'DELETE FROM samples WHERE geohash = ANY($1)',
+      [samples.map(s => s.geohash)]
+    );
+    const deletedArchived = await client.query(
+      'DELETE FROM archive WHERE geohash = ANY($1)',
+      [archived.map(s => s.geohash)]
+    );
+    const deletedCoverageSamples = await client.query(
+      `DELETE FROM coverage_samples
+       WHERE (coverage_geohash, sample_time) IN (SELECT * FROM unnest($1::TEXT[], $2::BIGINT[]))`,
+      [coverageSamples.map(s => s.tile), coverageSamples.map(s => s.time)]
+    );
+    await client.query('COMMIT');
+
+    return {
+      samples: deletedSamples.rowCount,
+      archived: deletedArchived.rowCount,
+      consolidated: deletedCoverageSamples.rowCount,
+      raw: deletedRaw.rowCount + deletedRawTiles.rowCount
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getSamples,
+  getRawSamples,
+  getCoverageSamples,
+  deleteSamples,
+};
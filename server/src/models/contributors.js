@@ -0,0 +1,72 @@
+const pool = require('../config/database');
+const { SAMPLE_PRECISION, COVERAGE_PRECISION } = require('../utils/shared');
+const { isH3, cellOfSample } = require('../utils/grid');
+
+// Credit comes from the raw sample log, which keeps every upload with its own
+// contributor and time. samples and archive merge uploads at the same geohash into
+// one row that keeps the first contributor and the newest time, so they can't say who
+// drove where, or when.
+
+// Time window conditions on `time` for $1 (since) and $2 (until), either may be null.
+// $3 limits to verified (signed) samples when true.
+const IN_WINDOW = '($1::BIGINT IS NULL OR time >= $1) AND ($2::BIGINT IS NULL OR time <= $2) AND (NOT $3::BOOLEAN OR verified)';
+
+// Gets the number of samples per contributor in the time window.
+async function getSampleCounts(since = null, until = null, trustedOnly = false) {
+  const result = await pool.query(`
+    SELECT contributor, COUNT(*)::INTEGER AS samples
+    FROM raw_samples
+    WHERE contributor IS NOT NULL AND ${IN_WINDOW}
+    GROUP BY contributor
+  `, [since, until, trustedOnly]);
+  return result.rows;
+}
+
+// Gets the number of coverage tiles each contributor filled first.
+// A tile counts if its earliest sample ever (or earliest verified sample, when trusted)
+// is in the time window and is theirs. Geohash tiles are worked out in the database;
+// H3 cells from the earliest sample at each geohash. Samples from before the archive
+// only know their 6 character tile, so they're only placed on the geohash grid.
+async function getFirstFilledCounts(since = null, until = null, trustedOnly = false) {
+  const length = isH3() ? SAMPLE_PRECISION : COVERAGE_PRECISION;
+  const result = await pool.query(`
+    SELECT DISTINCT ON (LEFT(geohash, $2)) LEFT(geohash, $2) AS hash, contributor, time
+    FROM raw_samples
+    WHERE LENGTH(geohash) >= $2 AND (NOT $1::BOOLEAN OR verified)
+    ORDER BY LEFT(geohash, $2), time
+  `, [trustedOnly, length]);
+
+  const firsts = new Map(); // tile -> earliest { contributor, time }
+  for (const row of result.rows) {
+    const tile = cellOfSample(row.hash);
+    const time = Number(row.time);
+    if (!firsts.has(tile) || time < firsts.get(tile).time) {
+      firsts.set(tile, { contributor: row.contributor, time: time });
+    }
+  }
+
+  const counts = new Map(); // contributor -> tiles
+  for (const first of firsts.values()) {
+    if (first.contributor !== null && (since === null || first.time >= since) && (until === null || first.time <= until)) {
+      counts.set(first.contributor, (counts.get(first.contributor) ?? 0) + 1);
+    }
+  }
+  return Array.from(counts, ([contributor, tiles]) => ({ contributor, tiles }));
+}
+
+// Gets each contributor's samples in the time window, in time order.
+async function getTracks(since = null, until = null, trustedOnly = false) {
+  const result = await pool.query(`
+    SELECT contributor, geohash, time
+    FROM raw_samples
+    WHERE contributor IS NOT NULL AND ${IN_WINDOW}
+    ORDER BY contributor, time
+  `, [since, until, trustedOnly]);
+  return result.rows;
+}
+
+module.exports = {
+  getSampleCounts,
+  getFirstFilledCounts,
+  getTracks,
+};
@@ -1,64 +1,56 @@
 const pool = require('../config/database');
+const { SNR_EDGES, RSSI_EDGES, statsOf, mergeStats, parseStats } = require('../utils/signalStats');
+const {
+  bboxPrefixes,
+  rollUpCoverage,
+  levelForPrecision,
+  definedOr,
+  SAMPLE_PRECISION,
+  COVERAGE_PRECISION,
+} = require('../utils/shared');
+const {
+  coverageGrid,
+  isH3,
+  cellPrecision,
+  cellOfSample,
+  cellParent,
+  cellCenterHash,
+  cellBbox,
+} = require('../utils/grid');
 
 async function getAll() {
-  // Check if new columns exist, fallback to old schema if not
-  let result;
-  try {
-    result = await pool.query(`
-      SELECT 
-        c.geohash,
-        c.observed,
-        c.heard,
-        c.lost,
-        c.snr,
-        c.rssi,
-        c.last_observed,
-        c.last_heard,
-        c.hit_repeaters,
-        COALESCE(
-          json_agg(
-            json_build_object(
-              'time', cs.sample_time, 
-              'path', cs.sample_path, 
-              'observed', cs.sample_observed,
-              'snr', cs.sample_snr,
-              'rssi', cs.sample_rssi
-            )
-            ORDER BY cs.sample_time
-          ) FILTER (WHERE cs.sample_time IS NOT NULL),
-          '[]'::json
-        ) as values
-      FROM coverage c
-      LEFT JOIN coverage_samples cs ON c.geohash = cs.coverage_geohash
-      GROUP BY c.geohash, c.observed, c.heard, c.lost, c.snr, c.rssi, c.last_observed, c.last_heard, c.hit_repeaters
-      ORDER BY c.geohash
-    `);
-  } catch (error) {
-    // Fallback to old schema if new columns don't exist
-    if (error.code === '42703') { // column does not exist
-      result = await pool.query(`
-        SELECT 
-          c.geohash,
-          c.heard,
-          c.lost,
-          c.last_heard,
-          c.hit_repeaters,
-          COALESCE(
-            json_agg(
-              json_build_object('time', cs.sample_time, 'path', cs.sample_path)
-              ORDER BY cs.sample_time
-            ) FILTER (WHERE cs.sample_time IS NOT NULL),
-            '[]'::json
-          ) as values
-        FROM coverage c
-        LEFT JOIN coverage_samples cs ON c.geohash = cs.coverage_geohash
-        GROUP BY c.geohash, c.heard, c.lost, c.last_heard, c.hit_repeaters
-        ORDER BY c.geohash
-      `);
-    } else {
-      throw error;
-    }
-  }
+  const result = await pool.query(`
+    SELECT 
+      c.geohash,
+      c.observed,
+      c.heard,
+      c.lost,
+      c.snr,
+      c.rssi,
+      c.last_observed,
+      c.last_heard,
+      c.hit_repeaters,
+      c.snr_stats,
+      c.rssi_stats,
+      COALESCE(
+        json_agg(
+          json_build_object(
+            'time', cs.sample_time, 
+            'path', cs.sample_path, 
+            'observed', cs.sample_observed,
+            'snr', cs.sample_snr,
+            'rssi', cs.sample_rssi
+          )
+          ORDER BY cs.sample_time
+        ) FILTER (WHERE cs.sample_time IS NOT NULL),
+        '[]'::json
+      ) as values
+    FROM coverage c
+    LEFT JOIN coverage_samples cs ON c.geohash = cs.coverage_geohash
+    WHERE c.grid = $1
+    GROUP BY c.geohash, c.observed, c.heard, c.lost, c.snr, c.rssi, c.last_observed, c.last_heard, c.hit_repeaters, c.snr_stats, c.rssi_stats
+    ORDER BY c.geohash
+  `, [coverageGrid]);
   
   return result.rows.map(row => {
     const lastHeard = row.last_heard ?? 0;
@@ -73,62 +65,39 @@ async function getAll() {
       lastObserved: lastObserved,
       lastHeard: lastHeard,
       hitRepeaters: row.hit_repeaters ?? [],
+      snrStats: parseStats(row.snr_stats),
+      rssiStats: parseStats(row.rssi_stats),
       values: Array.isArray(row.values) ? row.values : []
     };
   });
 }
 
 async function getByGeohash(geohash) {
-  let result;
-  try {
-    result = await pool.query(`
-      SELECT 
-        c.geohash,
-        c.observed,
-        c.heard,
-        c.lost,
-        c.snr,
-        c.rssi,
-        c.last_observed,
-        c.last_heard,
-        c.hit_repeaters,
-        COALESCE(
-          json_agg(
-            json_build_object('time', cs.sample_time, 'path', cs.sample_path, 'observed', cs.sample_observed, 'snr', cs.sample_snr, 'rssi', cs.sample_rssi)
-            ORDER BY cs.sample_time
-          ) FILTER (WHERE cs.sample_time IS NOT NULL),
-          '[]'::json
-        ) as values
-      FROM coverage c
-      LEFT JOIN coverage_samples cs ON c.geohash = cs.coverage_geohash
-      WHERE c.geohash = $1
-      GROUP BY c.geohash, c.observed, c.heard, c.lost, c.snr, c.rssi, c.last_observed, c.last_heard, c.hit_repeaters
-    `, [geohash]);
-  } catch (error) {
-    if (error.code === '42703') { // column does not exist
-      result = await pool.query(`
-        SELECT 
-          c.geohash,
-          c.heard,
-          c.lost,
-          c.last_heard,
-          c.hit_repeaters,
-          COALESCE(
-            json_agg(
-              json_build_object('time', cs.sample_time, 'path', cs.sample_path)
-              ORDER BY cs.sample_time
-            ) FILTER (WHERE cs.sample_time IS NOT NULL),
-            '[]'::json
-          ) as values
-        FROM coverage c
-        LEFT JOIN coverage_samples cs ON c.geohash = cs.coverage_geohash
-        WHERE c.geohash = $1
-        GROUP BY c.geohash, c.heard, c.lost, c.last_heard, c.hit_repeaters
-      `, [geohash]);
-    } else {
-      throw error;
-    }
-  }
+  const result = await pool.query(`
+    SELECT 
+      c.geohash,
+      c.observed,
+      c.heard,
+      c.lost,
+      c.snr,
+      c.rssi,
+      c.last_observed,
+      c.last_heard,
+      c.hit_repeaters,
+      c.snr_stats,
+      c.rssi_stats,
+      COALESCE(
+        json_agg(
+          json_build_object('time', cs.sample_time, 'path', cs.sample_path, 'observed', cs.sample_observed, 'snr', cs.sample_snr, 'rssi', cs.sample_rssi)
+          ORDER BY cs.sample_time
+        ) FILTER (WHERE cs.sample_time IS NOT NULL),
+        '[]'::json
+      ) as values
+    FROM coverage c
+    LEFT JOIN coverage_samples cs ON c.geohash = cs.coverage_geohash
+    WHERE c.geohash = $1
+    GROUP BY c.geohash, c.observed, c.heard, c.lost, c.snr, c.rssi, c.last_observed, c.last_heard, c.hit_repeaters, c.snr_stats, c.rssi_stats
+  `, [geohash]);
   
   if (result.rows.length === 0) {
     return null;
@@ -147,10 +116,401 @@ async function getByGeohash(geohash) {
     lastObserved: lastObserved,
     lastHeard: lastHeard,
     hitRepeaters: row.hit_repeaters || [],
+    snrStats: parseStats(row.snr_stats),
+    rssiStats: parseStats(row.rssi_stats),
     values: row.values || []
   };
 }
 
+// Formats coverage totals rows from coverage or coverage_levels.
+function toTotals(row) {
+  const lastHeard = row.last_heard ?? 0;
+  const lastObserved = row.last_observed ?? lastHeard;
+  return {
+    hash: row.geohash,
+    observed: row.observed ?? row.heard ?? 0,
+    heard: row.heard ?? 0,
+    lost: row.lost ?? 0,
+    snr: row.snr ?? null,
+    rssi: row.rssi ?? null,
+    lastObserved: lastObserved,
+    lastHeard: lastHeard,
+    hitRepeaters: row.hit_repeaters ?? [],
+    snrStats: parseStats(row.snr_stats),
+    rssiStats: parseStats(row.rssi_stats)
+  };
+}
+
+// Gets coverage totals (without per-sample values) for tiles of the configured grid under
+// any of the geohash prefixes. All prefixes must be the same length. Null means everything.
+// H3 cells are under a prefix when their center is. Trusted tiles are the ones where
+// every consolidated sample was verified.
+// Precision picks the level: the coverage table, or 5/7 from coverage_levels.
+async function getByPrefixes(prefixes, trustedOnly = false, precision = COVERAGE_PRECISION) {
+  if (precision !== COVERAGE_PRECISION) {
+    return getLevelByPrefixes(prefixes, trustedOnly, precision);
+  }
+
+  const where = prefixes ? 'AND LEFT(COALESCE(center, geohash), $3) = ANY($2)' : '';
+  const params = prefixes ? [prefixes, prefixes[0]?.length ?? 0] : [];
+  const trusted = trustedOnly ? `
+      AND EXISTS (SELECT 1 FROM coverage_samples cs WHERE cs.coverage_geohash = coverage.geohash)
+      AND NOT EXISTS (SELECT 1 FROM coverage_samples cs WHERE cs.coverage_geohash = coverage.geohash AND NOT cs.sample_verified)` : '';
+  const result = await pool.query(`
+    SELECT geohash, observed, heard, lost, snr, rssi, last_observed, last_heard, hit_repeaters, snr_stats, rssi_stats
+    FROM coverage
+    WHERE grid = $1 ${where}${trusted}
+    ORDER BY geohash
+  `, [coverageGrid, ...params]);
+
+  return result.rows.map(toTotals);
+}
+
+// Gets the geohash prefixes to read a tile's samples and children by. An H3 cell
+// isn't a geohash, so it's read by the geohashes around it and filtered afterwards.
+function tilePrefixes(tile) {
+  return isH3() ? bboxPrefixes(cellBbox(tile), 64, SAMPLE_PRECISION) : [tile];
+}
+
+// Gets the geohash prefixes, all the same length, to read several tiles' samples by.
+function prefixesOfTiles(tiles) {
+  const prefixes = tiles.flatMap(tilePrefixes);
+  const length = Math.min(...prefixes.map(p => p.length));
+  return Array.from(new Set(prefixes.map(p => p.substring(0, length))));
+}
+
+// Gets the totals for a tile of any precision (coarser tiles roll up the level
+// below), or null if it has no coverage.
+async function getTile(tile, trustedOnly = false) {
+  const precision = cellPrecision(tile);
+  const coverage = await getByPrefixes(tilePrefixes(tile), trustedOnly, levelForPrecision(precision));
+  return rollUpCoverage(coverage.filter(c => cellParent(c.hash, precision) === tile), precision, cellParent)[0] ?? null;
+}
+
+// Gets coverage_levels totals at a precision (5 or 7) under any of the geohash prefixes.
+async function getLevelByPrefixes(prefixes, trustedOnly, precision) {
+  const result = await pool.query(`
+    SELECT geohash, observed, heard, lost, snr, rssi, last_observed, last_heard, hit_repeaters, snr_stats, rssi_stats
+    FROM coverage_levels
+    WHERE grid = $1 AND precision = $2
+      AND ($3::TEXT[] IS NULL OR LEFT(COALESCE(center, geohash), $4) = ANY($3))
+      AND (NOT $5::BOOLEAN OR verified)
+    ORDER BY geohash
+  `, [coverageGrid, precision, prefixes, prefixes?.[0]?.length ?? 0, trustedOnly]);
+
+  return result.rows.map(toTotals);
+}
+
+// Consolidated samples by geohash (hash). Archived samples are individual samples with
+// their full geohash. Coverage samples are one sample each for a 6 character tile, unless
+// they sum up archived samples (archived), so data consolidated before the archive
+// existed still counts. H3 coverage was always archived, so only geohash coverage
+// samples count.
+const CONSOLIDATED_SAMPLES = `
+  SELECT geohash AS hash, time, path,
+    COALESCE(observed, cardinality(path) > 0) AS observed, snr, rssi, verified,
+    snr_stats, rssi_stats
+  FROM archive
+  UNION ALL
+  SELECT coverage_geohash, sample_time, sample_path,
+    COALESCE(sample_observed, cardinality(sample_path) > 0), sample_snr, sample_rssi, sample_verified,
+    sample_snr_stats, sample_rssi_stats
+  FROM coverage_samples cs
+  JOIN coverage c ON c.geohash = cs.coverage_geohash
+  WHERE c.grid = 'geohash' AND NOT cs.archived
+`;
+
+// Samples still waiting to be consolidated, in the same shape.
+const LIVE_SAMPLES = `
+  SELECT geohash, time, path,
+    COALESCE(observed, cardinality(path) > 0), snr, rssi, verified,
+    snr_stats, rssi_stats
+  FROM samples
+`;
+
+// Gets coverage for tiles under any of the geohash prefixes (null means everything),
+// counting only samples from the time window. since/until may be null. Only consolidated
+// samples count, unless live is set, which adds the samples still waiting to be
+// consolidated (recent windows are mostly those). Trusted counts only verified samples.
+// Tiles are at the given precision; only archived and live samples are placed finer
+// than 6 characters. H3 cells are worked out from the samples' own geohashes.
+async function getInWindow(prefixes, since = null, until = null, trustedOnly = false, precision = COVERAGE_PRECISION, live = false) {
+  if (isH3()) {
+    const bySample = await getInWindowByHash(prefixes, since, until, trustedOnly, SAMPLE_PRECISION, live);
+    return rollUpCoverage(bySample, precision, cellOfSample);
+  }
+  return getInWindowByHash(prefixes, since, until, trustedOnly, precision, live);
+}
+
+// Windowed coverage for geohash tiles of the precision, including whether every sample
+// in a tile was verified.
+async function getInWindowByHash(prefixes, since, until, trustedOnly, precision, live = false) {
+  const samples = live ? `${CONSOLIDATED_SAMPLES} UNION ALL ${LIVE_SAMPLES}` : CONSOLIDATED_SAMPLES;
+  const result = await pool.query(`
+    WITH filtered AS (
+      SELECT LEFT(hash, $6) AS hash, time, path, observed, snr, rssi, verified, snr_stats, rssi_stats
+      FROM (${samples}) consolidated
+      WHERE LENGTH(hash) >= $6
+        AND ($1::TEXT[] IS NULL OR LEFT(hash, $2) = ANY($1))
+        AND ($3::BIGINT IS NULL OR time >= $3)
+        AND ($4::BIGINT IS NULL OR time <= $4)
+        AND (NOT $5::BOOLEAN OR verified)
+    ),
+    repeaters AS (
+      SELECT hash, ARRAY_AGG(DISTINCT LOWER(id) ORDER BY LOWER(id)) AS hit_repeaters
+      FROM filtered, unnest(path) AS id
+      GROUP BY hash
+    )
+    SELECT
+      f.hash AS geohash,
+      COUNT(*) FILTER (WHERE f.observed)::INTEGER AS observed,
+      COUNT(*) FILTER (WHERE cardinality(f.path) > 0)::INTEGER AS heard,
+      COUNT(*) FILTER (WHERE COALESCE(cardinality(f.path), 0) = 0)::INTEGER AS lost,
+      MAX(f.snr) AS snr,
+      MAX(f.rssi) AS rssi,
+      signal_stats_agg(f.snr_stats) AS snr_stats,
+      signal_stats_agg(f.rssi_stats) AS rssi_stats,
+      MAX(f.time) FILTER (WHERE f.observed) AS last_observed,
+      MAX(f.time) FILTER (WHERE cardinality(f.path) > 0) AS last_heard,
+      bool_and(COALESCE(f.verified, false)) AS verified,
+      r.hit_repeaters
+    FROM filtered f
+    LEFT JOIN repeaters r ON r.hash = f.hash
+    GROUP BY f.hash, r.hit_repeaters
+    ORDER BY f.hash
+  `, [prefixes, prefixes?.[0]?.length ?? 0, since, until, trustedOnly, precision]);
+
+  return result.rows.map(row => {
+    const lastHeard = Number(row.last_heard ?? 0);
+    const lastObserved = Number(row.last_observed ?? lastHeard);
+    return {
+      hash: row.geohash,
+      observed: row.observed,
+      heard: row.heard,
+      lost: row.lost,
+      snr: row.snr ?? null,
+      rssi: row.rssi ?? null,
+      lastObserved: lastObserved,
+      lastHeard: lastHeard,
+      hitRepeaters: row.hit_repeaters ?? [],
+      snrStats: parseStats(row.snr_stats),
+      rssiStats: parseStats(row.rssi_stats),
+      verified: row.verified ?? false
+    };
+  });
+}
+
+// Gets the coverage tiles that heard a repeater id, with the best SNR/RSSI and
+// sample count from the consolidated samples whose path included it. Ids match
+// whatever their case, since older data may have stored them upper-case.
+async function getByRepeater(id) {
+  const [tiles, hits] = await Promise.all([
+    pool.query(`
+      SELECT geohash, heard, lost, last_heard
+      FROM coverage
+      WHERE grid = $1 AND EXISTS (SELECT 1 FROM unnest(hit_repeaters) r WHERE LOWER(r) = $2)
+      ORDER BY geohash
+    `, [coverageGrid, id.toLowerCase()]),
+    pool.query(`
+      SELECT hash, MAX(snr) AS snr, MAX(rssi) AS rssi, COUNT(*)::INTEGER AS samples
+      FROM (${CONSOLIDATED_SAMPLES}) consolidated
+      WHERE EXISTS (SELECT 1 FROM unnest(path) r WHERE LOWER(r) = $1)
+      GROUP BY hash
+    `, [id.toLowerCase()])
+  ]);
+
+  // Hits are by sample, so add them up by the tile they're in.
+  const hitsByTile = new Map(); // tile -> { snr, rssi, samples }
+  for (const row of hits.rows) {
+    const tile = cellOfSample(row.hash);
+    const hit = hitsByTile.get(tile) ?? { snr: null, rssi: null, samples: 0 };
+    const snr = row.snr === null ? null : parseFloat(row.snr);
+    const rssi = row.rssi === null ? null : parseFloat(row.rssi);
+    hit.snr = hit.snr === null ? snr : Math.max(hit.snr, snr ?? hit.snr);
+    hit.rssi = hit.rssi === null ? rssi : Math.max(hit.rssi, rssi ?? hit.rssi);
+    hit.samples += row.samples;
+    hitsByTile.set(tile, hit);
+  }
+
+  return tiles.rows.map(row => {
+    const hit = hitsByTile.get(row.geohash);
+    return {
+      hash: row.geohash,
+      heard: row.heard ?? 0,
+      lost: row.lost ?? 0,
+      lastHeard: row.last_heard ?? 0,
+      snr: hit?.snr ?? null,
+      rssi: hit?.rssi ?? null,
+      samples: hit?.samples ?? 0
+    };
+  });
+}
+
+// Gets every sample under a coverage tile (or coarser geohash prefix) in time order:
+// consolidated samples, plus live samples that haven't been consolidated yet.
+// H3 cells read the geohashes around the cell and keep the samples inside it.
+async function getTimeline(tile, trustedOnly = false) {
+  const prefixes = tilePrefixes(tile);
+  const result = await pool.query(`
+    SELECT hash, time, path, observed, snr, rssi, snr_stats, rssi_stats, verified, false AS live
+    FROM (${CONSOLIDATED_SAMPLES}) consolidated
+    WHERE LEFT(hash, $2) = ANY($1) AND (NOT $3::BOOLEAN OR verified)
+    UNION ALL
+    SELECT geohash, time, path, COALESCE(observed, cardinality(path) > 0), snr, rssi, snr_stats, rssi_stats, verified, true
+    FROM samples
+    WHERE LEFT(geohash, $2) = ANY($1) AND (NOT $3::BOOLEAN OR verified)
+    ORDER BY time
+  `, [prefixes, prefixes[0].length, trustedOnly]);
+
+  const precision = cellPrecision(tile);
+  const rows = isH3()
+    ? result.rows.filter(row => row.hash.length === SAMPLE_PRECISION && cellOfSample(row.hash, precision) === tile)
+    : result.rows;
+
+  return rows.map(row => ({
+    time: Number(row.time),
+    path: (row.path ?? []).map(p => p.toLowerCase()),
+    observed: row.observed ?? false,
+    snr: row.snr ?? null,
+    rssi: row.rssi ?? null,
+    snrStats: parseStats(row.snr_stats) ?? statsOf(row.snr, SNR_EDGES),
+    rssiStats: parseStats(row.rssi_stats) ?? statsOf(row.rssi, RSSI_EDGES),
+    verified: row.verified ?? false,
+    live: row.live
+  }));
+}
+
+// A sample's snr or rssi as a number, or null if it has none. Samples read from the
+// database have them as DECIMAL strings.
+function readingOf(sample, name) {
+  const value = sample.metadata?.[name] ?? sample[name] ?? null;
+  return value === null ? null : parseFloat(value);
+}
+
+// Adds newly consolidated samples to coverage_levels: the tile's precision 5 parent,
+// and the precision 7 tiles of samples that have their full geohash (key).
+async function mergeLevels(client, geohash, samples) {
+  const levels = new Map(); // cell -> totals and precision
+  for (const sample of samples) {
+    const key = sample.key ?? sample.geohash ?? '';
+    const time = sample.metadata?.time ?? sample.time ?? 0;
+    const path = (sample.metadata?.path ?? sample.path ?? []).map(p => p.toLowerCase());
+    const observed = sample.metadata?.observed ?? sample.observed ?? (path.length > 0);
+    const snr = readingOf(sample, 'snr');
+    const rssi = readingOf(sample, 'rssi');
+
+    const cells = [[cellParent(geohash, 5), 5]];
+    if (key.length === SAMPLE_PRECISION && cellOfSample(key) === geohash) {
+      cells.push([cellOfSample(key, 7), 7]);
+    }
+
+    for (const [cell, precision] of cells) {
+      if (!levels.has(cell)) {
+        levels.set(cell, {
+          precision: precision, observed: 0, heard: 0, lost: 0, snr: null, rssi: null, lastObserved: 0, lastHeard: 0,
+          hitRepeaters: new Set(), snrStats: null, rssiStats: null, verified: true
+        });
+      }
+
+      const level = levels.get(cell);
+      if (observed) {
+        level.observed++;
+        level.lastObserved = Math.max(level.lastObserved, time);
+      }
+      if (path.length > 0) {
+        level.heard++;
+        level.lastHeard = Math.max(level.lastHeard, time);
+      } else {
+        level.lost++;
+      }
+      if (snr !== null) {
+        level.snr = level.snr === null ? snr : Math.max(level.snr, snr);
+      }
+      if (rssi !== null) {
+        level.rssi = level.rssi === null ? rssi : Math.max(level.rssi, rssi);
+      }
+      path.forEach(p => level.hitRepeaters.add(p));
+      level.snrStats = mergeStats(level.snrStats, sample.metadata?.snrStats ?? sample.snrStats ?? statsOf(snr, SNR_EDGES));
+      level.rssiStats = mergeStats(level.rssiStats, sample.metadata?.rssiStats ?? sample.rssiStats ?? statsOf(rssi, RSSI_EDGES));
+      level.verified = level.verified && (sample.metadata?.verified ?? sample.verified ?? false);
+    }
+  }
+
+  for (const [cell, level] of levels.entries()) {
+    await upsertLevel(client, cell, level.precision, level);
+  }
+}
+
+// Adds totals to a coverage_levels tile (hitRepeaters may be an array or a Set).
+async function upsertLevel(client, cell, precision, level) {
+  await client.query(`
+    INSERT INTO coverage_levels (geohash, grid, precision, center, observed, heard, lost, snr, rssi, last_observed, last_heard, hit_repeaters, snr_stats, rssi_stats, verified)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    ON CONFLICT (geohash)
+    DO UPDATE SET
+      observed = coverage_levels.observed + EXCLUDED.observed,
+      heard = coverage_levels.heard + EXCLUDED.heard,
+      lost = coverage_levels.lost + EXCLUDED.lost,
+      snr = GREATEST(coverage_levels.snr, EXCLUDED.snr),
+      rssi = GREATEST(coverage_levels.rssi, EXCLUDED.rssi),
+      last_observed = GREATEST(coverage_levels.last_observed, EXCLUDED.last_observed),
+      last_heard = GREATEST(coverage_levels.last_heard, EXCLUDED.last_heard),
+      hit_repeaters = (
+        SELECT ARRAY(
+          SELECT DISTINCT unnest(ARRAY_CAT(coverage_levels.hit_repeaters, EXCLUDED.hit_repeaters))
+          ORDER BY 1
+        )
+      ),
+      snr_stats = merge_signal_stats(coverage_levels.snr_stats, EXCLUDED.snr_stats),
+      rssi_stats = merge_signal_stats(coverage_levels.rssi_stats, EXCLUDED.rssi_stats),
+      verified = coverage_levels.verified AND EXCLUDED.verified
+  `, [
+    cell, coverageGrid, precision, cellCenterHash(cell),
+    level.observed, level.heard, level.lost, level.snr, level.rssi,
+    level.lastObserved || null, level.lastHeard || null, [...level.hitRepeaters].sort(),
+    level.snrStats, level.rssiStats, level.verified
+  ]);
+}
+
+// Rebuilds coverage_levels from coverage and the archive (after coverage is cleaned up).
+// Returns the number of level tiles. The database rebuilds geohash levels itself;
+// H3 cells are worked out here.
+async function rebuildLevels() {
+  if (!isH3()) {
+    const result = await pool.query('SELECT rebuild_coverage_levels() AS count');
+    return result.rows[0].count;
+  }
+
+  const [coverage, archived] = await Promise.all([
+    getByPrefixes(null),
+    getInWindowByHash(null, null, null, false, SAMPLE_PRECISION)
+  ]);
+  const trusted = new Set((await getByPrefixes(null, true)).map(c => c.hash));
+  const levels = [
+    [5, rollUpCoverage(coverage.map(c => ({ ...c, verified: trusted.has(c.hash) })), 5, cellParent)],
+    [7, rollUpCoverage(archived, 7, cellOfSample)]
+  ];
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM coverage_levels WHERE grid = $1', [coverageGrid]);
+    for (const [precision, tiles] of levels) {
+      for (const tile of tiles) {
+        await upsertLevel(client, tile.hash, precision, tile);
+      }
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return levels.reduce((count, [, tiles]) => count + tiles.length, 0);
+}
+
 async function mergeCoverage(geohash, samples, cutoffTime = 0) {
   // Start a transaction
   const client = await pool.connect();
@@ -158,23 +518,11 @@ async function mergeCoverage(geohash, samples, cutoffTime = 0) {
   try {
     await client.query('BEGIN');
     
-    // Get existing coverage entry - try new schema first
-    let existing;
-    try {
-      existing = await client.query(
-        'SELECT observed, heard, lost, snr, rssi, last_observed, last_heard, hit_repeaters, updated_at FROM coverage WHERE geohash = $1',
-        [geohash]
-      );
-    } catch (error) {
-      if (error.code === '42703') { // column does not exist
-        existing = await client.query(
-          'SELECT heard, lost, last_heard, hit_repeaters, updated_at FROM coverage WHERE geohash = $1',
-          [geohash]
-        );
-      } else {
-        throw error;
-      }
-    }
+    // Get existing coverage entry, locked until the new totals are written
+    const existing = await client.query(
+      'SELECT observed, heard, lost, snr, rssi, last_observed, last_heard, hit_repeaters, updated_at FROM coverage WHERE geohash = $1 FOR UPDATE',
+      [geohash]
+    );
     
     let observed = 0;
     let heard = 0;
@@ -191,8 +539,8 @@ async function mergeCoverage(geohash, samples, cutoffTime = 0) {
       observed = row.observed ?? row.heard ?? 0;
       heard = row.heard || 0;
       lost = row.lost || 0;
-      snr = row.snr ?? null;
-      rssi = row.rssi ?? null;
+      snr = row.snr === null ? null : parseFloat(row.snr);
+      rssi = row.rssi === null ? null : parseFloat(row.rssi);
       lastObserved = row.last_observed ?? row.last_heard ?? 0;
       lastHeard = row.last_heard || 0;
       (row.hit_repeaters || []).forEach(r => hitRepeatersSet.add(r.toLowerCase()));
@@ -223,17 +571,21 @@ async function mergeCoverage(geohash, samples, cutoffTime = 0) {
     let uberLastObserved = 0;
     let uberLastHeard = 0;
     const uberRepeaters = [];
+    const uberContributors = new Set();
+    let uberVerified = true;
+    let uberSnrStats = null;
+    let uberRssiStats = null;
     
     for (const sample of newSamples) {
       const sampleTime = sample.metadata?.time || sample.time || 0;
       const path = sample.metadata?.path || sample.path || [];
       const observed = sample.metadata?.observed ?? (path.length > 0);
+      const sampleSnr = readingOf(sample, 'snr');
+      const sampleRssi = readingOf(sample, 'rssi');
       
       uberTime = Math.max(uberTime, sampleTime);
-      uberSnr = (uberSnr === null) ? (sample.metadata?.snr || sample.snr || null) : 
-                ((sample.metadata?.snr || sample.snr) !== null ? Math.max(uberSnr, sample.metadata?.snr || sample.snr) : uberSnr);
-      uberRssi = (uberRssi === null) ? (sample.metadata?.rssi || sample.rssi || null) : 
-                 ((sample.metadata?.rssi || sample.rssi) !== null ? Math.max(uberRssi, sample.metadata?.rssi || sample.rssi) : uberRssi);
+      uberSnr = definedOr(Math.max, uberSnr, sampleSnr);
+      uberRssi = definedOr(Math.max, uberRssi, sampleRssi);
       
       if (observed) {
         uberObserved++;
@@ -253,92 +605,70 @@ async function mergeCoverage(geohash, samples, cutoffTime = 0) {
           uberRepeaters.push(lower);
         }
       });
-    }
-    
-    // Insert consolidated sample into coverage_samples - try new schema first
-    try {
-      await client.query(`
-        INSERT INTO coverage_samples (coverage_geohash, sample_time, sample_path, sample_observed, sample_snr, sample_rssi)
-        VALUES ($1, $2, $3, $4, $5, $6)
-        ON CONFLICT (coverage_geohash, sample_time)
-        DO NOTHING
-      `, [geohash, uberTime, uberRepeaters, uberObserved > 0, uberSnr, uberRssi]);
-    } catch (error) {
-      if (error.code === '42703') { // column does not exist
-        await client.query(`
-          INSERT INTO coverage_samples (coverage_geohash, sample_time, sample_path)
-          VALUES ($1, $2, $3)
-          ON CONFLICT (coverage_geohash, sample_time)
-          DO NOTHING
-        `, [geohash, uberTime, uberRepeaters]);
-      } else {
-        throw error;
+      
+      const contributor = sample.metadata?.contributor || sample.contributor;
+      if (contributor) {
+        uberContributors.add(contributor);
       }
+      uberVerified = uberVerified && (sample.metadata?.verified ?? sample.verified ?? false);
+      uberSnrStats = mergeStats(uberSnrStats, sample.metadata?.snrStats ?? sample.snrStats ?? statsOf(sampleSnr, SNR_EDGES));
+      uberRssiStats = mergeStats(uberRssiStats, sample.metadata?.rssiStats ?? sample.rssiStats ?? statsOf(sampleRssi, RSSI_EDGES));
     }
     
     // Update coverage totals
     observed += uberObserved;
     heard += uberHeard;
     lost += uberLost;
-    snr = (snr === null) ? uberSnr : ((uberSnr !== null) ? Math.max(snr, uberSnr) : snr);
-    rssi = (rssi === null) ? uberRssi : ((uberRssi !== null) ? Math.max(rssi, uberRssi) : rssi);
+    snr = definedOr(Math.max, snr, uberSnr);
+    rssi = definedOr(Math.max, rssi, uberRssi);
     lastObserved = Math.max(lastObserved, uberLastObserved);
     lastHeard = Math.max(lastHeard, uberLastHeard);
     
     uberRepeaters.forEach(r => hitRepeatersSet.add(r));
     
-    // Update or insert coverage - try new schema first
-    try {
-      await client.query(`
-        INSERT INTO coverage (geohash, observed, heard, lost, snr, rssi, last_observed, last_heard, hit_repeaters)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        ON CONFLICT (geohash)
-        DO UPDATE SET
-          observed = coverage.observed + EXCLUDED.observed,
-          heard = coverage.heard + EXCLUDED.heard,
-          lost = coverage.lost + EXCLUDED.lost,
-          snr = CASE 
-            WHEN EXCLUDED.snr IS NULL THEN coverage.snr
-            WHEN coverage.snr IS NULL THEN EXCLUDED.snr
-            ELSE GREATEST(EXCLUDED.snr, coverage.snr)
-          END,
-          rssi = CASE 
-            WHEN EXCLUDED.rssi IS NULL THEN coverage.rssi
-            WHEN coverage.rssi IS NULL THEN EXCLUDED.rssi
-            ELSE GREATEST(EXCLUDED.rssi, coverage.rssi)
-          END,
-          last_observed = GREATEST(COALESCE(coverage.last_observed, 0), COALESCE(EXCLUDED.last_observed, 0)),
-          last_heard = GREATEST(coverage.last_heard, EXCLUDED.last_heard),
-          hit_repeaters = (
-            SELECT ARRAY(
-              SELECT DISTINCT unnest(ARRAY_CAT(coverage.hit_repeaters, EXCLUDED.hit_repeaters))
-              ORDER BY 1
-            )
-          ),
-          updated_at = CURRENT_TIMESTAMP
-      `, [geohash, observed, heard, lost, snr, rssi, lastObserved, lastHeard, Array.from(hitRepeatersSet)]);
-    } catch (error) {
-      if (error.code === '42703') { // column does not exist
-        await client.query(`
-          INSERT INTO coverage (geohash, heard, lost, last_heard, hit_repeaters)
-          VALUES ($1, $2, $3, $4, $5)
-          ON CONFLICT (geohash)
-          DO UPDATE SET
-            heard = coverage.heard + EXCLUDED.heard,
-            lost = coverage.lost + EXCLUDED.lost,
-            last_heard = GREATEST(coverage.last_heard, EXCLUDED.last_heard),
-            hit_repeaters = (
-              SELECT ARRAY(
-                SELECT DISTINCT unnest(ARRAY_CAT(coverage.hit_repeaters, EXCLUDED.hit_repeaters))
-                ORDER BY 1
-              )
-            ),
-            updated_at = CURRENT_TIMESTAMP
-        `, [geohash, heard, lost, lastHeard, Array.from(hitRepeatersSet)]);
-      } else {
-        throw error;
-      }
-    }
+    // Update or insert coverage. The counts are already the new totals.
+    await client.query(`
+      INSERT INTO coverage (geohash, grid, center, observed, heard, lost, snr, rssi, last_observed, last_heard, hit_repeaters, snr_stats, rssi_stats)
+      VALUES ($1, $12, $13, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (geohash)
+      DO UPDATE SET
+        snr_stats = merge_signal_stats(coverage.snr_stats, EXCLUDED.snr_stats),
+        rssi_stats = merge_signal_stats(coverage.rssi_stats, EXCLUDED.rssi_stats),
+        observed = EXCLUDED.observed,
+        heard = EXCLUDED.heard,
+        lost = EXCLUDED.lost,
+        snr = CASE 
+          WHEN EXCLUDED.snr IS NULL THEN coverage.snr
+          WHEN coverage.snr IS NULL THEN EXCLUDED.snr
+          ELSE GREATEST(EXCLUDED.snr, coverage.snr)
+        END,
+        rssi = CASE 
+          WHEN EXCLUDED.rssi IS NULL THEN coverage.rssi
+          WHEN coverage.rssi IS NULL THEN EXCLUDED.rssi
+          ELSE GREATEST(EXCLUDED.rssi, coverage.rssi)
+        END,
+        last_observed = GREATEST(COALESCE(coverage.last_observed, 0), COALESCE(EXCLUDED.last_observed, 0)),
+        last_heard = GREATEST(coverage.last_heard, EXCLUDED.last_heard),
+        hit_repeaters = (
+          SELECT ARRAY(
+            SELECT DISTINCT unnest(ARRAY_CAT(coverage.hit_repeaters, EXCLUDED.hit_repeaters))
+            ORDER BY 1
+          )
+        ),
+        updated_at = CURRENT_TIMESTAMP
+    `, [geohash, observed, heard, lost, snr, rssi, lastObserved, lastHeard, Array.from(hitRepeatersSet), uberSnrStats, uberRssiStats,
+      coverageGrid, cellCenterHash(geohash)]);
+
+    // Insert consolidated sample into coverage_samples, after the coverage row it refers
+    // to. Consolidation archives the samples it merges, so it's archived.
+    await client.query(`
+      INSERT INTO coverage_samples (coverage_geohash, sample_time, sample_path, sample_observed, sample_snr, sample_rssi, sample_contributors, sample_verified, sample_snr_stats, sample_rssi_stats, archived)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true)
+      ON CONFLICT (coverage_geohash, sample_time)
+      DO NOTHING
+    `, [geohash, uberTime, uberRepeaters, uberObserved > 0, uberSnr, uberRssi, Array.from(uberContributors).sort(), uberVerified, uberSnrStats, uberRssiStats]);
+
+    await mergeLevels(client, geohash, newSamples);
     
     await client.query('COMMIT');
   } catch (error) {
@@ -354,18 +684,18 @@ async function getRecentGeohashes(lookBackDays) {
   
   // Get from coverage table
   const coverageResult = await pool.query(
-    'SELECT geohash FROM coverage WHERE last_heard >= $1',
-    [cutoffTime]
+    'SELECT geohash FROM coverage WHERE grid = $1 AND last_heard >= $2',
+    [coverageGrid, cutoffTime]
   );
   
   const geohashes = new Set(coverageResult.rows.map(r => r.geohash));
   
   // Also get from samples (all samples are considered recent)
   const samplesResult = await pool.query(
-    'SELECT DISTINCT LEFT(geohash, 6) as geohash FROM samples'
+    'SELECT DISTINCT geohash FROM samples'
   );
   
-  samplesResult.rows.forEach(r => geohashes.add(r.geohash));
+  samplesResult.rows.forEach(r => geohashes.add(cellOfSample(r.geohash)));
   
   return Array.from(geohashes);
 }
@@ -374,68 +704,92 @@ async function deleteByGeohash(geohash) {
   await pool.query('DELETE FROM coverage WHERE geohash = $1', [geohash]);
 }
 
-async function deduplicateValues(geohash) {
+// Recomputes the totals of tiles from their consolidated samples, the same way windowed
+// coverage is worked out, so they match what's left after samples are removed. Tiles
+// with no samples left are deleted. Returns { updated, deleted }.
+async function recomputeTiles(tiles) {
+  if (tiles.length === 0) {
+    return { updated: 0, deleted: 0 };
+  }
+
+  const wanted = new Set(tiles);
+  const totals = new Map((await getInWindow(prefixesOfTiles(tiles)))
+    .filter(c => wanted.has(c.hash))
+    .map(c => [c.hash, c]));
+
   const client = await pool.connect();
-  
+  const result = { updated: 0, deleted: 0 };
   try {
     await client.query('BEGIN');
-    
-    // Get all samples for this coverage
-    const samplesResult = await client.query(
-      'SELECT sample_time, sample_path FROM coverage_samples WHERE coverage_geohash = $1 ORDER BY sample_time',
-      [geohash]
-    );
-    
-    // Group by time and take first path for each time
-    const grouped = new Map();
-    samplesResult.rows.forEach(row => {
-      if (!grouped.has(row.sample_time)) {
-        grouped.set(row.sample_time, row.sample_path);
+    for (const tile of wanted) {
+      const t = totals.get(tile);
+      if (!t) {
+        const deleted = await client.query('DELETE FROM coverage WHERE geohash = $1', [tile]);
+        result.deleted += deleted.rowCount;
+        continue;
       }
-    });
-    
-    // Delete all and reinsert deduplicated
-    await client.query(
-      'DELETE FROM coverage_samples WHERE coverage_geohash = $1',
-      [geohash]
-    );
-    
-    for (const [time, path] of grouped.entries()) {
-      await client.query(
-        'INSERT INTO coverage_samples (coverage_geohash, sample_time, sample_path) VALUES ($1, $2, $3)',
-        [geohash, time, path]
-      );
+      const updated = await client.query(`
+        UPDATE coverage
+        SET observed = $2, heard = $3, lost = $4, snr = $5, rssi = $6, last_observed = $7, last_heard = $8,
+          hit_repeaters = $9, snr_stats = $10, rssi_stats = $11, updated_at = CURRENT_TIMESTAMP
+        WHERE geohash = $1
+      `, [tile, t.observed, t.heard, t.lost, t.snr, t.rssi, t.lastObserved, t.lastHeard, t.hitRepeaters, t.snrStats, t.rssiStats]);
+      result.updated += updated.rowCount;
     }
-    
-    // Recalculate metadata
-    let heard = 0;
-    let lost = 0;
-    let lastHeard = 0;
-    const hitRepeatersSet = new Set();
-    
-    for (const [time, path] of grouped.entries()) {
-      const hasPath = path && path.length > 0;
-      if (hasPath) {
-        heard++;
-      } else {
-        lost++;
-      }
-      lastHeard = Math.max(lastHeard, time);
-      if (path) {
-        path.forEach(p => hitRepeatersSet.add(p.toLowerCase()));
-      }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  return result;
+}
+
+// Replaces tiles of the configured grid with rebuilt ones, along with their
+// consolidated samples. tiles are coverage totals ({ hash, observed, heard, ... });
+// coverageSamples are { tile, time, path, observed, snr, rssi, contributors, verified,
+// snrStats, rssiStats, archived }. scope lists the tiles being replaced (null means all of them),
+// and must include every rebuilt tile; the ones that weren't rebuilt are deleted. The new tiles are written to staging
+// tables first, then swapped in in one transaction, so readers see either the old
+// tiles or the new ones.
+async function replaceTiles(scope, tiles, coverageSamples) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('DROP TABLE IF EXISTS coverage_rebuild, coverage_samples_rebuild');
+    await client.query('CREATE TEMP TABLE coverage_rebuild (LIKE coverage INCLUDING DEFAULTS)');
+    await client.query('CREATE TEMP TABLE coverage_samples_rebuild (LIKE coverage_samples INCLUDING DEFAULTS)');
+
+    for (const t of tiles) {
+      await client.query(`
+        INSERT INTO coverage_rebuild (geohash, grid, center, observed, heard, lost, snr, rssi, last_observed, last_heard, hit_repeaters, snr_stats, rssi_stats)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      `, [
+        t.hash, coverageGrid, cellCenterHash(t.hash), t.observed, t.heard, t.lost, t.snr, t.rssi,
+        t.lastObserved || null, t.lastHeard || null, t.hitRepeaters, t.snrStats, t.rssiStats
+      ]);
     }
-    
+    for (const s of coverageSamples) {
+      await client.query(`
+        INSERT INTO coverage_samples_rebuild (coverage_geohash, sample_time, sample_path, sample_observed, sample_snr, sample_rssi, sample_contributors, sample_verified, sample_snr_stats, sample_rssi_stats, archived)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [s.tile, s.time, s.path, s.observed, s.snr, s.rssi, s.contributors, s.verified, s.snrStats, s.rssiStats, s.archived]);
+    }
+
+    await client.query('BEGIN');
     await client.query(
-      'UPDATE coverage SET heard = $1, lost = $2, last_heard = $3, hit_repeaters = $4 WHERE geohash = $5',
-      [heard, lost, lastHeard, Array.from(hitRepeatersSet), geohash]
+      'DELETE FROM coverage WHERE grid = $1 AND ($2::TEXT[] IS NULL OR geohash = ANY($2))',
+      [coverageGrid, scope]
     );
-    
+    await client.query('INSERT INTO coverage SELECT * FROM coverage_rebuild');
+    await client.query('INSERT INTO coverage_samples SELECT * FROM coverage_samples_rebuild');
     await client.query('COMMIT');
   } catch (error) {
     await client.query('ROLLBACK');
     throw error;
   } finally {
+    await client.query('DROP TABLE IF EXISTS coverage_rebuild, coverage_samples_rebuild').catch(() => {});
     client.release();
   }
 }
@@ -443,9 +797,17 @@ async function deduplicateValues(geohash) {
 module.exports = {
   getAll,
   getByGeohash,
+  getByPrefixes,
+  getTile,
+  getInWindow,
+  getByRepeater,
+  getTimeline,
   mergeCoverage,
+  rebuildLevels,
   getRecentGeohashes,
   deleteByGeohash,
-  deduplicateValues,
+  recomputeTiles,
+  prefixesOfTiles,
+  replaceTiles,
 };
 
@@ -0,0 +1,32 @@
+const pool = require('../config/database');
+
+// Cached locations are rounded to this many decimal places (about 10 m).
+const CACHE_DECIMALS = 4;
+
+function round(value) {
+  return Math.round(value * 10 ** CACHE_DECIMALS) / 10 ** CACHE_DECIMALS;
+}
+
+// Gets the cached elevation (meters) near a location, or null if there isn't one.
+async function get(lat, lon) {
+  const result = await pool.query(
+    'SELECT elevation FROM elevation_cache WHERE lat = $1 AND lon = $2',
+    [round(lat), round(lon)]
+  );
+  return result.rows.length > 0 ? parseFloat(result.rows[0].elevation) : null;
+}
+
+// Caches an elevation for a location. source is 'dem' or 'remote'.
+async function put(lat, lon, elevation, source) {
+  await pool.query(`
+    INSERT INTO elevation_cache (lat, lon, elevation, source)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (lat, lon)
+    DO UPDATE SET elevation = EXCLUDED.elevation, source = EXCLUDED.source, created_at = CURRENT_TIMESTAMP
+  `, [round(lat), round(lon), elevation, source]);
+}
+
+module.exports = {
+  get,
+  put,
+};
@@ -0,0 +1,55 @@
+const pool = require('../config/database');
+
+function toJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    trigger: row.trigger,
+    dryRun: row.dry_run,
+    params: row.params ?? {},
+    status: row.status,
+    result: row.result ?? null,
+    error: row.error ?? null,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at ?? null,
+    durationMs: row.duration_ms ?? null
+  };
+}
+
+// Records the start of a job. Returns its id.
+async function start(type, trigger, params = {}, dryRun = false) {
+  const result = await pool.query(
+    'INSERT INTO maintenance_jobs (type, trigger, dry_run, params) VALUES ($1, $2, $3, $4) RETURNING id',
+    [type, trigger, dryRun, params]
+  );
+  return result.rows[0].id;
+}
+
+// Records how a job ended: with its result counters, or the error that stopped it.
+async function finish(id, result, error = null) {
+  await pool.query(
+    `UPDATE maintenance_jobs
+     SET status = $2, result = $3, error = $4, finished_at = CURRENT_TIMESTAMP,
+       duration_ms = (EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) * 1000)::INTEGER
+     WHERE id = $1`,
+    [id, error ? 'failed' : 'succeeded', result, error ? String(error.message ?? error) : null]
+  );
+}
+
+// Gets the most recent jobs, newest first, optionally of one type.
+async function getRecent(limit = 50, type = null) {
+  const result = await pool.query(
+    `SELECT * FROM maintenance_jobs
+     ${type ? 'WHERE type = $2' : ''}
+     ORDER BY started_at DESC, id DESC
+     LIMIT $1`,
+    type ? [limit, type] : [limit]
+  );
+  return result.rows.map(toJob);
+}
+
+module.exports = {
+  start,
+  finish,
+  getRecent,
+};
@@ -0,0 +1,79 @@
+const pool = require('../config/database');
+const { coverageGrid } = require('../utils/grid');
+
+// Gets what each repeater's prediction was made from: Map of repeater key -> inputs.
+async function getInputs() {
+  const result = await pool.query('SELECT repeater_key, inputs FROM predicted_repeaters');
+  return new Map(result.rows.map(row => [row.repeater_key, row.inputs]));
+}
+
+// Replaces a repeater's predicted tiles ([{ cell, center, rssi }]) and records the
+// inputs they were predicted from.
+async function replace(repeaterKey, inputs, tiles) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM predicted_coverage WHERE repeater_key = $1', [repeaterKey]);
+    await client.query(`
+      INSERT INTO predicted_coverage (repeater_key, geohash, grid, center, rssi)
+      SELECT $1, t.geohash, $2, t.center, t.rssi
+      FROM unnest($3::TEXT[], $4::TEXT[], $5::DECIMAL[]) AS t(geohash, center, rssi)
+    `, [repeaterKey, coverageGrid, tiles.map(t => t.cell), tiles.map(t => t.center), tiles.map(t => t.rssi)]);
+    await client.query(`
+      INSERT INTO predicted_repeaters (repeater_key, inputs, tiles)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (repeater_key)
+      DO UPDATE SET inputs = EXCLUDED.inputs, tiles = EXCLUDED.tiles, predicted_at = CURRENT_TIMESTAMP
+    `, [repeaterKey, inputs, tiles.length]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Deletes the predictions of repeaters whose keys aren't in keys (e.g. retired ones).
+// Returns how many repeaters' predictions were deleted.
+async function deleteExcept(keys) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM predicted_coverage WHERE NOT (repeater_key = ANY($1))', [keys]);
+    const deleted = await client.query('DELETE FROM predicted_repeaters WHERE NOT (repeater_key = ANY($1))', [keys]);
+    await client.query('COMMIT');
+    return deleted.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Gets the best predicted signal for tiles of the configured grid under any of the
+// geohash prefixes (null means everything), as [{ hash, rssi, repeaterKey }] where
+// repeaterKey is the repeater it's expected from. All prefixes must be the same length.
+async function getBestByPrefixes(prefixes) {
+  const result = await pool.query(`
+    SELECT DISTINCT ON (geohash) geohash, rssi, repeater_key
+    FROM predicted_coverage
+    WHERE grid = $1
+      AND ($2::TEXT[] IS NULL OR LEFT(COALESCE(center, geohash), $3) = ANY($2))
+    ORDER BY geohash, rssi DESC
+  `, [coverageGrid, prefixes, prefixes?.[0]?.length ?? 0]);
+
+  return result.rows.map(row => ({
+    hash: row.geohash,
+    rssi: parseFloat(row.rssi),
+    repeaterKey: row.repeater_key
+  }));
+}
+
+module.exports = {
+  getInputs,
+  replace,
+  deleteExcept,
+  getBestByPrefixes,
+};
@@ -0,0 +1,125 @@
+const pool = require('../config/database');
+const { SNR_EDGES, RSSI_EDGES, statsOf, parseStats } = require('../utils/signalStats');
+
+// Months (as 'YYYY-MM') whose partitions this process has already made sure of.
+const knownMonths = new Set();
+
+function monthOf(time) {
+  return new Date(time).toISOString().substring(0, 7);
+}
+
+// Creates the monthly partitions for sample times that don't have one yet. Run it
+// before a transaction that appends samples: creating a partition locks the log.
+async function ensurePartitions(times) {
+  const months = new Map(times.map(time => [monthOf(time), time]));
+  for (const [month, time] of months.entries()) {
+    if (!knownMonths.has(month)) {
+      await pool.query('SELECT create_raw_samples_partition($1)', [time]);
+      knownMonths.add(month);
+    }
+  }
+}
+
+// Appends samples as they were uploaded ({ geohash, time, path, observed, snr, rssi,
+// snrStats, rssiStats, contributor, signed, verified, source }). Pass the client of a
+// transaction to append as part of it; its partitions must already exist.
+async function append(samples, client = null) {
+  if (!client) {
+    await ensurePartitions(samples.map(s => s.time));
+  }
+  for (const s of samples) {
+    await (client ?? pool).query(`
+      INSERT INTO raw_samples (geohash, time, path, observed, snr, rssi, snr_stats, rssi_stats, contributor, signed, verified, source)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `, [
+      s.geohash, s.time, s.path ?? [], s.observed ?? (s.path && s.path.length > 0), s.snr ?? null, s.rssi ?? null,
+      s.snrStats ?? statsOf(s.snr, SNR_EDGES), s.rssiStats ?? statsOf(s.rssi, RSSI_EDGES),
+      s.contributor ?? null, s.signed ?? false, s.verified ?? false, s.source ?? null
+    ]);
+  }
+}
+
+// Gets the geohashes with samples from the time range under any of the geohash
+// prefixes (all the same length). since, until and prefixes may be null.
+async function getGeohashes(prefixes, since = null, until = null) {
+  const result = await pool.query(`
+    SELECT DISTINCT geohash
+    FROM raw_samples
+    WHERE ($1::TEXT[] IS NULL OR LEFT(geohash, $2) = ANY($1))
+      AND ($3::BIGINT IS NULL OR time >= $3)
+      AND ($4::BIGINT IS NULL OR time <= $4)
+  `, [prefixes, prefixes?.[0]?.length ?? 0, since, until]);
+  return result.rows.map(row => row.geohash);
+}
+
+// Consolidated samples in the log: everything except samples still waiting in the
+// samples table, which were received since their sample row was created.
+const CONSOLIDATED_RAW_SAMPLES = `
+  SELECT r.*
+  FROM raw_samples r
+  WHERE NOT EXISTS (
+    SELECT 1 FROM samples s
+    WHERE s.geohash = r.geohash AND r.received_at >= s.created_at
+  )
+`;
+
+// Gets the consolidated samples in the log under any of the geohash prefixes (all the
+// same length, null means everything), merged the way uploads are merged into one
+// sample per geohash: newest time, union of paths, any observed, best snr/rssi, stats
+// added together, and verified only if every part was. Samples from before the
+// archive only know their 6 character tile, so those stay one sample each.
+// archivedTime is the time of the archived sample with the same geohash, if any.
+async function getMerged(prefixes) {
+  const result = await pool.query(`
+    WITH consolidated AS (
+      SELECT *, CASE WHEN LENGTH(geohash) < 8 THEN time END AS part
+      FROM (${CONSOLIDATED_RAW_SAMPLES}) raw
+      WHERE $1::TEXT[] IS NULL OR LEFT(geohash, $2) = ANY($1)
+    ),
+    paths AS (
+      SELECT geohash, part, ARRAY_AGG(DISTINCT LOWER(rid) ORDER BY LOWER(rid)) AS path
+      FROM consolidated, unnest(path) AS p(rid)
+      GROUP BY geohash, part
+    )
+    SELECT
+      c.geohash,
+      MAX(c.time) AS time,
+      COALESCE(p.path, '{}') AS path,
+      bool_or(COALESCE(c.observed, cardinality(c.path) > 0)) AS observed,
+      MAX(c.snr) AS snr,
+      MAX(c.rssi) AS rssi,
+      signal_stats_agg(c.snr_stats) AS snr_stats,
+      signal_stats_agg(c.rssi_stats) AS rssi_stats,
+      COALESCE(ARRAY_AGG(DISTINCT c.contributor) FILTER (WHERE c.contributor IS NOT NULL), '{}') AS contributors,
+      bool_and(COALESCE(c.verified, false)) AS verified,
+      COUNT(*)::INTEGER AS readings,
+      a.time AS archived_time
+    FROM consolidated c
+    LEFT JOIN paths p ON p.geohash = c.geohash AND p.part IS NOT DISTINCT FROM c.part
+    LEFT JOIN archive a ON a.geohash = c.geohash
+    GROUP BY c.geohash, c.part, p.path, a.time
+    ORDER BY c.geohash, MAX(c.time)
+  `, [prefixes, prefixes?.[0]?.length ?? 0]);
+
+  return result.rows.map(row => ({
+    geohash: row.geohash,
+    time: Number(row.time),
+    path: row.path,
+    observed: row.observed ?? false,
+    snr: row.snr === null ? null : parseFloat(row.snr),
+    rssi: row.rssi === null ? null : parseFloat(row.rssi),
+    snrStats: parseStats(row.snr_stats),
+    rssiStats: parseStats(row.rssi_stats),
+    contributors: row.contributors.sort(),
+    verified: row.verified ?? false,
+    readings: row.readings,
+    archivedTime: row.archived_time === null ? null : Number(row.archived_time)
+  }));
+}
+
+module.exports = {
+  ensurePartitions,
+  append,
+  getGeohashes,
+  getMerged,
+};
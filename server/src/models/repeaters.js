@@ -1,28 +1,75 @@
 const pool = require('../config/database');
 
-async function getAll() {
-  const result = await pool.query(
-    'SELECT id, lat, lon, name, elev, time FROM repeaters ORDER BY id, time DESC'
-  );
-  
+const COLUMNS = 'id, public_key, lat, lon, name, elev, time, retired_at';
+
+// lat/lon are stored as DECIMAL(11,8), so adverts are rounded the same way before
+// they're stored or compared with stored locations.
+const LOCATION_DECIMALS = 8;
+
+function roundCoordinate(value) {
+  return Number(Number(value).toFixed(LOCATION_DECIMALS));
+}
+
+// Whether a repeater row is at a location, at the precision locations are stored with.
+function isAtLocation(row, lat, lon) {
+  return roundCoordinate(row.lat) === roundCoordinate(lat) && roundCoordinate(row.lon) === roundCoordinate(lon);
+}
+
+// Formats repeater rows as { keys: [{ name, metadata }] }.
+function toKeys(rows) {
   return {
-    keys: result.rows.map(row => ({
+    keys: rows.map(row => ({
       name: `${row.id}|${parseFloat(row.lat)}|${parseFloat(row.lon)}`,
       metadata: {
         time: row.time,
         id: row.id,
+        publicKey: row.public_key ?? null,
         name: row.name,
         lat: parseFloat(row.lat),
         lon: parseFloat(row.lon),
-        elev: row.elev
+        elev: row.elev,
+        retired: row.retired_at ?? null
       }
     }))
   };
 }
 
+// Retired repeaters are left out unless includeRetired is set.
+async function getAll(includeRetired = false) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS} FROM repeaters ${includeRetired ? '' : 'WHERE retired_at IS NULL'} ORDER BY id, time DESC`
+  );
+
+  return toKeys(result.rows);
+}
+
+// Gets repeaters inside the bbox, plus any repeaters with the given ids
+// (so tiles in view can still be linked to repeaters outside it).
+async function getInBbox(bbox, ids = [], includeRetired = false) {
+  const [minLat, minLon, maxLat, maxLon] = bbox;
+  const result = await pool.query(
+    `SELECT ${COLUMNS} FROM repeaters
+     WHERE ((lat BETWEEN $1 AND $3 AND lon BETWEEN $2 AND $4) OR id = ANY($5))
+       ${includeRetired ? '' : 'AND retired_at IS NULL'}
+     ORDER BY id, time DESC`,
+    [minLat, minLon, maxLat, maxLon, ids]
+  );
+
+  return toKeys(result.rows);
+}
+
+// Gets active repeaters with any of the 1 byte ids, in the same shape as getAll.
+async function getByIds(ids) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS} FROM repeaters WHERE id = ANY($1) AND retired_at IS NULL ORDER BY id, time DESC`,
+    [ids]
+  );
+  return toKeys(result.rows);
+}
+
 async function getById(id) {
   const result = await pool.query(
-    'SELECT id, lat, lon, name, elev, time FROM repeaters WHERE id = $1 ORDER BY time DESC',
+    `SELECT ${COLUMNS} FROM repeaters WHERE id = $1 ORDER BY time DESC`,
     [id]
   );
   return result.rows;
@@ -30,37 +77,208 @@ async function getById(id) {
 
 async function getByLocation(id, lat, lon) {
   const result = await pool.query(
-    'SELECT id, lat, lon, name, elev, time FROM repeaters WHERE id = $1 AND lat = $2 AND lon = $3',
-    [id, lat, lon]
+    `SELECT ${COLUMNS} FROM repeaters WHERE id = $1 AND lat = $2 AND lon = $3`,
+    [id, roundCoordinate(lat), roundCoordinate(lon)]
+  );
+  return result.rows[0] || null;
+}
+
+async function getByPublicKey(publicKey) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS} FROM repeaters WHERE public_key = $1`,
+    [publicKey]
   );
   return result.rows[0] || null;
 }
 
-async function upsert(id, lat, lon, name, elev, time) {
-  const query = `
-    INSERT INTO repeaters (id, lat, lon, name, elev, time)
-    VALUES ($1, $2, $3, $4, $5, $6)
-    ON CONFLICT (id, lat, lon)
-    DO UPDATE SET
-      name = EXCLUDED.name,
-      elev = COALESCE(EXCLUDED.elev, repeaters.elev),
-      time = EXCLUDED.time,
-      updated_at = CURRENT_TIMESTAMP
-  `;
-  
+// Records a change in repeater_history. `previous` is the repeater before the change, if any.
+async function recordHistory(client, event, repeater, previous, time) {
+  await client.query(`
+    INSERT INTO repeater_history (repeater_id, public_key, event, name, lat, lon, prev_name, prev_lat, prev_lon, time)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  `, [
+    repeater.id, repeater.publicKey ?? null, event, repeater.name, repeater.lat, repeater.lon,
+    previous?.name ?? null, previous?.lat ?? null, previous?.lon ?? null, time
+  ]);
+}
+
+// Gets the history events for an advert, compared with the existing row (if any).
+function changeEvents(existing, lat, lon, name) {
+  if (!existing) {
+    return ['added'];
+  }
+
+  const events = [];
+  if (existing.retired_at !== null && existing.retired_at !== undefined) {
+    events.push('revived');
+  }
+  if (!isAtLocation(existing, lat, lon)) {
+    events.push('moved');
+  }
+  if ((existing.name ?? '') !== (name ?? '')) {
+    events.push('renamed');
+  }
+  return events;
+}
+
+// Deletes the row of another keyed repeater at a location, which a keyed advert needs:
+// rows are unique by id and location, so two repeaters with the same id at the same
+// spot can't both have one. The one that adverted last keeps it; the other is
+// recorded as retired and comes back with its next advert.
+async function dropOtherKeyAt(client, id, lat, lon, publicKey, time) {
+  const dropped = await client.query(
+    `DELETE FROM repeaters WHERE id = $1 AND lat = $2 AND lon = $3 AND public_key <> $4 RETURNING ${COLUMNS}`,
+    [id, lat, lon, publicKey]
+  );
+  for (const r of toKeys(dropped.rows).keys) {
+    await recordHistory(client, 'retired', r.metadata, null, time);
+  }
+}
+
+// Upserts a repeater from an advert and records what changed in repeater_history.
+// Without a public key, repeaters are keyed by id and location, and never take a key
+// off a row.
+// With one, the repeater keeps a single row that follows it when it moves, and an
+// id-only row at its location (e.g. added by hand before keys were known) is taken over.
+// Retired repeaters that advert again are revived.
+async function upsert(id, advertLat, advertLon, name, elev, time, publicKey = null) {
   // Ensure elev is null or a valid number (can be decimal)
   const elevValue = elev !== null && elev !== undefined ? parseFloat(elev) : null;
-  
-  await pool.query(query, [id, lat, lon, name, elevValue, time]);
+  const lat = roundCoordinate(advertLat);
+  const lon = roundCoordinate(advertLon);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const keyed = publicKey
+      ? await client.query('SELECT lat, lon, name, retired_at FROM repeaters WHERE public_key = $1', [publicKey])
+      : { rows: [] };
+    if (publicKey) {
+      await dropOtherKeyAt(client, id, lat, lon, publicKey, time);
+    }
+    const existing = keyed.rows[0] ?? (await client.query(
+      'SELECT lat, lon, name, retired_at FROM repeaters WHERE id = $1 AND lat = $2 AND lon = $3',
+      [id, lat, lon]
+    )).rows[0] ?? null;
+    const moved = keyed.rows.length > 0 && !isAtLocation(existing, lat, lon);
+
+    if (moved) {
+      // Drop any id-only row at the new location first, it was this repeater.
+      await client.query(
+        'DELETE FROM repeaters WHERE id = $1 AND lat = $2 AND lon = $3 AND public_key IS NULL',
+        [id, lat, lon]
+      );
+      await client.query(`
+        UPDATE repeaters SET lat = $2, lon = $3, name = $4, elev = $5, time = $6, retired_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE public_key = $1
+      `, [publicKey, lat, lon, name, elevValue, time]);
+    } else {
+      await client.query(`
+        INSERT INTO repeaters (id, public_key, lat, lon, name, elev, time)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (id, lat, lon)
+        DO UPDATE SET
+          public_key = COALESCE(repeaters.public_key, EXCLUDED.public_key),
+          name = EXCLUDED.name,
+          elev = COALESCE(EXCLUDED.elev, repeaters.elev),
+          time = EXCLUDED.time,
+          retired_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      `, [id, publicKey, lat, lon, name, elevValue, time]);
+    }
+
+    const repeater = { id, publicKey, lat, lon, name };
+    for (const event of changeEvents(existing, lat, lon, name)) {
+      await recordHistory(client, event, repeater, existing, time);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
 }
 
-async function deleteStale(maxAgeDays) {
+// Retires repeaters that haven't adverted in maxAgeDays. They stay in the table
+// (hidden by default) with a 'retired' history event at their last advert.
+// Only is a list of repeaters ({ id, lat, lon }) to limit it to, or null for all.
+async function retireStale(maxAgeDays, only = null) {
   const cutoffTime = Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE repeaters SET retired_at = $2
+       WHERE time < $1 AND retired_at IS NULL
+         ${only ? 'AND (id, lat, lon) IN (SELECT * FROM unnest($3::TEXT[], $4::DECIMAL[], $5::DECIMAL[]))' : ''}
+       RETURNING ${COLUMNS}`,
+      only
+        ? [cutoffTime, Date.now(), only.map(r => r.id), only.map(r => r.lat), only.map(r => r.lon)]
+        : [cutoffTime, Date.now()]
+    );
+    for (const r of toKeys(result.rows).keys) {
+      await recordHistory(client, 'retired', r.metadata, null, r.metadata.time);
+    }
+    await client.query('COMMIT');
+    return result.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Removes a duplicate row for a repeater and records it as a move to the row that's kept.
+// Both are repeater metadata ({ id, publicKey, name, lat, lon, time }).
+async function mergeDuplicate(duplicate, kept) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'DELETE FROM repeaters WHERE id = $1 AND lat = $2 AND lon = $3',
+      [duplicate.id, duplicate.lat, duplicate.lon]
+    );
+    const repeater = { ...kept, publicKey: kept.publicKey ?? duplicate.publicKey };
+    await recordHistory(client, 'moved', repeater, duplicate, kept.time);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Gets the history for a 1 byte id (every repeater sharing it) or a full public key, oldest first.
+async function getHistory(idOrKey) {
+  const column = idOrKey.length > 2 ? 'public_key' : 'repeater_id';
   const result = await pool.query(
-    'DELETE FROM repeaters WHERE time < $1 RETURNING id',
-    [cutoffTime]
+    `SELECT repeater_id, public_key, event, name, lat, lon, prev_name, prev_lat, prev_lon, time
+     FROM repeater_history
+     WHERE ${column} = $1
+     ORDER BY time, id`,
+    [idOrKey.toLowerCase()]
   );
-  return result.rows.length;
+
+  const toNumber = value => value !== null ? parseFloat(value) : null;
+  return result.rows.map(row => ({
+    event: row.event,
+    time: row.time,
+    id: row.repeater_id,
+    publicKey: row.public_key,
+    name: row.name,
+    lat: toNumber(row.lat),
+    lon: toNumber(row.lon),
+    previous: row.prev_lat !== null || row.prev_name !== null
+      ? { name: row.prev_name, lat: toNumber(row.prev_lat), lon: toNumber(row.prev_lon) }
+      : null
+  }));
 }
 
 async function deleteByIdLatLon(id, lat, lon) {
@@ -70,12 +288,39 @@ async function deleteByIdLatLon(id, lat, lon) {
   );
 }
 
+// Gets the locations ({ lat, lon }) of repeaters without an elevation, newest advert first.
+async function getMissingElevation() {
+  const result = await pool.query(`
+    SELECT lat, lon FROM repeaters
+    WHERE elev IS NULL
+    GROUP BY lat, lon
+    ORDER BY MAX(time) DESC
+  `);
+  return result.rows.map(row => ({ lat: parseFloat(row.lat), lon: parseFloat(row.lon) }));
+}
+
+// Sets the elevation of repeaters at a location that don't have one. Returns how many.
+async function setMissingElevation(lat, lon, elev) {
+  const result = await pool.query(
+    'UPDATE repeaters SET elev = $3 WHERE lat = $1 AND lon = $2 AND elev IS NULL',
+    [lat, lon, elev]
+  );
+  return result.rowCount;
+}
+
 module.exports = {
+  isAtLocation,
   getAll,
+  getInBbox,
+  getByIds,
   getById,
   getByLocation,
+  getByPublicKey,
   upsert,
-  deleteStale,
+  retireStale,
+  mergeDuplicate,
+  getHistory,
   deleteByIdLatLon,
+  getMissingElevation,
+  setMissingElevation,
 };
-
@@ -1,27 +1,18 @@
 const pool = require('../config/database');
 const { sampleKey, coverageKey } = require('../utils/shared');
+const { SNR_EDGES, RSSI_EDGES, statsOf, parseStats } = require('../utils/signalStats');
+const rawSamplesModel = require('./rawSamples');
+
+// Trusted samples are the ones with verified signatures.
+async function getByPrefix(prefix, trustedOnly = false) {
+  const conditions = [prefix ? 'geohash LIKE $1' : null, trustedOnly ? 'verified' : null].filter(c => c);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const params = prefix ? [`${prefix}%`] : [];
+  const result = await pool.query(
+    `SELECT geohash, time, path, observed, snr, rssi, snr_stats, rssi_stats FROM samples ${where} ORDER BY geohash`,
+    params
+  );
 
-async function getByPrefix(prefix) {
-  // Try new schema first, fallback to old if columns don't exist
-  let query, result;
-  try {
-    query = prefix
-      ? 'SELECT geohash, time, path, observed, snr, rssi FROM samples WHERE geohash LIKE $1 ORDER BY geohash'
-      : 'SELECT geohash, time, path, observed, snr, rssi FROM samples ORDER BY geohash';
-    const params = prefix ? [`${prefix}%`] : [];
-    result = await pool.query(query, params);
-  } catch (error) {
-    if (error.code === '42703') { // column does not exist
-      query = prefix
-        ? 'SELECT geohash, time, path FROM samples WHERE geohash LIKE $1 ORDER BY geohash'
-        : 'SELECT geohash, time, path FROM samples ORDER BY geohash';
-      const params = prefix ? [`${prefix}%`] : [];
-      result = await pool.query(query, params);
-    } else {
-      throw error;
-    }
-  }
-  
   return {
     keys: result.rows.map(row => ({
       name: row.geohash,
@@ -30,24 +21,17 @@ async function getByPrefix(prefix) {
         path: row.path || [],
         observed: row.observed ?? (row.path && row.path.length > 0),
         snr: row.snr ?? null,
-        rssi: row.rssi ?? null
+        rssi: row.rssi ?? null,
+        snrStats: parseStats(row.snr_stats),
+        rssiStats: parseStats(row.rssi_stats)
       }
     }))
   };
 }
 
 async function getAll() {
-  let result;
-  try {
-    result = await pool.query('SELECT geohash, time, path, observed, snr, rssi FROM samples ORDER BY geohash');
-  } catch (error) {
-    if (error.code === '42703') { // column does not exist
-      result = await pool.query('SELECT geohash, time, path FROM samples ORDER BY geohash');
-    } else {
-      throw error;
-    }
-  }
-  
+  const result = await pool.query('SELECT geohash, time, path, observed, snr, rssi, snr_stats, rssi_stats FROM samples ORDER BY geohash');
+
   return {
     keys: result.rows.map(row => ({
       name: row.geohash,
@@ -56,30 +40,44 @@ async function getAll() {
         path: row.path || [],
         observed: row.observed ?? (row.path && row.path.length > 0),
         snr: row.snr ?? null,
-        rssi: row.rssi ?? null
+        rssi: row.rssi ?? null,
+        snrStats: parseStats(row.snr_stats),
+        rssiStats: parseStats(row.rssi_stats)
+      }
+    }))
+  };
+}
+
+// Gets samples under any of the geohash prefixes. All prefixes must be the
+// same length. Null means everything.
+async function getByPrefixes(prefixes, trustedOnly = false) {
+  const where = prefixes ? 'WHERE LEFT(geohash, $2) = ANY($1)' : '';
+  const params = prefixes ? [prefixes, prefixes[0]?.length ?? 0] : [];
+  const trusted = trustedOnly ? `${where ? 'AND' : 'WHERE'} verified` : '';
+  const result = await pool.query(`SELECT geohash, time, path, observed, snr, rssi, snr_stats, rssi_stats FROM samples ${where} ${trusted} ORDER BY geohash`, params);
+
+  return {
+    keys: result.rows.map(row => ({
+      name: row.geohash,
+      metadata: {
+        time: row.time,
+        path: row.path || [],
+        observed: row.observed ?? (row.path && row.path.length > 0),
+        snr: row.snr ?? null,
+        rssi: row.rssi ?? null,
+        snrStats: parseStats(row.snr_stats),
+        rssiStats: parseStats(row.rssi_stats)
       }
     }))
   };
 }
 
 async function getWithMetadata(geohash) {
-  let result;
-  try {
-    result = await pool.query(
-      'SELECT geohash, time, path, observed, snr, rssi FROM samples WHERE geohash = $1',
-      [geohash]
-    );
-  } catch (error) {
-    if (error.code === '42703') { // column does not exist
-      result = await pool.query(
-        'SELECT geohash, time, path FROM samples WHERE geohash = $1',
-        [geohash]
-      );
-    } else {
-      throw error;
-    }
-  }
-  
+  const result = await pool.query(
+    'SELECT geohash, time, path, observed, snr, rssi, snr_stats, rssi_stats FROM samples WHERE geohash = $1',
+    [geohash]
+  );
+
   if (result.rows.length === 0) {
     return { value: null, metadata: null };
   }
@@ -92,64 +90,114 @@ async function getWithMetadata(geohash) {
       path: row.path || [],
       observed: row.observed ?? (row.path && row.path.length > 0),
       snr: row.snr ?? null,
-      rssi: row.rssi ?? null
+      rssi: row.rssi ?? null,
+      snrStats: parseStats(row.snr_stats),
+      rssiStats: parseStats(row.rssi_stats)
     }
   };
 }
 
-async function upsert(geohash, time, path, observed = null, snr = null, rssi = null) {
+// Upsert merges with any existing sample: newest time, union of paths, any observed, best snr/rssi,
+// and snr/rssi stats added together (see utils/signalStats.js).
+// The merged sample keeps its first contributor (and source); contributor credit comes
+// from the raw sample log instead (see models/contributors.js).
+// A merged sample is only signed/verified if all of its parts were.
+const UPSERT_QUERY = `
+  INSERT INTO samples (geohash, time, path, observed, snr, rssi, contributor, signed, verified, snr_stats, rssi_stats, source)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+  ON CONFLICT (geohash) 
+  DO UPDATE SET 
+    time = GREATEST(samples.time, EXCLUDED.time),
+    path = (
+      SELECT ARRAY(
+        SELECT DISTINCT unnest(ARRAY_CAT(COALESCE(samples.path, '{}'), EXCLUDED.path))
+        ORDER BY 1
+      )
+    ),
+    observed = COALESCE(EXCLUDED.observed, samples.observed) OR COALESCE(samples.observed, EXCLUDED.observed, false),
+    snr = CASE 
+      WHEN EXCLUDED.snr IS NULL THEN samples.snr
+      WHEN samples.snr IS NULL THEN EXCLUDED.snr
+      ELSE GREATEST(EXCLUDED.snr, samples.snr)
+    END,
+    rssi = CASE 
+      WHEN EXCLUDED.rssi IS NULL THEN samples.rssi
+      WHEN samples.rssi IS NULL THEN EXCLUDED.rssi
+      ELSE GREATEST(EXCLUDED.rssi, samples.rssi)
+    END,
+    contributor = COALESCE(samples.contributor, EXCLUDED.contributor),
+    source = COALESCE(samples.source, EXCLUDED.source),
+    signed = samples.signed AND EXCLUDED.signed,
+    verified = samples.verified AND EXCLUDED.verified,
+    snr_stats = merge_signal_stats(samples.snr_stats, EXCLUDED.snr_stats),
+    rssi_stats = merge_signal_stats(samples.rssi_stats, EXCLUDED.rssi_stats),
+    updated_at = CURRENT_TIMESTAMP
+`;
+
+// snrStats/rssiStats are the stats of the readings being added; they default to
+// the stats of snr/rssi. Pass them when snr/rssi already include older readings.
+// rawSample is the sample as it was uploaded (see upsertMany); it's appended to the raw
+// sample log in the same transaction, so the two can't disagree.
+async function upsert(geohash, time, path, observed = null, snr = null, rssi = null, contributor = null, signed = false, verified = false, snrStats = undefined, rssiStats = undefined, source = null, rawSample = null) {
   // Normalize observed: if null, derive from path
   const normalizedObserved = observed ?? (path && path.length > 0);
-  
-  // Try new schema first, fallback to old if columns don't exist
-  let query;
+  const newSnrStats = snrStats === undefined ? statsOf(snr, SNR_EDGES) : snrStats;
+  const newRssiStats = rssiStats === undefined ? statsOf(rssi, RSSI_EDGES) : rssiStats;
+
+  if (rawSample) {
+    await rawSamplesModel.ensurePartitions([rawSample.time]);
+  }
+  const client = await pool.connect();
   try {
-    query = `
-      INSERT INTO samples (geohash, time, path, observed, snr, rssi)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      ON CONFLICT (geohash) 
-      DO UPDATE SET 
-        time = GREATEST(samples.time, EXCLUDED.time),
-        path = (
-          SELECT ARRAY(
-            SELECT DISTINCT unnest(ARRAY_CAT(COALESCE(samples.path, '{}'), EXCLUDED.path))
-            ORDER BY 1
-          )
-        ),
-        observed = COALESCE(EXCLUDED.observed, samples.observed) OR COALESCE(samples.observed, EXCLUDED.observed, false),
-        snr = CASE 
-          WHEN EXCLUDED.snr IS NULL THEN samples.snr
-          WHEN samples.snr IS NULL THEN EXCLUDED.snr
-          ELSE GREATEST(EXCLUDED.snr, samples.snr)
-        END,
-        rssi = CASE 
-          WHEN EXCLUDED.rssi IS NULL THEN samples.rssi
-          WHEN samples.rssi IS NULL THEN EXCLUDED.rssi
-          ELSE GREATEST(EXCLUDED.rssi, samples.rssi)
-        END,
-        updated_at = CURRENT_TIMESTAMP
-    `;
-    await pool.query(query, [geohash, time, path, normalizedObserved, snr, rssi]);
+    await client.query('BEGIN');
+    await client.query(UPSERT_QUERY, [geohash, time, path, normalizedObserved, snr, rssi, contributor, signed, verified, newSnrStats, newRssiStats, source]);
+    if (rawSample) {
+      await rawSamplesModel.append([rawSample], client);
+    }
+    await client.query('COMMIT');
   } catch (error) {
-    if (error.code === '42703') { // column does not exist - use old schema
-      query = `
-        INSERT INTO samples (geohash, time, path)
-        VALUES ($1, $2, $3)
-        ON CONFLICT (geohash) 
-        DO UPDATE SET 
-          time = GREATEST(samples.time, EXCLUDED.time),
-          path = (
-            SELECT ARRAY(
-              SELECT DISTINCT unnest(ARRAY_CAT(COALESCE(samples.path, '{}'), EXCLUDED.path))
-              ORDER BY 1
-            )
-          ),
-          updated_at = CURRENT_TIMESTAMP
-      `;
-      await pool.query(query, [geohash, time, path]);
-    } else {
-      throw error;
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Upserts many samples ({ geohash, time, path, observed, snr, rssi, contributor, signed, verified, source }) in one transaction,
+// and appends them to the raw sample log.
+// Each sample gets a savepoint so one bad row doesn't sink the batch.
+// Returns a per-sample array of null (ok) or the error that rejected it.
+async function upsertMany(samples) {
+  await rawSamplesModel.ensurePartitions(samples.map(s => s.time));
+  const client = await pool.connect();
+  const errors = [];
+
+  try {
+    await client.query('BEGIN');
+
+    for (const s of samples) {
+      const observed = s.observed ?? (s.path && s.path.length > 0);
+      await client.query('SAVEPOINT sample');
+      try {
+        await client.query(UPSERT_QUERY, [
+          s.geohash, s.time, s.path, observed, s.snr, s.rssi, s.contributor ?? null, s.signed ?? false, s.verified ?? false,
+          s.snrStats ?? statsOf(s.snr, SNR_EDGES), s.rssiStats ?? statsOf(s.rssi, RSSI_EDGES), s.source ?? null
+        ]);
+        await rawSamplesModel.append([s], client);
+        errors.push(null);
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT sample');
+        errors.push(error);
+      }
     }
+    
+    await client.query('COMMIT');
+    return errors;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
 }
 
@@ -160,7 +208,7 @@ async function deleteByGeohash(geohash) {
 async function getOlderThan(maxAgeDays) {
   const cutoffTime = Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000);
   const result = await pool.query(
-    'SELECT geohash, time, path, observed, snr, rssi FROM samples WHERE time < $1 ORDER BY geohash',
+    'SELECT geohash, time, path, observed, snr, rssi, snr_stats, rssi_stats, contributor, signed, verified, source FROM samples WHERE time < $1 ORDER BY geohash',
     [cutoffTime]
   );
   return result.rows.map(row => ({
@@ -169,25 +217,24 @@ async function getOlderThan(maxAgeDays) {
     path: row.path || [],
     observed: row.observed ?? (row.path && row.path.length > 0),
     snr: row.snr,
-    rssi: row.rssi
+    rssi: row.rssi,
+    snrStats: parseStats(row.snr_stats),
+    rssiStats: parseStats(row.rssi_stats),
+    contributor: row.contributor,
+    signed: row.signed ?? false,
+    verified: row.verified ?? false,
+    source: row.source ?? null
   }));
 }
 
-async function deleteByTimeRange(startTime, endTime) {
-  const result = await pool.query(
-    'DELETE FROM samples WHERE time >= $1 AND time <= $2 RETURNING geohash',
-    [startTime, endTime]
-  );
-  return result.rows.length;
-}
-
 module.exports = {
   getByPrefix,
   getAll,
+  getByPrefixes,
   getWithMetadata,
   upsert,
+  upsertMany,
   deleteByGeohash,
   getOlderThan,
-  deleteByTimeRange,
 };
 
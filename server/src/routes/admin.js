@@ -1,216 +1,160 @@
 const express = require('express');
 const router = express.Router();
-const samplesModel = require('../models/samples');
-const repeatersModel = require('../models/repeaters');
-const coverageModel = require('../models/coverage');
-const archiveModel = require('../models/archive');
-const { ageInDays, posFromHash, isValidLocation, haversineMiles } = require('../utils/shared');
-
-// POST /consolidate?maxAge=<days>
-router.post('/consolidate', async (req, res, next) => {
+const maintenanceJobsModel = require('../models/maintenanceJobs');
+const { consolidate, getConsolidateMaxAgeDays, JOB_TYPE: CONSOLIDATE_JOB } = require('../services/consolidate');
+const cleanup = require('../services/cleanup');
+const rebuild = require('../services/rebuild');
+const elevation = require('../services/elevation');
+const prediction = require('../services/prediction');
+const jobs = require('../services/jobs');
+const { parseFlag } = require('../utils/shared');
+const { requireRole } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+
+const DEFAULT_JOBS_LIMIT = 50;
+const MAX_JOBS_LIMIT = 500;
+
+// GET /admin/stats
+router.get('/admin/stats', requireRole('admin'), async (req, res, next) => {
   try {
-    // Default to 14 days (2 weeks) if not specified
-    const defaultMaxAge = parseInt(process.env.CONSOLIDATE_MAX_AGE_DAYS) || 14;
-    const maxAge = parseInt(req.query.maxAge) || defaultMaxAge;
-    const result = {
-      coverage_entites_to_update: 0,
-      samples_to_update: 0,
-      merged_ok: 0,
-      merged_fail: 0,
-      archive_ok: 0,
-      archive_fail: 0,
-      delete_ok: 0,
-      delete_fail: 0,
-      delete_skip: 0
-    };
-    
-    // Get old samples
-    const oldSamples = await samplesModel.getOlderThan(maxAge);
-    result.samples_to_update = oldSamples.length;
-    
-    // Group by 6-char geohash
-    const hashToSamples = new Map();
-    oldSamples.forEach(sample => {
-      const coverageHash = sample.geohash.substring(0, 6);
-      if (!hashToSamples.has(coverageHash)) {
-        hashToSamples.set(coverageHash, []);
-      }
-      hashToSamples.get(coverageHash).push({
-        key: sample.geohash,
-        metadata: {
-          time: sample.time,
-          path: sample.path || [],
-          observed: sample.observed ?? (sample.path && sample.path.length > 0),
-          snr: sample.snr,
-          rssi: sample.rssi
-        }
-      });
+    res.json({
+      uptimeSeconds: Math.round(process.uptime()),
+      rateLimit: rateLimit.getStats()
     });
-    
-    result.coverage_entites_to_update = hashToSamples.size;
-    const mergedKeys = [];
-    
-    // Merge into coverage
-    for (const [geohash, samples] of hashToSamples.entries()) {
-      try {
-        await coverageModel.mergeCoverage(geohash, samples);
-        result.merged_ok++;
-        mergedKeys.push(geohash);
-      } catch (e) {
-        console.log(`Merge failed for ${geohash}. ${e}`);
-        result.merged_fail++;
-      }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/release?client=<client id>
+// Lifts a quarantine early. Client ids are listed in /admin/stats.
+router.post('/admin/release', requireRole('admin'), (req, res) => {
+  const client = req.query.client;
+  if (!client) {
+    return res.status(400).json({ error: 'client is required' });
+  }
+  res.json({ client: client, released: rateLimit.release(client) });
+});
+
+// POST /consolidate?maxAge=<days>&dryRun=1
+// Dry runs report what would be merged, archived and deleted without changing anything.
+router.post('/consolidate', requireRole('admin'), async (req, res, next) => {
+  try {
+    if (jobs.isRunning(CONSOLIDATE_JOB)) {
+      return res.status(409).json({ error: 'Consolidation is already running' });
     }
-    
-    // Archive and delete
-    for (const geohash of mergedKeys) {
-      const samples = hashToSamples.get(geohash);
-      for (const sample of samples) {
-        try {
-          const metadata = sample.metadata;
-          await archiveModel.insert(sample.key, metadata.time, metadata.path, metadata.observed, metadata.snr, metadata.rssi);
-          result.archive_ok++;
-          
-          try {
-            await samplesModel.deleteByGeohash(sample.key);
-            result.delete_ok++;
-          } catch (e) {
-            console.log(`Delete failed for ${sample.key}. ${e}`);
-            result.delete_fail++;
-          }
-        } catch (e) {
-          console.log(`Archive failed for ${sample.key}. ${e}`);
-          result.archive_fail++;
-          result.delete_skip++;
-        }
-      }
+
+    const maxAge = parseInt(req.query.maxAge) || getConsolidateMaxAgeDays();
+    res.json(await consolidate({ maxAgeDays: maxAge, dryRun: parseFlag(req.query.dryRun) }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /admin/jobs?type=<consolidate|clean-up|rebuild-coverage|elevation-backfill|predict-coverage>&limit=<n>
+// Recent maintenance runs, newest first, with their timings and results.
+router.get('/admin/jobs', requireRole('admin'), async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_JOBS_LIMIT, MAX_JOBS_LIMIT);
+    res.json({ jobs: await maintenanceJobsModel.getRecent(limit, req.query.type || null) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /rebuild-coverage?since=<time>&until=<time>&prefix=<geohash>&bbox=<bbox>&dryRun=1
+// Rebuilds coverage from the raw sample log: everything, the tiles in an area, or the
+// tiles with samples from a time range. Dry runs report what would change.
+router.post('/rebuild-coverage', requireRole('admin'), async (req, res, next) => {
+  try {
+    let options;
+    try {
+      options = rebuild.parseOptions(req.query);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
     }
-    
-    res.json(result);
+    if (jobs.isRunning(rebuild.JOB_TYPE)) {
+      return res.status(409).json({ error: 'A rebuild is already running' });
+    }
+
+    res.json(await rebuild.rebuild({ ...options, dryRun: parseFlag(req.query.dryRun) }));
   } catch (error) {
     next(error);
   }
 });
 
-// POST /clean-up?op=<coverage|samples|repeaters>
-router.post('/clean-up', async (req, res, next) => {
+// POST /backfill-elevation?limit=<locations>&dryRun=1
+// Looks up the elevation of repeaters missing one. Dry runs only count them.
+router.post('/backfill-elevation', requireRole('admin'), async (req, res, next) => {
   try {
-    const op = req.query.op;
-    const result = {};
-    
-    if (op === 'coverage') {
-      result.coverage_deduped = 0;
-      result.coverage_out_of_range = 0;
-      
-      const allCoverage = await coverageModel.getAll();
-      
-      for (const cov of allCoverage) {
-        // Check if out of range
-        const pos = posFromHash(cov.hash);
-        if (!isValidLocation(pos)) {
-          await coverageModel.deleteByGeohash(cov.hash);
-          result.coverage_out_of_range++;
-          continue;
-        }
-        
-        // Deduplicate values
-        try {
-          await coverageModel.deduplicateValues(cov.hash);
-          result.coverage_deduped++;
-        } catch (e) {
-          console.log(`Error deduplicating ${cov.hash}: ${e}`);
-        }
-      }
-    } else if (op === 'samples') {
-      result.sample_deleted = 0;
-      
-      // Delete samples from specific time range (service issue)
-      const start = new Date('2025-12-06T07:00:00').getTime();
-      const end = new Date('2025-12-07T16:30:00').getTime();
-      const deleted = await samplesModel.deleteByTimeRange(start, end);
-      result.sample_deleted = deleted;
-    } else if (op === 'repeaters') {
-      result.deleted_stale_repeaters = 0;
-      result.deleted_dupe_repeaters = 0;
-      
-      // Delete stale repeaters (>10 days)
-      const deletedStale = await repeatersModel.deleteStale(10);
-      result.deleted_stale_repeaters = deletedStale;
-      
-      // Deduplicate by location (keep newest)
-      const allRepeaters = await repeatersModel.getAll();
-      const byId = new Map();
-      
-      allRepeaters.keys.forEach(r => {
-        const id = r.metadata.id;
-        if (!byId.has(id)) {
-          byId.set(id, []);
-        }
-        byId.get(id).push(r);
-      });
-      
-      // Group by location overlap
-      for (const [id, repeaters] of byId.entries()) {
-        const groups = groupByOverlap(repeaters);
-        
-        for (const group of groups) {
-          if (group.items.length > 1) {
-            // Keep newest, delete others
-            const sorted = group.items.sort((a, b) => 
-              b.metadata.time - a.metadata.time
-            );
-            
-            for (let i = 1; i < sorted.length; i++) {
-              const item = sorted[i];
-              const [lat, lon] = item.name.split('|').slice(1).map(parseFloat);
-              await repeatersModel.deleteByIdLatLon(id, lat, lon);
-              result.deleted_dupe_repeaters++;
-            }
-          }
-        }
-      }
+    if (jobs.isRunning(elevation.JOB_TYPE)) {
+      return res.status(409).json({ error: 'An elevation backfill is already running' });
+    }
+
+    const limit = parseInt(req.query.limit) || elevation.getBackfillLimit();
+    res.json(await elevation.backfill({ limit: limit, dryRun: parseFlag(req.query.dryRun) }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /predict-coverage?limit=<repeaters>&force=1&dryRun=1
+// Predicts coverage for repeaters that are new, moved or predicted with other settings
+// (every repeater with force=1). Dry runs only count them.
+router.post('/predict-coverage', requireRole('admin'), async (req, res, next) => {
+  try {
+    if (!prediction.canPredict()) {
+      return res.status(503).json({ error: 'Predicting coverage needs local DEM tiles (ELEVATION_DEM_DIR)' });
     }
-    
-    res.json(result);
+    if (jobs.isRunning(prediction.JOB_TYPE)) {
+      return res.status(409).json({ error: 'A coverage prediction is already running' });
+    }
+
+    const limit = parseInt(req.query.limit) || prediction.getPredictLimit();
+    res.json(await prediction.predict({
+      limit: limit,
+      force: parseFlag(req.query.force),
+      dryRun: parseFlag(req.query.dryRun)
+    }));
   } catch (error) {
     next(error);
   }
 });
 
-function overlaps(a, b) {
-  const dist = haversineMiles(a, b);
-  return dist <= 0.25; // 1/4 mile
-}
-
-function groupByOverlap(items) {
-  const groups = [];
-  
-  for (const item of items) {
-    const nameParts = item.name.split('|');
-    const lat = parseFloat(nameParts[1]);
-    const lon = parseFloat(nameParts[2]);
-    const loc = [lat, lon];
-    let found = false;
-    
-    for (const group of groups) {
-      if (overlaps(group.loc, loc)) {
-        group.items.push(item);
-        found = true;
-        break;
-      }
+// POST /clean-up?op=<samples|coverage|repeaters>&<filters>[&confirm=<token>]
+// Without confirm, returns a preview of what would change and a token to confirm it.
+// With the token, does it, unless the data has changed since the preview.
+// samples: since, until, prefix, bbox, repeater, contributor, source (at least one)
+// coverage: prefix, bbox
+// repeaters: prefix, bbox, repeater, staleDays, duplicateMiles
+router.post('/clean-up', requireRole('admin'), async (req, res, next) => {
+  try {
+    const op = req.query.op;
+    let options;
+    try {
+      options = cleanup.parseOptions(op, req.query);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const plan = await cleanup.plan(op, options);
+    if (!req.query.confirm) {
+      return res.json(cleanup.preview(plan));
     }
-    
-    if (!found) {
-      groups.push({
-        id: item.metadata.id,
-        loc: loc,
-        items: [item]
+    if (!cleanup.isConfirmed(plan, req.query.confirm)) {
+      return res.status(409).json({
+        error: 'The confirm token has expired or the data has changed since the preview. Check the new preview and confirm it instead.',
+        ...cleanup.preview(plan)
       });
     }
+    if (jobs.isRunning(cleanup.JOB_TYPE)) {
+      return res.status(409).json({ error: 'A clean-up is already running' });
+    }
+
+    res.json(await cleanup.execute(plan));
+  } catch (error) {
+    next(error);
   }
-  
-  return groups;
-}
+});
 
 module.exports = router;
-
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { getCenterPos, getMaxDistanceMiles, getInitialZoom } = require('../utils/shared');
+const { getCenterPos, getMaxDistanceMiles, getInitialZoom, getSnrBreakpoints, getRssiBreakpoints } = require('../utils/shared');
+const { coverageGrid, H3_RESOLUTIONS } = require('../utils/grid');
 
 // GET /config - Get frontend configuration
 router.get('/config', (req, res) => {
@@ -11,7 +12,11 @@ router.get('/config', (req, res) => {
   res.json({
     centerPos: centerPos,
     maxDistanceMiles: maxDistanceMiles,
-    initialZoom: initialZoom
+    initialZoom: initialZoom,
+    snrBreakpoints: getSnrBreakpoints(),
+    rssiBreakpoints: getRssiBreakpoints(),
+    coverageGrid: coverageGrid,
+    h3Resolutions: H3_RESOLUTIONS
   });
 });
 
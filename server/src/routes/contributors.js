@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const contributorsModel = require('../models/contributors');
+const { parseTime, parseFlag, posFromHash, haversineMiles } = require('../utils/shared');
+
+const DEFAULT_LIMIT = 100;
+
+// Track segments longer than this in time are separate drives, so they don't add distance.
+const MAX_SEGMENT_GAP_MS = 30 * 60 * 1000;
+// Segments faster than this are GPS jumps or shared ids, not driving.
+const MAX_SEGMENT_MPH = 150;
+
+// Sums the distance driven per contributor from their time-ordered samples.
+function distancesByContributor(tracks) {
+  const distances = new Map();
+  let last = null;
+
+  for (const row of tracks) {
+    const pos = posFromHash(row.geohash);
+    const time = Number(row.time);
+
+    if (last && last.contributor === row.contributor) {
+      const elapsed = time - last.time;
+      const miles = haversineMiles(last.pos, pos);
+      const hours = elapsed / (60 * 60 * 1000);
+      if (elapsed > 0 && elapsed <= MAX_SEGMENT_GAP_MS && miles / hours <= MAX_SEGMENT_MPH) {
+        distances.set(row.contributor, (distances.get(row.contributor) ?? 0) + miles);
+      }
+    }
+
+    last = { contributor: row.contributor, pos: pos, time: time };
+  }
+
+  return distances;
+}
+
+// GET /get-contributors?since=<time>&until=<time>&sort=<tiles|samples|distance>&limit=<n>&trusted=1
+// Leaderboard of tiles first-filled, samples and miles driven per contributor.
+// Trusted only counts samples with verified signatures.
+// Times are epoch millis or ISO dates, e.g. since=2026-10-01&until=2026-11-01 for a monthly challenge.
+router.get('/get-contributors', async (req, res, next) => {
+  try {
+    let since, until;
+    try {
+      since = parseTime(req.query.since);
+      until = parseTime(req.query.until);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const sort = req.query.sort || 'tiles';
+    if (!['tiles', 'samples', 'distance'].includes(sort)) {
+      return res.status(400).json({ error: `Invalid sort ${sort}` });
+    }
+    const limit = parseInt(req.query.limit) || DEFAULT_LIMIT;
+    const trusted = parseFlag(req.query.trusted);
+
+    const [sampleCounts, tileCounts, tracks] = await Promise.all([
+      contributorsModel.getSampleCounts(since, until, trusted),
+      contributorsModel.getFirstFilledCounts(since, until, trusted),
+      contributorsModel.getTracks(since, until, trusted)
+    ]);
+
+    const tiles = new Map(tileCounts.map(r => [r.contributor, r.tiles]));
+    const distances = distancesByContributor(tracks);
+
+    const contributors = sampleCounts.map(r => ({
+      contributor: r.contributor,
+      tiles: tiles.get(r.contributor) ?? 0,
+      samples: r.samples,
+      distance: Math.round((distances.get(r.contributor) ?? 0) * 10) / 10
+    }));
+
+    contributors.sort((a, b) => b[sort] - a[sort] || b.samples - a.samples);
+
+    res.json({
+      since: since,
+      until: until,
+      trusted: trusted,
+      contributors: contributors.slice(0, limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
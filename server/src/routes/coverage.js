@@ -1,32 +1,115 @@
 const express = require('express');
 const router = express.Router();
 const coverageModel = require('../models/coverage');
+const predictionsModel = require('../models/predictions');
+const { getModelConfig } = require('../services/prediction');
+const { formatCoverage } = require('../utils/format');
+const {
+  parseTime,
+  parseFlag,
+  parseBbox,
+  parsePrecision,
+  bboxPrefixes,
+  coveragePrecisionForZoom,
+  COVERAGE_PRECISION,
+  COVERAGE_LEVELS,
+} = require('../utils/shared');
+const { isCell, cellPrecision, cellParent, cellInBbox } = require('../utils/grid');
+const { SNR_EDGES, RSSI_EDGES, mergeStats, summarize } = require('../utils/signalStats');
 
-// GET /get-coverage
+// Tiles are cells of the coverage grid at any of the map's tile precisions, from the
+// 4 character roll-ups used when zoomed right out to 7 character street-level tiles.
+const TILE_PRECISIONS = [4, 5, 6, 7];
+const BUCKETS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Groups timeline samples into time buckets with counts, repeaters and SNR/RSSI mean and p10.
+function bucketTimeline(timeline, bucketMs) {
+  const buckets = new Map(); // bucket start -> totals
+  for (const s of timeline) {
+    const start = Math.floor(s.time / bucketMs) * bucketMs;
+    if (!buckets.has(start)) {
+      buckets.set(start, {
+        time: start, observed: 0, heard: 0, lost: 0,
+        snrStats: null, rssiStats: null, repeaters: new Set()
+      });
+    }
+
+    const b = buckets.get(start);
+    if (s.observed) b.observed++;
+    if (s.path.length > 0) b.heard++; else b.lost++;
+    b.snrStats = mergeStats(b.snrStats, s.snrStats);
+    b.rssiStats = mergeStats(b.rssiStats, s.rssiStats);
+    s.path.forEach(id => b.repeaters.add(id));
+  }
+
+  return Array.from(buckets.values()).map(b => {
+    const snr = summarize(b.snrStats, SNR_EDGES);
+    const rssi = summarize(b.rssiStats, RSSI_EDGES);
+    return {
+      time: b.time,
+      observed: b.observed,
+      heard: b.heard,
+      lost: b.lost,
+      snr: snr?.mean ?? null,
+      snrP10: snr?.p10 ?? null,
+      rssi: rssi?.mean ?? null,
+      rssiP10: rssi?.p10 ?? null,
+      repeaters: Array.from(b.repeaters).sort()
+    };
+  });
+}
+
+// Gets when each repeater id was heard in the timeline.
+function repeaterTimeline(timeline) {
+  const repeaters = new Map(); // id -> { id, count, first, last }
+  for (const s of timeline) {
+    for (const id of s.path) {
+      const r = repeaters.get(id);
+      if (r) {
+        r.count++;
+        r.last = s.time;
+      } else {
+        repeaters.set(id, { id: id, count: 1, first: s.time, last: s.time });
+      }
+    }
+  }
+  return Array.from(repeaters.values()).sort((a, b) => b.count - a.count || a.id.localeCompare(b.id));
+}
+
+// GET /get-coverage?since=<time>&until=<time>&precision=<5|6|7>&trusted=1
+// Without a time window, returns all-time totals with their consolidated values.
+// With one, totals only count samples from the window (times are epoch ms or ISO dates),
+// including samples that aren't consolidated yet.
+// Precision picks a level of the coverage pyramid (default 6); only 6 has values.
 router.get('/get-coverage', async (req, res, next) => {
   try {
-    const coverage = await coverageModel.getAll();
+    let since, until, precision;
+    try {
+      since = parseTime(req.query.since);
+      until = parseTime(req.query.until);
+      precision = parsePrecision(req.query.precision) ?? COVERAGE_PRECISION;
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (!COVERAGE_LEVELS.includes(precision)) {
+      return res.status(400).json({ error: `precision must be one of ${COVERAGE_LEVELS.join(', ')}` });
+    }
+    
+    const trusted = parseFlag(req.query.trusted);
+    let coverage;
+    if (since !== null || until !== null) {
+      coverage = await coverageModel.getInWindow(null, since, until, trusted, precision, true);
+    } else if (precision !== COVERAGE_PRECISION) {
+      coverage = await coverageModel.getByPrefixes(null, trusted, precision);
+    } else {
+      coverage = await coverageModel.getAll();
+    }
     
     // Format response to match Cloudflare format
-    const formatted = coverage.map(c => {
-      const lastHeard = c.lastHeard || 0;
-      const lastObserved = c.lastObserved || lastHeard;
-      const updated = c.updated || lastHeard;
-      
-      return {
-        hash: c.hash,
-        observed: c.observed ?? c.heard ?? 0,
-        heard: c.heard ?? 0,
-        lost: c.lost ?? 0,
-        snr: c.snr ?? null,
-        rssi: c.rssi ?? null,
-        updated: updated,
-        lastObserved: lastObserved,
-        lastHeard: lastHeard,
-        hitRepeaters: c.hitRepeaters ?? [],
-        values: c.values || []
-      };
-    });
+    const formatted = coverage.map(formatCoverage);
     
     res.json(formatted);
   } catch (error) {
@@ -34,6 +117,79 @@ router.get('/get-coverage', async (req, res, next) => {
   }
 });
 
+// GET /get-predicted?bbox=<minLat,minLon,maxLat,maxLon>&precision=<4-7>&zoom=<zoom>
+// Coverage predicted by the propagation model (see POST /predict-coverage): each tile's
+// best predicted signal (rssi, dBm) and the key of the repeater it's expected from (rptr).
+// Tiles are predicted at precision 6, so coarser precisions get the best of each tile's
+// children and 7 gets the 6 character tiles. Tiles below sensitivity are marginal.
+router.get('/get-predicted', async (req, res, next) => {
+  try {
+    let bbox, precision;
+    try {
+      bbox = parseBbox(req.query.bbox);
+      precision = parsePrecision(req.query.precision) ?? coveragePrecisionForZoom(req.query.zoom);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    precision = Math.min(precision, COVERAGE_PRECISION);
+    const prefixes = bbox ? bboxPrefixes(bbox, 64, precision) : null;
+    const predicted = await predictionsModel.getBestByPrefixes(prefixes);
+
+    const best = new Map(); // tile -> best prediction in it
+    predicted
+      .filter(p => bbox === null || cellInBbox(p.hash, bbox))
+      .forEach(p => {
+        const tile = cellParent(p.hash, precision);
+        if (!best.has(tile) || p.rssi > best.get(tile).rssi) {
+          best.set(tile, p);
+        }
+      });
+
+    res.json({
+      precision: precision,
+      sensitivity: getModelConfig().sensitivityDbm,
+      tiles: Array.from(best, ([tile, p]) => ({ id: tile, rssi: p.rssi, rptr: p.repeaterKey }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /get-tile?hash=<cell>&bucket=<day|week>&trusted=1
+// A tile's history: current totals, counts and SNR/RSSI mean and p10 per time bucket,
+// and when each repeater was heard. Samples not yet consolidated are included.
+router.get('/get-tile', async (req, res, next) => {
+  try {
+    const hash = (req.query.hash || '').toLowerCase();
+    if (!isCell(hash) || !TILE_PRECISIONS.includes(cellPrecision(hash))) {
+      return res.status(400).json({ error: 'hash must be a coverage tile of precision 4 to 7' });
+    }
+    const bucket = req.query.bucket || 'day';
+    if (!Object.hasOwn(BUCKETS, bucket)) {
+      return res.status(400).json({ error: `bucket must be one of ${Object.keys(BUCKETS).join(', ')}` });
+    }
+
+    const trusted = parseFlag(req.query.trusted);
+    const [totals, timeline] = await Promise.all([
+      coverageModel.getTile(hash, trusted),
+      coverageModel.getTimeline(hash, trusted)
+    ]);
+
+    res.json({
+      hash: hash,
+      totals: totals ? formatCoverage(totals) : null,
+      samples: timeline.length,
+      pending: timeline.filter(s => s.live).length,
+      bucket: bucket,
+      history: bucketTimeline(timeline, BUCKETS[bucket]),
+      repeaters: repeaterTimeline(timeline)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /get-wardrive-coverage
 router.get('/get-wardrive-coverage', async (req, res, next) => {
   try {
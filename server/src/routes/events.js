@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const events = require('../services/events');
+
+// Most clients streaming events at once, so idle map tabs can't use up connections.
+const MAX_EVENT_CLIENTS = parseInt(process.env.EVENTS_MAX_CLIENTS) || 500;
+
+// Comments sent this often keep proxies from closing idle streams.
+const KEEPALIVE_MS = 25 * 1000;
+
+// How long browsers wait before reconnecting a dropped stream.
+const RETRY_MS = 5 * 1000;
+
+// Most bytes waiting to be sent to a client. Clients that can't keep up are
+// disconnected rather than buffered for; they refetch when they reconnect.
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// GET /events
+// Server-sent events, as they're ingested:
+//   sample   - an uploaded sample, { id: <geohash>, time, obs, heard, lost, verified, path, snr, rssi }
+//   samples  - an uploaded batch, { samples: [<sample>] }
+//   repeater - a repeater advert, in the /get-nodes repeater format
+//   tiles    - coverage tiles a job or a big batch changed, { tiles: [<tile>] }, or { tiles: null } for all
+// Times are truncated like /get-nodes. Events missed while disconnected aren't replayed.
+router.get('/events', (req, res) => {
+  if (events.subscriberCount() >= MAX_EVENT_CLIENTS) {
+    res.set('Retry-After', String(RETRY_MS / 1000));
+    return res.status(503).json({ error: 'Too many event streams' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop nginx buffering the stream.
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const send = text => {
+    if (res.writableLength > MAX_BUFFERED_BYTES) {
+      res.destroy();
+      return;
+    }
+    res.write(text);
+  };
+  const unsubscribe = events.subscribe(({ type, json }) => send(`event: ${type}\ndata: ${json}\n\n`));
+  const keepalive = setInterval(() => send(': keepalive\n\n'), KEEPALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepalive);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
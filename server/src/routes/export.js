@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const coverageModel = require('../models/coverage');
+const samplesModel = require('../models/samples');
+const repeatersModel = require('../models/repeaters');
+const { formatCoverage, formatSample } = require('../utils/format');
+const { FORMATS } = require('../utils/export');
+const { posFromHash, parseBbox, parseTime, parseFlag, bboxPrefixes, hashInBbox, COVERAGE_PRECISION } = require('../utils/shared');
+const { cellCenter, cellBoundary, cellInBbox } = require('../utils/grid');
+
+// Flattens SNR/RSSI stats into properties like snrMean, snrMedian and snrP10.
+function flatStats(prefix, stats) {
+  return {
+    [`${prefix}Mean`]: stats?.mean ?? null,
+    [`${prefix}Median`]: stats?.median ?? null,
+    [`${prefix}P10`]: stats?.p10 ?? null,
+  };
+}
+
+// Whether a time is in the window ({ since, until }, either may be null).
+function inWindow(time, { since, until }) {
+  const t = Number(time) || 0;
+  return (since === null || t >= since) && (until === null || t <= until);
+}
+
+// Loaders return export records (see utils/export.js) for the bbox, or everything if null,
+// from the time window. Trusted limits coverage and samples to signature-verified data.
+const DATASETS = {
+  // Windowed coverage only counts the samples from the window, like /get-nodes.
+  async coverage(bbox, trusted, { since, until }) {
+    const prefixes = bbox ? bboxPrefixes(bbox) : null;
+    const coverage = since !== null || until !== null
+      ? await coverageModel.getInWindow(prefixes, since, until, trusted, COVERAGE_PRECISION, true)
+      : await coverageModel.getByPrefixes(prefixes, trusted);
+    return coverage
+      .filter(c => !bbox || cellInBbox(c.hash, bbox))
+      .map(c => {
+        const { values, snrStats, rssiStats, ...properties } = formatCoverage(c);
+        return {
+          id: c.hash,
+          time: properties.updated,
+          point: cellCenter(c.hash),
+          ring: cellBoundary(c.hash),
+          properties: { ...properties, ...flatStats('snr', snrStats), ...flatStats('rssi', rssiStats) }
+        };
+      });
+  },
+
+  async samples(bbox, trusted, window) {
+    const samples = await samplesModel.getByPrefixes(bbox ? bboxPrefixes(bbox) : null, trusted);
+    return samples.keys
+      .filter(s => (!bbox || hashInBbox(s.name, bbox)) && inWindow(s.metadata.time, window))
+      .map(s => {
+        const { hash, time, path, observed, snr, rssi, metadata } = formatSample(s);
+        return {
+          id: hash,
+          time: time,
+          point: posFromHash(hash),
+          properties: {
+            hash, time, path, observed, snr, rssi,
+            ...flatStats('snr', metadata.snrStats), ...flatStats('rssi', metadata.rssiStats)
+          }
+        };
+      });
+  },
+
+  async repeaters(bbox, trusted, window) {
+    const repeaters = bbox ? await repeatersModel.getInBbox(bbox) : await repeatersModel.getAll();
+    return repeaters.keys.filter(r => inWindow(r.metadata.time, window)).map(r => ({
+      id: r.name,
+      name: `${r.metadata.name} [${r.metadata.id}]`,
+      time: r.metadata.time,
+      point: [r.metadata.lat, r.metadata.lon],
+      properties: { ...r.metadata }
+    }));
+  },
+};
+
+// GET /export/<coverage|samples|repeaters>.<geojson|kml|csv>?since=<time>&until=<time>&bbox=<minLat,minLon,maxLat,maxLon>&trusted=1
+// Times are epoch millis or ISO dates.
+router.get('/export/:dataset.:format', async (req, res, next) => {
+  try {
+    const { dataset, format } = req.params;
+    const load = Object.hasOwn(DATASETS, dataset) ? DATASETS[dataset] : null;
+    const encoder = Object.hasOwn(FORMATS, format) ? FORMATS[format] : null;
+
+    if (!load || !encoder) {
+      return res.status(404).json({ error: `Unknown export ${dataset}.${format}` });
+    }
+
+    let bbox, since, until;
+    try {
+      bbox = parseBbox(req.query.bbox);
+      since = parseTime(req.query.since);
+      until = parseTime(req.query.until);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const records = await load(bbox, parseFlag(req.query.trusted), { since, until });
+
+    const filename = `${dataset}-${new Date().toISOString().substring(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(encoder.contentType);
+    res.send(encoder.encode(records, dataset));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const repeatersModel = require('../models/repeaters');
+const elevationService = require('../services/elevation');
+const { parseLocation, haversineMiles } = require('../utils/shared');
+const { isHex } = require('../utils/signing');
+const { indexById, resolveId, repeaterKey } = require('../utils/pathCandidates');
+const { METERS_PER_MILE, getRadioConfig, fsplDb, pathPoints, analyzeProfile } = require('../utils/propagation');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Requests allowed per client per rate limit window. Profiles can need remote elevation lookups.
+const RATE_LIMIT_LOS = parseInt(process.env.RATE_LIMIT_LOS) || 30;
+
+// Profile points are about this far apart (roughly a 1 arc-second DEM post), within the limits below.
+const PROFILE_SPACING_M = 30;
+const MIN_PROFILE_POINTS = 32;
+const MAX_PROFILE_POINTS = 256;
+
+// Share of the first Fresnel zone that should be clear for a path to count as clear.
+const FRESNEL_CLEAR = 0.6;
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return value === null ? null : Math.round(value * factor) / factor;
+}
+
+// Parses an optional non-negative number query param, up to max. Returns the default
+// if it's missing, or NaN if it's invalid.
+function parseOptional(value, def, max) {
+  if (value === undefined || value === '') {
+    return def;
+  }
+  const number = parseFloat(value);
+  return number >= 0 && number <= max ? number : NaN;
+}
+
+// Finds the repeater `to` names: a 64 digit public key, a repeater key (id|lat|lon) or
+// a 2 digit id, which goes to its most likely repeater as heard at fromPos.
+// Returns the repeater's metadata, or null if there's no such repeater.
+async function findRepeater(to, fromPos) {
+  const id = to.substring(0, 2);
+  const repeaters = (await repeatersModel.getByIds([id])).keys.map(r => r.metadata);
+  if (to.length === 2) {
+    return resolveId(fromPos, id, indexById(repeaters)).candidates[0]?.repeater ?? null;
+  }
+  return repeaters.find(r => repeaterKey(r).toLowerCase() === to) ?? null;
+}
+
+// GET /los?from=<lat,lon>&to=<lat,lon, 2 digit id, 64 digit public key or repeater key>&fromHeight=&toHeight=&freq=
+// Terrain profile between a location and a repeater (or another location), with line of
+// sight and first Fresnel zone clearance allowing for the earth's curve, the points that
+// obstruct it, and free-space and knife-edge diffraction path loss estimates.
+// fromHeight and toHeight are antenna heights above ground (meters) and freq is in MHz;
+// they default to RADIO_FREQUENCY_MHZ, MOBILE_ANTENNA_HEIGHT_M (locations) and
+// REPEATER_ANTENNA_HEIGHT_M (repeaters). Distances are in miles, heights in meters above
+// sea level and losses in dB. Ground is null where there's no elevation data.
+router.get('/los', rateLimit('los', RATE_LIMIT_LOS), async (req, res, next) => {
+  try {
+    const radio = getRadioConfig();
+    const to = (req.query.to || '').trim().toLowerCase();
+    let fromPos;
+    let toPos = null;
+    try {
+      const [fromLat, fromLon] = (req.query.from || '').split(',');
+      fromPos = parseLocation(fromLat, fromLon);
+      if (to.includes(',')) {
+        const [toLat, toLon] = to.split(',');
+        toPos = parseLocation(toLat, toLon);
+      }
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (!toPos && !isHex(to, 1) && !isHex(to, 32) && !(isHex(to.substring(0, 2), 1) && to[2] === '|')) {
+      return res.status(400).json({ error: 'to must be lat,lon, a 2 digit hex id, a 64 digit hex public key or a repeater key' });
+    }
+
+    let repeater = null;
+    if (!toPos) {
+      repeater = await findRepeater(to, fromPos);
+      if (!repeater) {
+        return res.status(404).json({ error: `Repeater ${to} not found` });
+      }
+      toPos = [repeater.lat, repeater.lon];
+    }
+
+    const fromAntenna = parseOptional(req.query.fromHeight, radio.mobileAntennaM, 1000);
+    const toAntenna = parseOptional(req.query.toHeight, repeater ? radio.repeaterAntennaM : radio.mobileAntennaM, 1000);
+    const frequency = parseOptional(req.query.freq, radio.frequencyMhz, 100000);
+    if (isNaN(fromAntenna) || isNaN(toAntenna) || !(frequency > 0)) {
+      return res.status(400).json({ error: 'fromHeight and toHeight must be 0-1000 (meters) and freq a frequency in MHz' });
+    }
+
+    const distanceM = haversineMiles(fromPos, toPos) * METERS_PER_MILE;
+    // There's no path between a point and itself (its Fresnel zone has no size).
+    if (!(distanceM > 0)) {
+      return res.status(400).json({ error: 'from and to must be different locations' });
+    }
+    const count = Math.min(Math.max(Math.ceil(distanceM / PROFILE_SPACING_M) + 1, MIN_PROFILE_POINTS), MAX_PROFILE_POINTS);
+    const points = pathPoints(fromPos, toPos, count, distanceM);
+    const elevations = await elevationService.getElevations(points.map(p => [p.lat, p.lon]));
+    points.forEach((p, i) => p.ground = elevations[i]);
+
+    // Use the repeater's recorded elevation where there is one, like everything else does.
+    if (repeater?.elev != null) {
+      points[points.length - 1].ground = parseFloat(repeater.elev);
+    }
+    const fromGround = points[0].ground;
+    const toGround = points[points.length - 1].ground;
+    if (fromGround === null || toGround === null) {
+      return res.status(503).json({ error: 'No elevation data for this path' });
+    }
+
+    const analysis = analyzeProfile(points, fromGround + fromAntenna, toGround + toAntenna, frequency);
+    const freeSpace = fsplDb(distanceM, frequency);
+    const profile = analysis.points.map(p => ({
+      distance: round(p.distance / METERS_PER_MILE, 3),
+      lat: round(p.lat, 5),
+      lon: round(p.lon, 5),
+      ground: round(p.ground, 1),
+      terrain: round(p.terrain, 1),
+      los: round(p.los, 1),
+      fresnel: round(p.fresnel, 1),
+    }));
+
+    res.json({
+      from: { lat: fromPos[0], lon: fromPos[1], ground: round(fromGround, 1), antenna: fromAntenna },
+      to: {
+        lat: toPos[0],
+        lon: toPos[1],
+        ground: round(toGround, 1),
+        antenna: toAntenna,
+        repeater: repeater ? { key: repeaterKey(repeater), id: repeater.id, publicKey: repeater.publicKey, name: repeater.name } : null
+      },
+      distance: round(distanceM / METERS_PER_MILE, 2),
+      frequency: frequency,
+      profile: profile,
+      // Points where the terrain (raised for the earth's curve) is above line of sight.
+      obstructions: analysis.points
+        .map((p, i) => ({ ...profile[i], clearance: round(p.clearance, 1) }))
+        .filter((p, i) => i > 0 && i < profile.length - 1 && p.clearance !== null && p.clearance < 0),
+      clearance: {
+        min: round(analysis.minClearance, 1),
+        fresnel: round(analysis.fresnelClearance, 2),
+        lineOfSight: analysis.minClearance === null ? null : analysis.minClearance >= 0,
+        fresnelClear: analysis.fresnelClearance === null ? null : analysis.fresnelClearance >= FRESNEL_CLEAR,
+        // Where the terrain cuts furthest into the Fresnel zone.
+        worst: analysis.worst ? profile[analysis.points.indexOf(analysis.worst)] : null,
+      },
+      loss: {
+        freeSpace: round(freeSpace, 1),
+        diffraction: round(analysis.diffractionDb, 1),
+        total: round(freeSpace + analysis.diffractionDb, 1),
+      },
+      missing: points.filter(p => p.ground === null).length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,22 +3,85 @@ const router = express.Router();
 const coverageModel = require('../models/coverage');
 const samplesModel = require('../models/samples');
 const repeatersModel = require('../models/repeaters');
-const { truncateTime } = require('../utils/shared');
+const { indexById, compactCandidates } = require('../utils/pathCandidates');
+const { formatNodeRepeater } = require('../utils/format');
+const { SNR_EDGES, RSSI_EDGES, statsOf, mergeStats, summarize } = require('../utils/signalStats');
+const {
+  truncateTime,
+  parseBbox,
+  parseTime,
+  parseFlag,
+  bboxPrefixes,
+  hashInBbox,
+  coveragePrecisionForZoom,
+  parsePrecision,
+  levelForPrecision,
+  rollUpCoverage,
+  COVERAGE_PRECISION,
+} = require('../utils/shared');
+const { cellOfSample, cellParent, cellCenter, cellInBbox } = require('../utils/grid');
 
-// GET /get-nodes
+// Compact SNR/RSSI stats for the map: { n, mean, med, p10 }, or undefined if there are none.
+function compactStats(stats, edges) {
+  const summary = summarize(stats, edges);
+  return summary ? { n: summary.count, mean: summary.mean, med: summary.median, p10: summary.p10 } : undefined;
+}
+
+// GET /get-nodes?bbox=<minLat,minLon,maxLat,maxLon>&precision=<4-7>&zoom=<zoom>&since=<time>&until=<time>&trusted=1&retired=1
+// Without bbox, returns the whole region. Precision is the tile geohash length (or the
+// matching H3 resolution); without it, zoom picks one.
+// since/until (epoch ms or ISO dates) limit coverage and samples to a time window.
+// Trusted limits coverage and samples to signature-verified data.
+// Retired repeaters are only included with retired=1.
 router.get('/get-nodes', async (req, res, next) => {
   try {
-    const [coverage, samples, repeaters] = await Promise.all([
-      coverageModel.getAll(),
-      samplesModel.getAll(),
-      repeatersModel.getAll()
+    let bbox, since, until, precision;
+    try {
+      bbox = parseBbox(req.query.bbox);
+      since = parseTime(req.query.since);
+      until = parseTime(req.query.until);
+      precision = parsePrecision(req.query.precision) ?? coveragePrecisionForZoom(req.query.zoom);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    // Prefixes no longer than the tiles, so coarse tiles are read whole.
+    const prefixes = bbox ? bboxPrefixes(bbox, 64, Math.min(precision, COVERAGE_PRECISION)) : null;
+    const inView = hash => bbox === null || cellInBbox(hash, bbox);
+    const trusted = parseFlag(req.query.trusted);
+    const retired = parseFlag(req.query.retired);
+
+    const windowed = since !== null || until !== null;
+    const inWindow = time => (since === null || time >= since) && (until === null || time <= until);
+
+    const [allCoverage, allSamples] = await Promise.all([
+      windowed
+        ? coverageModel.getInWindow(prefixes, since, until, trusted, precision)
+        : coverageModel.getByPrefixes(prefixes, trusted, levelForPrecision(precision)),
+      samplesModel.getByPrefixes(prefixes, trusted)
     ]);
+
+    // Prefixes cover more than the bbox, so trim to what's actually in view.
+    const coverage = rollUpCoverage(allCoverage.filter(c => inView(c.hash)), precision, cellParent);
+    const samples = allSamples.keys.filter(s =>
+      (bbox === null || hashInBbox(s.name, bbox)) && inWindow(Number(s.metadata.time) || 0));
+
+    let repeaters;
+    if (bbox) {
+      const hitIds = new Set();
+      coverage.forEach(c => c.hitRepeaters.forEach(r => hitIds.add(r)));
+      samples.forEach(s => (s.metadata.path || []).forEach(r => hitIds.add(r)));
+      repeaters = await repeatersModel.getInBbox(bbox, Array.from(hitIds), retired);
+    } else {
+      repeaters = await repeatersModel.getAll(retired);
+    }
+    const idIndex = indexById(repeaters.keys.map(r => r.metadata));
+
+    // Aggregate samples by coverage cell at the requested precision
+    const sampleAggregates = new Map(); // cell -> { total, heard, lastTime, repeaters: Set, snr, rssi, snrStats, rssiStats }
     
-    // Aggregate samples by 6-character geohash prefix
-    const sampleAggregates = new Map(); // geohash prefix -> { total, heard, lastTime, repeaters: Set, snr, rssi }
-    
-    samples.keys.forEach(s => {
-      const prefix = s.name.substring(0, 6); // 6-char geohash prefix
+    samples.forEach(s => {
+      const prefix = cellOfSample(s.name, precision);
       const path = s.metadata.path || [];
       const heard = path.length > 0;
       const observed = s.metadata.observed ?? heard;
@@ -34,7 +97,9 @@ router.get('/get-nodes', async (req, res, next) => {
           lastTime: 0,
           repeaters: new Set(),
           snr: null,
-          rssi: null
+          rssi: null,
+          snrStats: null,
+          rssiStats: null
         });
       }
       
@@ -51,6 +116,8 @@ router.get('/get-nodes', async (req, res, next) => {
       if (rssi !== null) {
         agg.rssi = (agg.rssi === null) ? rssi : Math.max(agg.rssi, rssi);
       }
+      agg.snrStats = mergeStats(agg.snrStats, s.metadata.snrStats ?? statsOf(snr, SNR_EDGES));
+      agg.rssiStats = mergeStats(agg.rssiStats, s.metadata.rssiStats ?? statsOf(rssi, RSSI_EDGES));
       
       // Track which repeaters were hit
       path.forEach(repeaterId => {
@@ -70,9 +137,10 @@ router.get('/get-nodes', async (req, res, next) => {
         lost: lost,
       };
       
-      // Include path if any repeaters were hit
+      // Include path if any repeaters were hit, with the repeaters each id could be
       if (path.length > 0) {
         item.path = path.sort();
+        item.cand = compactCandidates(cellCenter(id), item.path, idIndex);
       }
       
       // Include snr/rssi if they exist
@@ -82,11 +150,14 @@ router.get('/get-nodes', async (req, res, next) => {
       if (agg.rssi !== null) {
         item.rssi = agg.rssi;
       }
+      item.snrStat = compactStats(agg.snrStats, SNR_EDGES);
+      item.rssiStat = compactStats(agg.rssiStats, RSSI_EDGES);
       
       return item;
     });
     
     const responseData = {
+      precision: precision,
       coverage: coverage.map(c => {
         const lastHeard = c.lastHeard || 0;
         const lastObserved = c.lastObserved || lastHeard;
@@ -103,6 +174,7 @@ router.get('/get-nodes', async (req, res, next) => {
         
         if (c.hitRepeaters && c.hitRepeaters.length > 0) {
           item.rptr = c.hitRepeaters;
+          item.cand = compactCandidates(cellCenter(c.hash), c.hitRepeaters, idIndex);
         }
         
         // Include snr/rssi if they exist
@@ -112,18 +184,13 @@ router.get('/get-nodes', async (req, res, next) => {
         if (c.rssi !== null && c.rssi !== undefined) {
           item.rssi = c.rssi;
         }
+        item.snrStat = compactStats(c.snrStats, SNR_EDGES);
+        item.rssiStat = compactStats(c.rssiStats, RSSI_EDGES);
         
         return item;
       }),
       samples: aggregatedSamples,
-      repeaters: repeaters.keys.map(r => ({
-        time: truncateTime(r.metadata.time),
-        id: r.metadata.id,
-        name: r.metadata.name,
-        lat: r.metadata.lat,
-        lon: r.metadata.lon,
-        elev: Math.round(r.metadata.elev || 0),
-      }))
+      repeaters: repeaters.keys.map(r => formatNodeRepeater(r.metadata))
     };
     
     res.json(responseData);
@@ -1,80 +1,208 @@
 const express = require('express');
 const router = express.Router();
 const repeatersModel = require('../models/repeaters');
-const { parseLocation } = require('../utils/shared');
+const coverageModel = require('../models/coverage');
+const events = require('../services/events');
+const elevationService = require('../services/elevation');
+const { parseLocation, parseFlag, bearingDegrees } = require('../utils/shared');
+const { cellCenter, cellAreaSqMiles } = require('../utils/grid');
+const { concaveHull, polygonAreaSqMiles } = require('../utils/hull');
+const { isHex } = require('../utils/signing');
+const { formatNodeRepeater } = require('../utils/format');
+const { indexById, resolveId, repeaterKey } = require('../utils/pathCandidates');
+const { requireRole } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
-async function getElevation(lat, lon) {
-  try {
-    const apiUrl = `https://api.opentopodata.org/v1/ned10m?locations=${lat},${lon}`;
-    const resp = await fetch(apiUrl, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
+// Requests allowed per client per rate limit window.
+const RATE_LIMIT_REPEATERS = parseInt(process.env.RATE_LIMIT_REPEATERS) || 20;
 
-    if (!resp.ok) {
-      console.log(`Error getting elevation for [${lat},${lon}]. HTTP ${resp.status} ${resp.statusText}`);
-      return null;
-    }
+// GET /get-repeaters?retired=1
+// Retired repeaters (no advert in a while) are only included with retired=1.
+router.get('/get-repeaters', async (req, res, next) => {
+  try {
+    const repeaters = await repeatersModel.getAll(parseFlag(req.query.retired));
+    res.json(repeaters);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const data = await resp.json();
-    
-    // Check API status at top level
-    if (data.status !== 'OK') {
-      console.log(`Error getting elevation for [${lat},${lon}]. Status: ${data.status || 'undefined'}. Error: ${data.error || 'unknown'}`);
-      return null;
+// GET /resolve-path?lat=<lat>&lon=<lon>&path=<id,id,...>
+// Candidate repeaters for each path id heard at the location, best first, with the
+// confidence left over for a repeater that isn't known.
+router.get('/resolve-path', async (req, res, next) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    const ids = (req.query.path || '').split(',').map(id => id.trim().toLowerCase()).filter(id => id !== '');
+    if (isNaN(lat) || isNaN(lon) || ids.length === 0 || !ids.every(id => isHex(id, 1))) {
+      return res.status(400).json({ error: 'lat, lon and path (comma separated 2 digit hex ids) are required' });
     }
     
-    // Check if results exist and have data
-    if (!data.results || !Array.isArray(data.results) || data.results.length === 0) {
-      console.log(`Error getting elevation for [${lat},${lon}]. No results in response:`, data);
-      return null;
-    }
+    const repeaters = await repeatersModel.getByIds(ids);
+    const idIndex = indexById(repeaters.keys.map(r => r.metadata));
     
-    // Check if elevation exists in result
-    if (data.results[0].elevation === undefined || data.results[0].elevation === null) {
-      console.log(`Error getting elevation for [${lat},${lon}]. Elevation not found in result:`, data.results[0]);
-      return null;
+    res.json({
+      path: ids.map(id => {
+        const { candidates, unknown } = resolveId([lat, lon], id, idIndex);
+        return {
+          id: id,
+          candidates: candidates.map(c => ({
+            key: repeaterKey(c.repeater),
+            ...c.repeater,
+            distance: Math.round(c.distance * 10) / 10,
+            confidence: Math.round(c.confidence * 100) / 100
+          })),
+          unknown: Math.round(unknown * 100) / 100
+        };
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /get-repeater-history?id=<2 digit id or 64 digit public key>
+// Adds, moves, renames, retirements and revivals, oldest first.
+// A 1 byte id returns the history of every repeater sharing it.
+router.get('/get-repeater-history', async (req, res, next) => {
+  try {
+    const id = (req.query.id || '').trim().toLowerCase();
+    if (!isHex(id, 1) && !isHex(id, 32)) {
+      return res.status(400).json({ error: 'id must be a 2 digit hex id or a 64 digit hex public key' });
     }
     
-    return data.results[0].elevation;
-  } catch (e) {
-    console.log(`Error getting elevation for [${lat},${lon}]. ${e}`);
-    return null;
+    const history = await repeatersModel.getHistory(id);
+    res.json({ id: id, history: history });
+  } catch (error) {
+    next(error);
   }
+});
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
 }
 
-// GET /get-repeaters
-router.get('/get-repeaters', async (req, res, next) => {
+function median(values) {
+  if (values.length === 0) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Builds a repeater's footprint from the tiles attributed to it.
+function footprint(repeater, tiles) {
+  const ranges = tiles.map(t => t.distance);
+  const hull = concaveHull(tiles.map(t => cellCenter(t.hash)));
+  return {
+    repeater: { key: repeaterKey(repeater), ...repeater },
+    stats: {
+      tiles: tiles.length,
+      maxRange: round1(Math.max(0, ...ranges)),
+      medianRange: round1(median(ranges)),
+      tileArea: round1(tiles.reduce((sum, t) => sum + cellAreaSqMiles(t.hash), 0)),
+      footprintArea: round1(polygonAreaSqMiles(hull)),
+    },
+    footprint: hull,
+    tiles: tiles,
+  };
+}
+
+// GET /get-repeater-coverage?id=<2 digit id or 64 digit public key>
+// Coverage tiles that heard the repeater, with distance (miles) and bearing from it and the
+// best SNR/RSSI of samples heard through it, plus range stats and a concave hull outline.
+// Areas are in square miles. Path ids are only 1 byte, so each tile goes to its most likely
+// repeater with that id, and a 2 digit id gets a footprint for each repeater sharing it.
+router.get('/get-repeater-coverage', async (req, res, next) => {
   try {
-    const repeaters = await repeatersModel.getAll();
-    res.json(repeaters);
+    const idOrKey = (req.query.id || '').trim().toLowerCase();
+    if (!isHex(idOrKey, 1) && !isHex(idOrKey, 32)) {
+      return res.status(400).json({ error: 'id must be a 2 digit hex id or a 64 digit hex public key' });
+    }
+    
+    const id = idOrKey.substring(0, 2);
+    const [repeaters, coverage] = await Promise.all([
+      repeatersModel.getByIds([id]),
+      coverageModel.getByRepeater(id)
+    ]);
+    const idIndex = indexById(repeaters.keys.map(r => r.metadata));
+    const wanted = idOrKey.length > 2
+      ? repeaters.keys.filter(r => r.metadata.publicKey === idOrKey)
+      : repeaters.keys;
+    if (wanted.length === 0) {
+      return res.status(404).json({ error: `Repeater ${idOrKey} not found` });
+    }
+    
+    const tilesByKey = new Map(wanted.map(r => [repeaterKey(r.metadata), []]));
+    coverage.forEach(c => {
+      const pos = cellCenter(c.hash);
+      const best = resolveId(pos, id, idIndex).candidates[0];
+      const tiles = best ? tilesByKey.get(repeaterKey(best.repeater)) : undefined;
+      if (!tiles) {
+        return;
+      }
+      tiles.push({
+        hash: c.hash,
+        distance: round1(best.distance),
+        bearing: Math.round(bearingDegrees([best.repeater.lat, best.repeater.lon], pos)),
+        confidence: Math.round(best.confidence * 100) / 100,
+        heard: c.heard,
+        lost: c.lost,
+        lastHeard: c.lastHeard,
+        snr: c.snr,
+        rssi: c.rssi,
+      });
+    });
+    
+    res.json({
+      id: idOrKey,
+      repeaters: wanted.map(r => footprint(r.metadata, tilesByKey.get(repeaterKey(r.metadata))))
+    });
   } catch (error) {
     next(error);
   }
 });
 
 // POST /put-repeater
-router.post('/put-repeater', express.json(), async (req, res, next) => {
+// Body is { publicKey, name, lat, lon }, or { id, name, lat, lon } if the full key isn't known.
+// With a public key, the id is derived from its first byte.
+router.post('/put-repeater', requireRole('ingest'), rateLimit('repeaters', RATE_LIMIT_REPEATERS), express.json(), async (req, res, next) => {
   try {
-    const { id, name, lat, lon } = req.body;
+    const { id, publicKey, name, lat, lon } = req.body;
     const [parsedLat, parsedLon] = parseLocation(lat, lon);
     const time = Date.now();
-    const normalizedId = id.toLowerCase();
+    
+    if (publicKey !== undefined && publicKey !== null && !isHex(publicKey, 32)) {
+      return res.status(400).json({ error: 'publicKey must be 64 hex digits' });
+    }
+    const normalizedKey = publicKey ? publicKey.toLowerCase() : null;
+    const normalizedId = normalizedKey ? normalizedKey.substring(0, 2) : String(id ?? '').toLowerCase();
+    if (!isHex(normalizedId, 1)) {
+      return res.status(400).json({ error: 'id must be 2 hex digits' });
+    }
     
     // Check if repeater exists to get cached elevation
-    const existing = await repeatersModel.getByLocation(normalizedId, parsedLat, parsedLon);
-    let elev = existing?.elev || null;
+    const existing = normalizedKey
+      ? await repeatersModel.getByPublicKey(normalizedKey)
+      : await repeatersModel.getByLocation(normalizedId, parsedLat, parsedLon);
+    const sameLocation = existing && repeatersModel.isAtLocation(existing, parsedLat, parsedLon);
+    let elev = sameLocation ? existing.elev : null;
     
-    // Fetch elevation if not cached
+    // Look up the elevation if it's new. Only the cache and local DEM tiles are quick
+    // enough to wait for; the remote provider fills it in afterwards.
     if (elev === null) {
-      const elevation = await getElevation(parsedLat, parsedLon);
-      // Round to 2 decimal places for storage
-      elev = elevation !== null ? Math.round(elevation * 100) / 100 : null;
+      elev = await elevationService.getElevation(parsedLat, parsedLon, { remote: false });
     }
     
-    await repeatersModel.upsert(normalizedId, parsedLat, parsedLon, name, elev, time);
+    await repeatersModel.upsert(normalizedId, parsedLat, parsedLon, name, elev, time, normalizedKey);
+    if (elev === null) {
+      elevationService.fillLater(parsedLat, parsedLon);
+    }
+    events.publish('repeater', formatNodeRepeater({
+      id: normalizedId, publicKey: normalizedKey, name, lat: parsedLat, lon: parsedLon, elev, time
+    }));
     
     res.send('OK');
   } catch (error) {
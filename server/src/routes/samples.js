@@ -1,37 +1,206 @@
 const express = require('express');
+const readline = require('readline');
 const router = express.Router();
 const samplesModel = require('../models/samples');
-const { parseLocation, sampleKey, definedOr, or, ageInDays } = require('../utils/shared');
+const events = require('../services/events');
+const { formatSample, formatLiveSample } = require('../utils/format');
+const { requireRole } = require('../middleware/auth');
+const { rateLimit, strike } = require('../middleware/rateLimit');
+const { parseLocation, parseFlag, sampleKey, definedOr, or, ageInDays } = require('../utils/shared');
+const { isHex, verifySignature } = require('../utils/signing');
+const { SNR_EDGES, RSSI_EDGES, statsOf } = require('../utils/signalStats');
+const { cellOfSample } = require('../utils/grid');
 
-// GET /get-samples?p=<prefix>
+// Largest number of samples accepted in one /put-samples request. Batches also count
+// against the sample rate limit, so unless the client has an admin key, the largest batch
+// is RATE_LIMIT_SAMPLES (RATE_LIMIT_API_KEY_FACTOR times it with an ingest key).
+const MAX_BATCH_SAMPLES = parseInt(process.env.MAX_BATCH_SAMPLES) || 10000;
+// Largest /put-samples body, the same for JSON (see app.js) and NDJSON.
+const MAX_BATCH_BODY_SIZE = process.env.MAX_BATCH_BODY_SIZE || '10mb';
+
+// Samples (from /put-sample and /put-samples together) and batch requests allowed per
+// client per rate limit window.
+const RATE_LIMIT_SAMPLES = parseInt(process.env.RATE_LIMIT_SAMPLES) || 120;
+const RATE_LIMIT_BATCHES = parseInt(process.env.RATE_LIMIT_BATCHES) || 10;
+
+// Batches with up to this many samples go out as one live 'samples' event; bigger ones
+// (imports, mostly) as the tiles they changed, which clients refetch.
+const MAX_LIVE_BATCH_SAMPLES = 500;
+
+// Batches with more than this share of invalid samples count as a strike towards
+// quarantine, like a rejected /put-sample.
+const BATCH_INVALID_STRIKE_RATIO = 0.5;
+
+// Parses an optional numeric field, accepting numbers or numeric strings.
+function optionalNumber(value, name) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const n = Number(value);
+  if (!isFinite(n)) {
+    throw new Error(`Invalid sample: ${name} must be a number`);
+  }
+  return n;
+}
+
+// Contributor ids are companion public keys (hex) or API key names.
+const MAX_CONTRIBUTOR_LENGTH = 64;
+
+// Parses an optional contributor id. Hex public keys are lower-cased.
+function optionalContributor(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || value.trim().length > MAX_CONTRIBUTOR_LENGTH) {
+    throw new Error(`Invalid sample: contributor must be a string of at most ${MAX_CONTRIBUTOR_LENGTH} characters`);
+  }
+  const contributor = value.trim();
+  return /^[0-9a-fA-F]+$/.test(contributor) ? contributor.toLowerCase() : contributor;
+}
+
+// Where samples come from: the MQTT scraper or the wardrive app.
+const SOURCES = ['mqtt', 'wardrive'];
+
+// Parses an optional sample source.
+function optionalSource(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (!SOURCES.includes(value)) {
+    throw new Error(`Invalid sample: source must be one of ${SOURCES.join(', ')}`);
+  }
+  return value;
+}
+
+// Unwraps a signed sample: { payload: '<sample JSON>', signature: '<hex>' }.
+// The payload is signed by the companion whose public key is the sample's contributor.
+// Returns the sample object with whether it was signed and whether the signature is valid.
+function unwrapSigned(body) {
+  if (body.signature === undefined) {
+    return { sample: body, signed: false, verified: false };
+  }
+
+  if (typeof body.payload !== 'string') {
+    throw new Error('Invalid sample: signed samples need a payload string');
+  }
+  let sample;
+  try {
+    sample = JSON.parse(body.payload);
+  } catch (e) {
+    throw new Error('Invalid sample: payload must be JSON');
+  }
+  if (sample === null || typeof sample !== 'object' || Array.isArray(sample)) {
+    throw new Error('Invalid sample: expected an object');
+  }
+  if (!isHex(sample.contributor, 32)) {
+    throw new Error('Invalid sample: signed samples need the contributor public key');
+  }
+
+  return {
+    sample: sample,
+    signed: true,
+    verified: verifySignature(body.payload, body.signature, sample.contributor)
+  };
+}
+
+// Validates a sample request body and normalizes it for storage.
+// The default contributor (e.g. the API key owner) is used if the sample doesn't name one.
+// Throws with the reason if the sample can't be accepted.
+function normalizeSample(body, defaultContributor = null) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Invalid sample: expected an object');
+  }
+
+  const { sample, signed, verified } = unwrapSigned(body);
+  const { lat, lon, path, snr, rssi, observed, time, contributor, source } = sample;
+  const [parsedLat, parsedLon] = parseLocation(lat, lon);
+
+  if (path !== undefined && path !== null &&
+      (!Array.isArray(path) || !path.every(p => typeof p === 'string'))) {
+    throw new Error('Invalid sample: path must be an array of repeater ids');
+  }
+  const sampleTime = optionalNumber(time, 'time');
+  if (sampleTime !== null && sampleTime <= 0) {
+    throw new Error('Invalid sample: time must be epoch milliseconds');
+  }
+
+  const normalizedPath = (path ?? []).map(p => p.toLowerCase());
+  const parsedSnr = optionalNumber(snr, 'snr');
+  const parsedRssi = optionalNumber(rssi, 'rssi');
+  return {
+    geohash: sampleKey(parsedLat, parsedLon),
+    // Use provided time if available (for migrations), otherwise use current time
+    time: sampleTime ?? Date.now(),
+    path: normalizedPath,
+    snr: parsedSnr,
+    rssi: parsedRssi,
+    snrStats: statsOf(parsedSnr, SNR_EDGES),
+    rssiStats: statsOf(parsedRssi, RSSI_EDGES),
+    observed: observed ?? normalizedPath.length > 0,
+    contributor: optionalContributor(contributor) ?? defaultContributor,
+    source: optionalSource(source),
+    signed: signed,
+    verified: verified
+  };
+}
+
+// Parses a size like '10mb' or '512kb' (or a number of bytes) into bytes.
+function parseSize(size) {
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(size).trim());
+  if (!match) {
+    throw new Error(`Invalid size ${size}`);
+  }
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+const MAX_BATCH_BYTES = parseSize(MAX_BATCH_BODY_SIZE);
+
+// Reads an NDJSON request body into an array of parsed values.
+// Lines that aren't valid JSON become Error instances so they can be reported per item.
+// Stops reading as soon as the body has more than maxItems values or maxBytes bytes,
+// and returns null.
+async function readNdjson(req, maxItems, maxBytes) {
+  const items = [];
+  const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+  let bytes = 0;
+  let tooLarge = false;
+  // Checked as data arrives, so one huge line doesn't get buffered whole.
+  req.on('data', chunk => {
+    bytes += chunk.length;
+    if (bytes > maxBytes && !tooLarge) {
+      tooLarge = true;
+      lines.close();
+    }
+  });
+
+  for await (const line of lines) {
+    if (tooLarge) break;
+    if (line.trim() === '') continue;
+    if (items.length === maxItems) {
+      tooLarge = true;
+      break;
+    }
+    try {
+      items.push(JSON.parse(line));
+    } catch (e) {
+      items.push(new Error('Invalid JSON'));
+    }
+  }
+  return tooLarge ? null : items;
+}
+
+// GET /get-samples?p=<prefix>&trusted=1
+// With trusted, only samples with verified signatures are returned.
 router.get('/get-samples', async (req, res, next) => {
   try {
     const prefix = req.query.p || null;
-    const samples = await samplesModel.getByPrefix(prefix);
+    const samples = await samplesModel.getByPrefix(prefix, parseFlag(req.query.trusted));
     
     // Format response to match expected structure (name + metadata)
     // Also include flat format for backward compatibility
     const formatted = {
-      keys: samples.keys.map(s => {
-        const path = s.metadata.path ?? [];
-        return {
-          name: s.name, // geohash
-          metadata: {
-            time: s.metadata.time,
-            path: path,
-            rssi: s.metadata.rssi ?? null,
-            snr: s.metadata.snr ?? null,
-            observed: s.metadata.observed ?? path.length > 0
-          },
-          // Also include flat format for compatibility
-          hash: s.name,
-          time: s.metadata.time,
-          path: path,
-          rssi: s.metadata.rssi ?? null,
-          snr: s.metadata.snr ?? null,
-          observed: s.metadata.observed ?? path.length > 0
-        };
-      })
+      keys: samples.keys.map(formatSample)
     };
     
     res.json(formatted);
@@ -41,23 +210,18 @@ router.get('/get-samples', async (req, res, next) => {
 });
 
 // POST /put-sample
-router.post('/put-sample', express.json(), async (req, res, next) => {
+router.post('/put-sample', requireRole('ingest'), rateLimit('samples', RATE_LIMIT_SAMPLES), express.json(), async (req, res, next) => {
   try {
-    const { lat, lon, path, snr, rssi, observed, time } = req.body;
-    const [parsedLat, parsedLon] = parseLocation(lat, lon);
-    // Use provided time if available (for migrations), otherwise use current time
-    const sampleTime = time ?? Date.now();
-    const normalizedPath = (path ?? []).map(p => p.toLowerCase());
-    const geohash = sampleKey(parsedLat, parsedLon);
+    const sample = normalizeSample(req.body, req.apiKey?.name ?? null);
     
     // Get existing sample to merge metadata
-    const existing = await samplesModel.getWithMetadata(geohash);
+    const existing = await samplesModel.getWithMetadata(sample.geohash);
     let metadata = {
-      time: sampleTime,
-      path: normalizedPath,
-      snr: snr ?? null,
-      rssi: rssi ?? null,
-      observed: observed ?? normalizedPath.length > 0
+      time: sample.time,
+      path: sample.path,
+      snr: sample.snr,
+      rssi: sample.rssi,
+      observed: sample.observed
     };
     
     // Merge with existing if recent (< 1 day old)
@@ -71,8 +235,15 @@ router.post('/put-sample', express.json(), async (req, res, next) => {
       };
     }
     
-    // Upsert - the database will handle merging paths atomically
-    await samplesModel.upsert(geohash, metadata.time, metadata.path, metadata.observed, metadata.snr, metadata.rssi);
+    // Upsert - the database will handle merging paths atomically.
+    // Stats are only this sample's readings, the database adds them to the existing stats.
+    // The raw log keeps the sample as it was uploaded.
+    await samplesModel.upsert(
+      sample.geohash, metadata.time, metadata.path, metadata.observed, metadata.snr, metadata.rssi,
+      sample.contributor, sample.signed, sample.verified, sample.snrStats, sample.rssiStats, sample.source,
+      sample
+    );
+    events.publish('sample', formatLiveSample(sample));
     
     res.send('OK');
   } catch (error) {
@@ -80,5 +251,90 @@ router.post('/put-sample', express.json(), async (req, res, next) => {
   }
 });
 
+// Reads a /put-samples body (JSON array or NDJSON) into req.batch, so the samples
+// can be charged against the rate limit before they're written.
+async function readBatch(req, res, next) {
+  try {
+    let items;
+    if (req.is('application/x-ndjson') || req.is('application/ndjson')) {
+      items = await readNdjson(req, MAX_BATCH_SAMPLES, MAX_BATCH_BYTES);
+      if (items === null) {
+        // The rest of the body isn't read, so don't reuse the connection.
+        res.set('Connection', 'close');
+        return res.status(413).json({ error: `Batch too large (at most ${MAX_BATCH_SAMPLES} samples and ${MAX_BATCH_BODY_SIZE})` });
+      }
+    } else if (Array.isArray(req.body)) {
+      items = req.body;
+    } else {
+      return res.status(400).json({ error: 'Expected a JSON array or NDJSON body of samples' });
+    }
+    
+    if (items.length > MAX_BATCH_SAMPLES) {
+      return res.status(413).json({ error: `Too many samples (${items.length} > ${MAX_BATCH_SAMPLES})` });
+    }
+    req.batch = items;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// POST /put-samples
+// Body is a JSON array of samples, or NDJSON (one sample per line) for large loads.
+// Each sample counts towards the same rate limit as /put-sample, so batches bigger than
+// the client's limit for a whole window get 413.
+// All accepted samples are written in one transaction.
+// Responds with counts and a per-item { index, status: 'accepted'|'rejected', reason }.
+router.post('/put-samples', requireRole('ingest'), rateLimit('batches', RATE_LIMIT_BATCHES), readBatch,
+  rateLimit('samples', RATE_LIMIT_SAMPLES, req => req.batch.length), async (req, res, next) => {
+  try {
+    const items = req.batch;
+    const results = items.map((item, index) => ({ index, status: 'accepted' }));
+    const toWrite = [];
+    const toWriteIndexes = [];
+    
+    items.forEach((item, index) => {
+      try {
+        if (item instanceof Error) throw item;
+        toWrite.push(normalizeSample(item, req.apiKey?.name ?? null));
+        toWriteIndexes.push(index);
+      } catch (e) {
+        results[index] = { index, status: 'rejected', reason: e.message };
+      }
+    });
+    
+    // Rejected items still get a 200, so mostly invalid batches are struck here.
+    if (items.length > 0 && (items.length - toWrite.length) / items.length > BATCH_INVALID_STRIKE_RATIO) {
+      strike(req, 'samples', 'invalid data');
+    }
+    
+    const errors = toWrite.length > 0 ? await samplesModel.upsertMany(toWrite) : [];
+    const written = [];
+    errors.forEach((error, i) => {
+      if (error) {
+        const index = toWriteIndexes[i];
+        console.log(`Batch sample ${index} failed. ${error}`);
+        results[index] = { index, status: 'rejected', reason: 'Database error' };
+      } else {
+        written.push(toWrite[i]);
+      }
+    });
+    if (written.length > MAX_LIVE_BATCH_SAMPLES) {
+      events.publish('tiles', { tiles: Array.from(new Set(written.map(s => cellOfSample(s.geohash)))).sort() });
+    } else if (written.length > 0) {
+      events.publish('samples', { samples: written.map(formatLiveSample) });
+    }
+    
+    const accepted = results.filter(r => r.status === 'accepted').length;
+    res.json({
+      accepted: accepted,
+      rejected: results.length - accepted,
+      results: results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
 
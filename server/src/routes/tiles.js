@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const geojsonvt = require('geojson-vt');
+const vtpbf = require('vt-pbf');
+const coverageModel = require('../models/coverage');
+const { SNR_EDGES, RSSI_EDGES, summarize } = require('../utils/signalStats');
+const {
+  parseFlag,
+  tileToBbox,
+  bboxPrefixes,
+  coveragePrecisionForZoom,
+  levelForPrecision,
+  rollUpCoverage,
+  COVERAGE_PRECISION,
+} = require('../utils/shared');
+const { cellBoundary, cellInBbox, cellParent } = require('../utils/grid');
+
+const MAX_TILE_ZOOM = 22;
+const TILE_CACHE_SECONDS = 300;
+
+// Builds a GeoJSON polygon feature for a coverage tile.
+function coverageFeature(c) {
+  const ring = cellBoundary(c.hash).map(([lat, lon]) => [lon, lat]);
+  const snrStats = summarize(c.snrStats, SNR_EDGES);
+  const rssiStats = summarize(c.rssiStats, RSSI_EDGES);
+  return {
+    type: 'Feature',
+    id: c.hash,
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[...ring, ring[0]]]
+    },
+    properties: {
+      hash: c.hash,
+      observed: c.observed,
+      heard: c.heard,
+      lost: c.lost,
+      snr: c.snr,
+      rssi: c.rssi,
+      // Vector tiles can't hold objects either, so stats are flattened.
+      snrMedian: snrStats?.median ?? null,
+      snrP10: snrStats?.p10 ?? null,
+      rssiMedian: rssiStats?.median ?? null,
+      rssiP10: rssiStats?.p10 ?? null,
+      lastObserved: c.lastObserved,
+      lastHeard: c.lastHeard,
+      // Vector tiles can't hold arrays, so keep this as a flat string.
+      repeaters: (c.hitRepeaters ?? []).join(','),
+    }
+  };
+}
+
+// GET /tiles/:z/:x/:y[.geojson|.mvt|.pbf]?trusted=1
+// Coverage tiles intersecting the XYZ tile, as GeoJSON (default) or Mapbox Vector Tile.
+// Trusted limits coverage to signature-verified data.
+router.get(/^\/tiles\/(\d+)\/(\d+)\/(\d+)(?:\.(geojson|json|mvt|pbf))?$/, async (req, res, next) => {
+  try {
+    const z = parseInt(req.params[0]);
+    const x = parseInt(req.params[1]);
+    const y = parseInt(req.params[2]);
+    const format = req.params[3] || 'geojson';
+    const n = 2 ** z;
+
+    if (z > MAX_TILE_ZOOM || x >= n || y >= n) {
+      return res.status(400).json({ error: `Invalid tile ${z}/${x}/${y}` });
+    }
+
+    const bbox = tileToBbox(z, x, y);
+    const precision = coveragePrecisionForZoom(z);
+    const prefixes = bboxPrefixes(bbox, 64, Math.min(precision, COVERAGE_PRECISION));
+    const coverage = (await coverageModel.getByPrefixes(prefixes, parseFlag(req.query.trusted), levelForPrecision(precision)))
+      .filter(c => cellInBbox(c.hash, bbox));
+
+    const collection = {
+      type: 'FeatureCollection',
+      features: rollUpCoverage(coverage, precision, cellParent).map(coverageFeature)
+    };
+
+    res.set('Cache-Control', `public, max-age=${TILE_CACHE_SECONDS}`);
+
+    if (format === 'mvt' || format === 'pbf') {
+      const tile = geojsonvt(collection, { maxZoom: z, indexMaxZoom: z, indexMaxPoints: 0 }).getTile(z, x, y);
+      if (!tile) {
+        return res.status(204).end();
+      }
+
+      const buffer = Buffer.from(vtpbf.fromGeojsonVt({ coverage: tile }, { version: 2 }));
+      res.type('application/vnd.mapbox-vector-tile');
+      return res.send(buffer);
+    }
+
+    res.type('application/geo+json');
+    res.send(JSON.stringify(collection));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,364 @@
+// Clean-ups: removing samples, tidying coverage, and retiring or merging repeaters,
+// each limited by filters.
+//
+// A clean-up is planned first. Its preview lists what it would change along with a
+// confirm token; POST /clean-up runs it when it's sent again with the token and the
+// plan hasn't changed since. Tiles that lose samples get their totals recomputed from
+// what's left. Each run is recorded as a 'clean-up' maintenance job.
+const crypto = require('crypto');
+const repeatersModel = require('../models/repeaters');
+const coverageModel = require('../models/coverage');
+const cleanupModel = require('../models/cleanup');
+const { runJob } = require('./jobs');
+const events = require('./events');
+const {
+  parseBbox,
+  parseTime,
+  sampleKey,
+  bboxPrefixes,
+  isValidLocation,
+  haversineMiles,
+} = require('../utils/shared');
+const { cellOfSample, cellCenter, cellInBbox } = require('../utils/grid');
+
+const JOB_TYPE = 'clean-up';
+const OPS = ['samples', 'coverage', 'repeaters'];
+const SOURCES = ['mqtt', 'wardrive'];
+
+// The options each op takes. Samples need at least one filter, so a clean-up
+// can't remove everything by accident.
+const OP_OPTIONS = {
+  samples: ['since', 'until', 'prefix', 'bbox', 'repeater', 'contributor', 'source'],
+  coverage: ['prefix', 'bbox'],
+  repeaters: ['prefix', 'bbox', 'repeater', 'staleDays', 'duplicateMiles'],
+};
+
+// Repeaters that haven't adverted in this many days are retired, and rows for the same
+// id this close together are duplicates.
+const DEFAULT_STALE_DAYS = 10;
+const DEFAULT_DUPLICATE_MILES = 0.25;
+
+// Most items listed in a preview. Counts are always complete.
+const PREVIEW_LIMIT = 100;
+
+// Confirm tokens are signed with a key that lasts as long as the process.
+const TOKEN_TTL_MS = 10 * 60 * 1000;
+const tokenKey = crypto.randomBytes(32);
+
+const GEOHASH_PATTERN = /^[0-9b-hjkmnp-z]{1,8}$/;
+
+function positiveNumber(value, name) {
+  const n = Number(value);
+  if (!isFinite(n) || n <= 0) {
+    throw new Error(`Invalid ${name} ${value}`);
+  }
+  return n;
+}
+
+// Parses an op's options from query parameters. Throws if the op is unknown or an
+// option is malformed or doesn't apply to the op.
+function parseOptions(op, query) {
+  if (!OPS.includes(op)) {
+    throw new Error(`Invalid op ${op}. Expected one of ${OPS.join(', ')}`);
+  }
+
+  const allowed = OP_OPTIONS[op];
+  const given = Object.keys(query).filter(k => !['op', 'confirm'].includes(k) && query[k] !== '');
+  const unknown = given.filter(k => !allowed.includes(k));
+  if (unknown.length > 0) {
+    throw new Error(`${unknown.join(', ')} can't be used with op=${op}`);
+  }
+
+  const options = {
+    since: parseTime(query.since),
+    until: parseTime(query.until),
+    prefix: query.prefix ? String(query.prefix).toLowerCase() : null,
+    bbox: parseBbox(query.bbox),
+    repeater: query.repeater ? String(query.repeater).toLowerCase() : null,
+    contributor: query.contributor ? String(query.contributor).trim() : null,
+    source: query.source || null,
+  };
+
+  if (options.prefix && !GEOHASH_PATTERN.test(options.prefix)) {
+    throw new Error(`Invalid prefix ${query.prefix}`);
+  }
+  if (options.repeater && !/^([0-9a-f]{2}|[0-9a-f]{64})$/.test(options.repeater)) {
+    throw new Error(`Invalid repeater ${query.repeater}. Expected a 2 digit id or a public key`);
+  }
+  if (options.source && !SOURCES.includes(options.source)) {
+    throw new Error(`Invalid source ${query.source}. Expected one of ${SOURCES.join(', ')}`);
+  }
+  if (options.contributor && /^[0-9a-fA-F]+$/.test(options.contributor)) {
+    options.contributor = options.contributor.toLowerCase();
+  }
+
+  if (op === 'samples' && given.length === 0) {
+    throw new Error(`op=samples needs at least one of ${allowed.join(', ')}`);
+  }
+  if (op === 'repeaters') {
+    options.staleDays = query.staleDays ? positiveNumber(query.staleDays, 'staleDays') : DEFAULT_STALE_DAYS;
+    options.duplicateMiles = query.duplicateMiles ? positiveNumber(query.duplicateMiles, 'duplicateMiles') : DEFAULT_DUPLICATE_MILES;
+  }
+  return options;
+}
+
+// Formats a samples model row for a preview.
+function previewSample(s, archived) {
+  return {
+    hash: s.geohash,
+    time: s.time,
+    path: s.path,
+    contributor: s.contributor,
+    source: s.source,
+    archived: archived
+  };
+}
+
+function previewRepeater(r) {
+  return {
+    id: r.id,
+    publicKey: r.publicKey,
+    name: r.name,
+    lat: r.lat,
+    lon: r.lon,
+    time: r.time
+  };
+}
+
+// Plans a samples clean-up: the samples, archived samples, consolidated coverage samples
+// and raw samples matching the filters, and the tiles whose totals they count towards.
+// Raw samples go too, or a rebuild would bring them back.
+async function planSamples(options) {
+  // Paths only hold 1 byte ids.
+  const filters = { ...options, repeater: options.repeater?.substring(0, 2) ?? null };
+  const samples = await cleanupModel.getSamples('samples', filters);
+  const archived = await cleanupModel.getSamples('archive', filters);
+  const coverageSamples = await cleanupModel.getCoverageSamples(filters, archived);
+  const raw = await cleanupModel.getRawSamples(filters);
+  const rawCount = raw.reduce((count, r) => count + r.count, 0);
+
+  const tiles = Array.from(new Set([
+    ...archived.map(s => cellOfSample(s.geohash)),
+    ...coverageSamples.map(s => s.tile)
+  ])).sort();
+  const repeaters = Array.from(new Set(
+    [...samples, ...archived, ...coverageSamples].flatMap(s => s.path)
+  )).sort();
+
+  return {
+    keys: [samples.map(s => s.geohash), archived.map(s => s.geohash), coverageSamples.map(s => `${s.tile}|${s.time}`), rawCount],
+    preview: {
+      samples: {
+        count: samples.length,
+        archived: archived.length,
+        consolidated: coverageSamples.length,
+        raw: rawCount,
+        examples: [
+          ...samples.map(s => previewSample(s, false)),
+          ...archived.map(s => previewSample(s, true))
+        ].slice(0, PREVIEW_LIMIT)
+      },
+      tiles: { count: tiles.length, hashes: tiles.slice(0, PREVIEW_LIMIT) },
+      repeaters: { count: repeaters.length, ids: repeaters }
+    },
+    async execute(result) {
+      const deleted = await cleanupModel.deleteSamples(samples, archived, coverageSamples, filters, raw.map(r => r.geohash));
+      result.samples_deleted = deleted.samples;
+      result.archived_deleted = deleted.archived;
+      result.consolidated_deleted = deleted.consolidated;
+      result.raw_deleted = deleted.raw;
+
+      const recomputed = await coverageModel.recomputeTiles(tiles);
+      result.tiles_recomputed = recomputed.updated;
+      result.tiles_deleted = recomputed.deleted;
+      result.coverage_levels = tiles.length > 0 ? await coverageModel.rebuildLevels() : null;
+      // Removed samples waiting to be consolidated show on the map too.
+      const changed = new Set([...tiles, ...samples.map(s => cellOfSample(s.geohash))]);
+      if (changed.size > 0) {
+        events.publish('tiles', { tiles: Array.from(changed).sort() });
+      }
+    }
+  };
+}
+
+// Plans a coverage clean-up: tiles centred outside the configured area are deleted
+// and the rest have their totals recomputed from their consolidated samples.
+async function planCoverage(options) {
+  const prefixes = options.prefix ? [options.prefix] : (options.bbox ? bboxPrefixes(options.bbox) : null);
+  const coverage = (await coverageModel.getByPrefixes(prefixes))
+    .filter(c => !options.bbox || cellInBbox(c.hash, options.bbox));
+  const outOfRange = coverage.filter(c => !isValidLocation(cellCenter(c.hash))).map(c => c.hash);
+  const inRange = coverage.filter(c => isValidLocation(cellCenter(c.hash))).map(c => c.hash);
+
+  return {
+    keys: [outOfRange, inRange],
+    preview: {
+      tiles: {
+        count: coverage.length,
+        outOfRange: { count: outOfRange.length, hashes: outOfRange.slice(0, PREVIEW_LIMIT) },
+        recompute: inRange.length
+      }
+    },
+    async execute(result) {
+      result.coverage_out_of_range = 0;
+      for (const hash of outOfRange) {
+        await coverageModel.deleteByGeohash(hash);
+        result.coverage_out_of_range++;
+      }
+
+      const recomputed = await coverageModel.recomputeTiles(inRange);
+      result.tiles_recomputed = recomputed.updated;
+      result.tiles_deleted = recomputed.deleted;
+
+      // The other pyramid levels are sums of what's left.
+      result.coverage_levels = await coverageModel.rebuildLevels();
+      if (coverage.length > 0) {
+        events.publish('tiles', { tiles: coverage.map(c => c.hash) });
+      }
+    }
+  };
+}
+
+// Groups repeaters with the same id whose locations are within miles of each other.
+function groupByOverlap(items, miles) {
+  const groups = [];
+
+  for (const item of items) {
+    const loc = [item.metadata.lat, item.metadata.lon];
+    const group = groups.find(g => haversineMiles(g.loc, loc) <= miles);
+    if (group) {
+      group.items.push(item);
+    } else {
+      groups.push({ id: item.metadata.id, loc: loc, items: [item] });
+    }
+  }
+
+  return groups;
+}
+
+// Plans a repeaters clean-up: active repeaters that haven't adverted in staleDays are
+// retired, then rows for the same id within duplicateMiles of each other are merged into
+// the newest. Repeaters with public keys are distinct repeaters that share an id, so
+// only id-only rows are duplicates.
+async function planRepeaters(options) {
+  const repeaters = (await repeatersModel.getAll()).keys.filter(r => {
+    const m = r.metadata;
+    return (!options.repeater || m.id.toLowerCase() === options.repeater || m.publicKey === options.repeater) &&
+      (!options.prefix || sampleKey(m.lat, m.lon).startsWith(options.prefix)) &&
+      (!options.bbox || (m.lat >= options.bbox[0] && m.lat <= options.bbox[2] &&
+        m.lon >= options.bbox[1] && m.lon <= options.bbox[3]));
+  });
+
+  const cutoffTime = Date.now() - (options.staleDays * 24 * 60 * 60 * 1000);
+  const stale = repeaters.filter(r => r.metadata.time < cutoffTime);
+  const active = repeaters.filter(r => r.metadata.time >= cutoffTime);
+
+  const byId = new Map();
+  active.forEach(r => {
+    if (!byId.has(r.metadata.id)) {
+      byId.set(r.metadata.id, []);
+    }
+    byId.get(r.metadata.id).push(r);
+  });
+
+  const merges = [];
+  for (const items of byId.values()) {
+    for (const group of groupByOverlap(items, options.duplicateMiles)) {
+      if (group.items.length < 2) {
+        continue;
+      }
+      const sorted = group.items.sort((a, b) =>
+        (b.metadata.publicKey ? 1 : 0) - (a.metadata.publicKey ? 1 : 0) ||
+        b.metadata.time - a.metadata.time
+      );
+      sorted.slice(1)
+        .filter(r => !r.metadata.publicKey)
+        .forEach(r => merges.push({ duplicate: r.metadata, kept: sorted[0].metadata }));
+    }
+  }
+
+  return {
+    keys: [stale.map(r => r.name), merges.map(m => `${m.duplicate.id}|${m.duplicate.lat}|${m.duplicate.lon}`)],
+    preview: {
+      repeaters: {
+        count: repeaters.length,
+        retire: stale.slice(0, PREVIEW_LIMIT).map(r => previewRepeater(r.metadata)),
+        retireCount: stale.length,
+        merge: merges.slice(0, PREVIEW_LIMIT).map(m => ({ duplicate: previewRepeater(m.duplicate), kept: previewRepeater(m.kept) })),
+        mergeCount: merges.length
+      }
+    },
+    async execute(result) {
+      result.retired_stale_repeaters = stale.length > 0
+        ? await repeatersModel.retireStale(options.staleDays, stale.map(r => r.metadata))
+        : 0;
+      result.deleted_dupe_repeaters = 0;
+      for (const { duplicate, kept } of merges) {
+        await repeatersModel.mergeDuplicate(duplicate, kept);
+        result.deleted_dupe_repeaters++;
+      }
+    }
+  };
+}
+
+const PLANNERS = {
+  samples: planSamples,
+  coverage: planCoverage,
+  repeaters: planRepeaters,
+};
+
+function tokenFor(plan, expires) {
+  const signature = crypto.createHmac('sha256', tokenKey)
+    .update(JSON.stringify([plan.op, plan.options, plan.keys, expires]))
+    .digest('hex');
+  return `${expires}.${signature}`;
+}
+
+// Plans an op with parsed options (see parseOptions).
+async function plan(op, options) {
+  return { op: op, options: options, ...(await PLANNERS[op](options)) };
+}
+
+// Gets a plan's preview, with the token that confirms it.
+function preview(plan) {
+  const expires = Date.now() + TOKEN_TTL_MS;
+  return {
+    op: plan.op,
+    options: plan.options,
+    ...plan.preview,
+    confirm: tokenFor(plan, expires),
+    expires: expires
+  };
+}
+
+// True if the token came from a preview of the same plan and hasn't expired. A plan
+// made from different data (e.g. samples added or removed since) doesn't match.
+function isConfirmed(plan, token) {
+  const expires = parseInt(String(token).split('.')[0]);
+  if (!expires || expires < Date.now()) {
+    return false;
+  }
+  const expected = Buffer.from(tokenFor(plan, expires));
+  const actual = Buffer.from(String(token));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Carries out a plan and returns the counters. trigger is 'schedule' or 'admin'.
+async function execute(plan, trigger = 'admin') {
+  // Repeater clean-ups don't touch coverage.
+  const lockCoverage = plan.op !== 'repeaters';
+  return runJob(JOB_TYPE, { trigger, params: { op: plan.op, ...plan.options }, lockCoverage }, async result => {
+    result.op = plan.op;
+    await plan.execute(result);
+  });
+}
+
+module.exports = {
+  JOB_TYPE,
+  OPS,
+  parseOptions,
+  plan,
+  preview,
+  isConfirmed,
+  execute,
+};
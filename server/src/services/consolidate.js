@@ -0,0 +1,125 @@
+// Consolidation: merges samples older than a cutoff into coverage, then archives and
+// deletes them. The scheduled task and POST /consolidate both run it; each run is
+// recorded as a 'consolidate' maintenance job.
+const samplesModel = require('../models/samples');
+const coverageModel = require('../models/coverage');
+const archiveModel = require('../models/archive');
+const { runJob } = require('./jobs');
+const events = require('./events');
+const { cellOfSample } = require('../utils/grid');
+
+const JOB_TYPE = 'consolidate';
+
+// Age in days of the samples consolidated by default (configurable via env var). Default: 14
+function getConsolidateMaxAgeDays() {
+  return parseInt(process.env.CONSOLIDATE_MAX_AGE_DAYS) || 14;
+}
+
+// Groups samples by the coverage cell they fall in, in the shape mergeCoverage takes.
+function groupByCell(samples) {
+  const hashToSamples = new Map();
+  samples.forEach(sample => {
+    const coverageHash = cellOfSample(sample.geohash);
+    if (!hashToSamples.has(coverageHash)) {
+      hashToSamples.set(coverageHash, []);
+    }
+    hashToSamples.get(coverageHash).push({
+      key: sample.geohash,
+      metadata: {
+        time: sample.time,
+        path: sample.path || [],
+        observed: sample.observed ?? (sample.path && sample.path.length > 0),
+        snr: sample.snr,
+        rssi: sample.rssi,
+        snrStats: sample.snrStats,
+        rssiStats: sample.rssiStats,
+        contributor: sample.contributor,
+        signed: sample.signed,
+        verified: sample.verified,
+        source: sample.source
+      }
+    });
+  });
+  return hashToSamples;
+}
+
+// Consolidates samples older than maxAgeDays and returns the counters.
+// A dry run only reports what would be merged, archived and deleted.
+// trigger is 'schedule' or 'admin'.
+async function consolidate({ maxAgeDays = getConsolidateMaxAgeDays(), dryRun = false, trigger = 'admin' } = {}) {
+  return runJob(JOB_TYPE, { trigger, params: { maxAgeDays }, dryRun, lockCoverage: !dryRun }, async result => {
+    Object.assign(result, {
+      coverage_entites_to_update: 0,
+      samples_to_update: 0,
+    });
+
+    const oldSamples = await samplesModel.getOlderThan(maxAgeDays);
+    const hashToSamples = groupByCell(oldSamples);
+    result.samples_to_update = oldSamples.length;
+    result.coverage_entites_to_update = hashToSamples.size;
+
+    if (dryRun) {
+      result.would_merge = hashToSamples.size;
+      result.would_archive = oldSamples.length;
+      result.would_delete = oldSamples.length;
+      return;
+    }
+
+    Object.assign(result, {
+      merged_ok: 0,
+      merged_fail: 0,
+      archive_ok: 0,
+      archive_fail: 0,
+      delete_ok: 0,
+      delete_fail: 0,
+      delete_skip: 0
+    });
+    const mergedKeys = [];
+
+    // Merge into coverage
+    for (const [geohash, samples] of hashToSamples.entries()) {
+      try {
+        await coverageModel.mergeCoverage(geohash, samples);
+        result.merged_ok++;
+        mergedKeys.push(geohash);
+      } catch (e) {
+        console.log(`[Consolidate] Merge failed for ${geohash}. ${e}`);
+        result.merged_fail++;
+      }
+    }
+
+    // Archive and delete. Samples are only deleted once they're archived.
+    for (const geohash of mergedKeys) {
+      for (const sample of hashToSamples.get(geohash)) {
+        const metadata = sample.metadata;
+        try {
+          await archiveModel.insert(sample.key, metadata.time, metadata.path, metadata.observed, metadata.snr, metadata.rssi, metadata.contributor, metadata.signed, metadata.verified, metadata.snrStats, metadata.rssiStats, metadata.source);
+          result.archive_ok++;
+        } catch (e) {
+          console.log(`[Consolidate] Archive failed for ${sample.key}. ${e}`);
+          result.archive_fail++;
+          result.delete_skip++;
+          continue;
+        }
+
+        try {
+          await samplesModel.deleteByGeohash(sample.key);
+          result.delete_ok++;
+        } catch (e) {
+          console.log(`[Consolidate] Delete failed for ${sample.key}. ${e}`);
+          result.delete_fail++;
+        }
+      }
+    }
+
+    if (mergedKeys.length > 0) {
+      events.publish('tiles', { tiles: mergedKeys });
+    }
+  });
+}
+
+module.exports = {
+  JOB_TYPE,
+  getConsolidateMaxAgeDays,
+  consolidate,
+};
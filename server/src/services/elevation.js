@@ -0,0 +1,196 @@
+// Elevation lookups for repeater locations and terrain profiles.
+//
+// Looks in the elevation cache, then local DEM tiles (ELEVATION_DEM_DIR, see
+// utils/dem.js), then the remote provider (ELEVATION_REMOTE_URL), and caches what it
+// finds. Remote requests go one at a time, at most one per ELEVATION_REMOTE_INTERVAL_MS,
+// and stop for a while when the provider says there are too many. The backfill job
+// fills in repeaters whose elevation is missing (e.g. adverts from while the provider
+// was unreachable); each run is recorded as an 'elevation-backfill' job.
+const elevationModel = require('../models/elevation');
+const repeatersModel = require('../models/repeaters');
+const { readElevation } = require('../utils/dem');
+const { runJob } = require('./jobs');
+
+const JOB_TYPE = 'elevation-backfill';
+
+// Directory of .hgt and GeoTIFF tiles (configurable via env var). Default: none
+const DEM_DIR = process.env.ELEVATION_DEM_DIR || null;
+
+// Remote provider URL with {lat} and {lon} placeholders, or 'none' (configurable via env var).
+// It should answer like Open Topo Data or Open-Elevation: { results: [{ elevation }] }.
+// Default: Open Topo Data's public API, 10 m NED in the US and 30 m SRTM elsewhere.
+const REMOTE_URL = process.env.ELEVATION_REMOTE_URL || 'https://api.opentopodata.org/v1/ned10m,srtm30m?locations={lat},{lon}';
+const REMOTE_INTERVAL_MS = parseInt(process.env.ELEVATION_REMOTE_INTERVAL_MS) || 1000;
+const REMOTE_TIMEOUT_MS = 10 * 1000;
+
+// Most locations in one remote request (Open Topo Data's public API limit).
+const REMOTE_BATCH_SIZE = 100;
+
+// How long to leave the provider alone after it rate limits us, unless it says.
+const RATE_LIMITED_MS = 60 * 1000;
+
+// Locations looked up per backfill run (configurable via env var). Default: 100
+function getBackfillLimit() {
+  return parseInt(process.env.ELEVATION_BACKFILL_LIMIT) || 100;
+}
+
+let remoteQueue = Promise.resolve();
+let remotePausedUntil = 0;
+
+function isRemoteEnabled() {
+  return REMOTE_URL !== 'none';
+}
+
+// Waits for the previous remote request (and the interval after it), then runs fn.
+function queueRemote(fn) {
+  const run = remoteQueue.then(fn);
+  remoteQueue = run
+    .catch(() => {})
+    .then(() => new Promise(resolve => setTimeout(resolve, REMOTE_INTERVAL_MS)));
+  return run;
+}
+
+// Looks up elevations with the remote provider, for one or more [lat, lon] locations.
+// Returns one elevation (or null) per location, or null if the provider can't be
+// reached. Several locations go in one request as "lat,lon|lat,lon|...", which Open
+// Topo Data and Open-Elevation both accept.
+async function fetchRemote(locations) {
+  if (Date.now() < remotePausedUntil) {
+    return null;
+  }
+
+  const label = locations.length === 1 ? `[${locations[0]}]` : `${locations.length} locations`;
+  try {
+    const url = locations.length === 1
+      ? REMOTE_URL.replace('{lat}', locations[0][0]).replace('{lon}', locations[0][1])
+      : REMOTE_URL.replace('{lat},{lon}', locations.map(([lat, lon]) => `${lat},${lon}`).join('|'));
+    const resp = await fetch(url, { signal: AbortSignal.timeout(REMOTE_TIMEOUT_MS) });
+
+    if (resp.status === 429) {
+      const retryAfter = parseInt(resp.headers.get('retry-after'));
+      remotePausedUntil = Date.now() + (retryAfter > 0 ? retryAfter * 1000 : RATE_LIMITED_MS);
+      console.log(`[Elevation] Rate limited by the remote provider, pausing until ${new Date(remotePausedUntil).toISOString()}`);
+      return null;
+    }
+    if (!resp.ok) {
+      console.log(`[Elevation] Remote lookup failed for ${label}. HTTP ${resp.status} ${resp.statusText}`);
+      return null;
+    }
+
+    const data = await resp.json();
+    if (data.status !== undefined && data.status !== 'OK') {
+      console.log(`[Elevation] Remote lookup failed for ${label}. Status: ${data.status}. Error: ${data.error || 'unknown'}`);
+      return null;
+    }
+    return locations.map((_, i) => {
+      const elevation = data.results?.[i]?.elevation;
+      return typeof elevation === 'number' ? elevation : null;
+    });
+  } catch (e) {
+    console.log(`[Elevation] Remote lookup failed for ${label}. ${e}`);
+    return null;
+  }
+}
+
+// Reads an elevation from the local tiles, or null if there are none or they have
+// no data there.
+async function readDem(lat, lon) {
+  if (!DEM_DIR) {
+    return null;
+  }
+  try {
+    return await readElevation(DEM_DIR, lat, lon);
+  } catch (e) {
+    console.log(`[Elevation] DEM lookup failed for [${lat},${lon}]. ${e.message}`);
+    return null;
+  }
+}
+
+// Gets the ground elevation (meters, 2 decimal places) at a location, or null if it
+// can't be found. With remote false, only the cache and local tiles are used, which
+// is quick enough to do while handling a request.
+async function getElevation(lat, lon, { remote = true } = {}) {
+  const cached = await elevationModel.get(lat, lon);
+  if (cached !== null) {
+    return cached;
+  }
+
+  let elevation = await readDem(lat, lon);
+  let source = 'dem';
+  if (elevation === null && remote && isRemoteEnabled()) {
+    elevation = (await queueRemote(() => fetchRemote([[lat, lon]])))?.[0] ?? null;
+    source = 'remote';
+  }
+  if (elevation === null) {
+    return null;
+  }
+
+  elevation = Math.round(elevation * 100) / 100;
+  await elevationModel.put(lat, lon, elevation, source);
+  return elevation;
+}
+
+// Gets the ground elevation (meters) at each of a list of [lat, lon] locations, e.g.
+// the points of a terrain profile, null where it can't be found. These aren't cached.
+// Locations the local tiles don't cover go to the remote provider in batches, if its
+// URL takes a list ({lat},{lon}); one request per point would take far too long.
+async function getElevations(locations) {
+  const elevations = [];
+  for (const [lat, lon] of locations) {
+    elevations.push(await readDem(lat, lon));
+  }
+
+  const missing = locations.map((_, i) => i).filter(i => elevations[i] === null);
+  if (missing.length > 0 && isRemoteEnabled() && REMOTE_URL.includes('{lat},{lon}')) {
+    for (let start = 0; start < missing.length; start += REMOTE_BATCH_SIZE) {
+      const batch = missing.slice(start, start + REMOTE_BATCH_SIZE);
+      const found = await queueRemote(() => fetchRemote(batch.map(i => locations[i])));
+      if (!found) {
+        break;
+      }
+      batch.forEach((i, j) => elevations[i] = found[j]);
+    }
+  }
+  return elevations;
+}
+
+// Looks up the elevation for a repeater location in the background and fills it in
+// on repeaters there that don't have one.
+function fillLater(lat, lon) {
+  getElevation(lat, lon)
+    .then(elevation => elevation !== null ? repeatersModel.setMissingElevation(lat, lon, elevation) : 0)
+    .catch(e => console.log(`[Elevation] Filling [${lat},${lon}] failed. ${e}`));
+}
+
+// Fills in the elevation of repeaters missing one, up to limit locations per run,
+// and returns the counters. A dry run only counts them. trigger is 'schedule' or 'admin'.
+async function backfill({ limit = getBackfillLimit(), dryRun = false, trigger = 'admin' } = {}) {
+  return runJob(JOB_TYPE, { trigger, params: { limit }, dryRun }, async result => {
+    const locations = await repeatersModel.getMissingElevation();
+    result.locations_missing = locations.length;
+    if (dryRun) {
+      result.would_look_up = Math.min(locations.length, limit);
+      return;
+    }
+
+    Object.assign(result, { looked_up: 0, not_found: 0, repeaters_filled: 0 });
+    for (const { lat, lon } of locations.slice(0, limit)) {
+      const elevation = await getElevation(lat, lon);
+      result.looked_up++;
+      if (elevation === null) {
+        result.not_found++;
+        continue;
+      }
+      result.repeaters_filled += await repeatersModel.setMissingElevation(lat, lon, elevation);
+    }
+  });
+}
+
+module.exports = {
+  JOB_TYPE,
+  getBackfillLimit,
+  getElevation,
+  getElevations,
+  fillLater,
+  backfill,
+};
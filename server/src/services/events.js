@@ -0,0 +1,33 @@
+// Live events: what the server ingests or changes, pushed to map and wardrive pages
+// over GET /events (server-sent events) as it happens.
+//
+// 'sample' is an uploaded sample, 'samples' an uploaded batch, 'repeater' a repeater
+// advert and 'tiles' the coverage tiles a job (or a big batch) changed. Events only
+// reach clients of this process; jobs run from scripts don't send any, and clients
+// pick those up on their next refresh.
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// Every connected client listens, so don't warn about many listeners.
+emitter.setMaxListeners(0);
+
+// Sends an event to every subscriber. It's serialized once here, not once per client.
+function publish(type, data) {
+  emitter.emit('event', { type, data, json: JSON.stringify(data) });
+}
+
+// Calls listener({ type, data, json }) for each event. Returns a function that unsubscribes.
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+function subscriberCount() {
+  return emitter.listenerCount('event');
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  subscriberCount,
+};
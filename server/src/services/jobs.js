@@ -0,0 +1,69 @@
+// Maintenance jobs.
+//
+// Runs a job and keeps its record in maintenance_jobs (parameters, timings, counters
+// and any error), so /admin/jobs can show what ran and what it did. Only one job of
+// a type runs at a time in this process. Jobs that change coverage also take a
+// database lock, so they don't overlap with each other in any process (e.g. a rebuild
+// run from a script would otherwise lose what a consolidation added meanwhile).
+const pool = require('../config/database');
+const jobsModel = require('../models/maintenanceJobs');
+
+const running = new Set();
+
+// Advisory lock held by jobs that change coverage.
+const COVERAGE_LOCK_ID = 7240816;
+
+function isRunning(type) {
+  return running.has(type);
+}
+
+// Runs fn while holding an advisory lock. Throws if another session holds it.
+async function withLock(lockId, fn) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [lockId]);
+    if (!result.rows[0].locked) {
+      throw new Error('A job that changes coverage is already running');
+    }
+    try {
+      return await fn();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [lockId]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Runs fn(result) as a job. fn fills in the result counters, which are recorded
+// even if it fails part way. Returns the counters plus the job id.
+// lockCoverage takes the coverage lock for the job.
+async function runJob(type, { trigger = 'admin', params = {}, dryRun = false, lockCoverage = false } = {}, fn) {
+  if (running.has(type)) {
+    throw new Error(`A ${type} job is already running`);
+  }
+  if (lockCoverage) {
+    return withLock(COVERAGE_LOCK_ID, () => runJob(type, { trigger, params, dryRun }, fn));
+  }
+
+  running.add(type);
+  try {
+    const id = await jobsModel.start(type, trigger, params, dryRun);
+    const result = {};
+    try {
+      await fn(result);
+    } catch (error) {
+      await jobsModel.finish(id, result, error);
+      throw error;
+    }
+    await jobsModel.finish(id, result);
+    return { job_id: id, ...result };
+  } finally {
+    running.delete(type);
+  }
+}
+
+module.exports = {
+  isRunning,
+  runJob,
+};
@@ -1,17 +1,26 @@
 const cron = require('node-cron');
-const samplesModel = require('../models/samples');
-const repeatersModel = require('../models/repeaters');
-const coverageModel = require('../models/coverage');
-const archiveModel = require('../models/archive');
-const { ageInDays, posFromHash, isValidLocation, haversineMiles } = require('../utils/shared');
+const cleanup = require('./cleanup');
+const { consolidate, getConsolidateMaxAgeDays, JOB_TYPE: CONSOLIDATE_JOB } = require('./consolidate');
+const elevation = require('./elevation');
+const prediction = require('./prediction');
+const { isRunning } = require('./jobs');
 
 // Get configuration from environment variables
 const CONSOLIDATE_ENABLED = process.env.CONSOLIDATE_ENABLED !== 'false';
 const CONSOLIDATE_SCHEDULE = process.env.CONSOLIDATE_SCHEDULE || '0 2 * * *'; // Daily at 2 AM
-const CONSOLIDATE_MAX_AGE_DAYS = parseInt(process.env.CONSOLIDATE_MAX_AGE_DAYS) || 14; // 2 weeks default
+const CONSOLIDATE_MAX_AGE_DAYS = getConsolidateMaxAgeDays(); // 2 weeks default
 
 const CLEANUP_ENABLED = process.env.CLEANUP_ENABLED !== 'false';
 const CLEANUP_SCHEDULE = process.env.CLEANUP_SCHEDULE || '0 3 * * 0'; // Weekly on Sunday at 3 AM
+const CLEANUP_JOB = cleanup.JOB_TYPE;
+
+const ELEVATION_BACKFILL_ENABLED = process.env.ELEVATION_BACKFILL_ENABLED !== 'false';
+const ELEVATION_BACKFILL_SCHEDULE = process.env.ELEVATION_BACKFILL_SCHEDULE || '0 4 * * *'; // Daily at 4 AM
+const ELEVATION_BACKFILL_JOB = elevation.JOB_TYPE;
+
+const PREDICTION_ENABLED = process.env.PREDICTION_ENABLED !== 'false';
+const PREDICTION_SCHEDULE = process.env.PREDICTION_SCHEDULE || '0 5 * * *'; // Daily at 5 AM
+const PREDICTION_JOB = prediction.JOB_TYPE;
 
 // Consolidate old samples into coverage
 async function runConsolidate() {
@@ -19,83 +28,15 @@ async function runConsolidate() {
     console.log('Consolidate task is disabled');
     return;
   }
+  if (isRunning(CONSOLIDATE_JOB)) {
+    console.log('[Maintenance] Consolidate is already running, skipping');
+    return;
+  }
 
   console.log(`[Maintenance] Starting consolidate (maxAge: ${CONSOLIDATE_MAX_AGE_DAYS} days)`);
   
   try {
-    const result = {
-      coverage_entites_to_update: 0,
-      samples_to_update: 0,
-      merged_ok: 0,
-      merged_fail: 0,
-      archive_ok: 0,
-      archive_fail: 0,
-      delete_ok: 0,
-      delete_fail: 0,
-      delete_skip: 0
-    };
-    
-    // Get old samples
-    const oldSamples = await samplesModel.getOlderThan(CONSOLIDATE_MAX_AGE_DAYS);
-    result.samples_to_update = oldSamples.length;
-    
-    if (oldSamples.length === 0) {
-      console.log('[Maintenance] No samples to consolidate');
-      return;
-    }
-    
-    // Group by 6-char geohash
-    const hashToSamples = new Map();
-    oldSamples.forEach(sample => {
-      const coverageHash = sample.geohash.substring(0, 6);
-      if (!hashToSamples.has(coverageHash)) {
-        hashToSamples.set(coverageHash, []);
-      }
-      hashToSamples.get(coverageHash).push({
-        key: sample.geohash,
-        time: sample.time,
-        path: sample.path || []
-      });
-    });
-    
-    result.coverage_entites_to_update = hashToSamples.size;
-    const mergedKeys = [];
-    
-    // Merge into coverage
-    for (const [geohash, samples] of hashToSamples.entries()) {
-      try {
-        await coverageModel.mergeCoverage(geohash, samples);
-        result.merged_ok++;
-        mergedKeys.push(geohash);
-      } catch (e) {
-        console.log(`[Maintenance] Merge failed for ${geohash}. ${e}`);
-        result.merged_fail++;
-      }
-    }
-    
-    // Archive and delete
-    for (const geohash of mergedKeys) {
-      const samples = hashToSamples.get(geohash);
-      for (const sample of samples) {
-        try {
-          await archiveModel.insert(sample.key, sample.time, sample.path);
-          result.archive_ok++;
-          
-          try {
-            await samplesModel.deleteByGeohash(sample.key);
-            result.delete_ok++;
-          } catch (e) {
-            console.log(`[Maintenance] Delete failed for ${sample.key}. ${e}`);
-            result.delete_fail++;
-          }
-        } catch (e) {
-          console.log(`[Maintenance] Archive failed for ${sample.key}. ${e}`);
-          result.archive_fail++;
-          result.delete_skip++;
-        }
-      }
-    }
-    
+    const result = await consolidate({ maxAgeDays: CONSOLIDATE_MAX_AGE_DAYS, trigger: 'schedule' });
     console.log(`[Maintenance] Consolidate completed:`, result);
   } catch (error) {
     console.error('[Maintenance] Consolidate error:', error);
@@ -108,93 +49,66 @@ async function runCleanupRepeaters() {
     console.log('Cleanup task is disabled');
     return;
   }
+  if (isRunning(CLEANUP_JOB)) {
+    console.log('[Maintenance] A clean-up is already running, skipping');
+    return;
+  }
 
   console.log('[Maintenance] Starting repeater cleanup');
   
   try {
-    const result = {
-      deleted_stale_repeaters: 0,
-      deleted_dupe_repeaters: 0
-    };
-    
-    // Delete stale repeaters (>10 days)
-    const deletedStale = await repeatersModel.deleteStale(10);
-    result.deleted_stale_repeaters = deletedStale;
-    
-    // Deduplicate by location (keep newest)
-    const allRepeaters = await repeatersModel.getAll();
-    const byId = new Map();
-    
-    allRepeaters.keys.forEach(r => {
-      const id = r.metadata.id;
-      if (!byId.has(id)) {
-        byId.set(id, []);
-      }
-      byId.get(id).push(r);
-    });
-    
-    // Group by location overlap
-    for (const [id, repeaters] of byId.entries()) {
-      const groups = groupByOverlap(repeaters);
-      
-      for (const group of groups) {
-        if (group.items.length > 1) {
-          // Keep newest, delete others
-          const sorted = group.items.sort((a, b) => 
-            b.metadata.time - a.metadata.time
-          );
-          
-          for (let i = 1; i < sorted.length; i++) {
-            const item = sorted[i];
-            const nameParts = item.name.split('|');
-            const lat = parseFloat(nameParts[1]);
-            const lon = parseFloat(nameParts[2]);
-            await repeatersModel.deleteByIdLatLon(id, lat, lon);
-            result.deleted_dupe_repeaters++;
-          }
-        }
-      }
-    }
-    
+    const plan = await cleanup.plan('repeaters', cleanup.parseOptions('repeaters', {}));
+    const result = await cleanup.execute(plan, 'schedule');
     console.log(`[Maintenance] Cleanup completed:`, result);
   } catch (error) {
     console.error('[Maintenance] Cleanup error:', error);
   }
 }
 
-function groupByOverlap(items) {
-  const groups = [];
-  
-  for (const item of items) {
-    const nameParts = item.name.split('|');
-    const lat = parseFloat(nameParts[1]);
-    const lon = parseFloat(nameParts[2]);
-    const loc = [lat, lon];
-    let found = false;
-    
-    for (const group of groups) {
-      if (overlaps(group.loc, loc)) {
-        group.items.push(item);
-        found = true;
-        break;
-      }
-    }
-    
-    if (!found) {
-      groups.push({
-        id: item.metadata.id,
-        loc: loc,
-        items: [item]
-      });
-    }
+// Fill in missing repeater elevations
+async function runElevationBackfill() {
+  if (!ELEVATION_BACKFILL_ENABLED) {
+    console.log('Elevation backfill task is disabled');
+    return;
+  }
+  if (isRunning(ELEVATION_BACKFILL_JOB)) {
+    console.log('[Maintenance] Elevation backfill is already running, skipping');
+    return;
+  }
+
+  console.log('[Maintenance] Starting elevation backfill');
+
+  try {
+    const result = await elevation.backfill({ trigger: 'schedule' });
+    console.log(`[Maintenance] Elevation backfill completed:`, result);
+  } catch (error) {
+    console.error('[Maintenance] Elevation backfill error:', error);
   }
-  
-  return groups;
 }
 
-function overlaps(a, b) {
-  const dist = haversineMiles(a, b);
-  return dist <= 0.25; // 1/4 mile
+// Predict coverage for new and moved repeaters
+async function runPrediction() {
+  if (!PREDICTION_ENABLED) {
+    console.log('Coverage prediction task is disabled');
+    return;
+  }
+  if (!prediction.canPredict()) {
+    console.log('[Maintenance] Coverage prediction needs ELEVATION_DEM_DIR, skipping');
+    return;
+  }
+  if (isRunning(PREDICTION_JOB)) {
+    console.log('[Maintenance] Coverage prediction is already running, skipping');
+    return;
+  }
+
+  console.log('[Maintenance] Starting coverage prediction');
+
+  try {
+    const result = await prediction.predict({ trigger: 'schedule' });
+    console.log(`[Maintenance] Coverage prediction completed:`, result);
+  } catch (error) {
+    console.error('[Maintenance] Coverage prediction error:', error);
+  }
 }
 
 // Initialize scheduled tasks
@@ -216,11 +130,31 @@ function initializeScheduledTasks() {
       timezone: "America/Los_Angeles"
     });
   }
+
+  // Elevation backfill task
+  if (ELEVATION_BACKFILL_ENABLED) {
+    console.log(`[Maintenance] Scheduling elevation backfill task: ${ELEVATION_BACKFILL_SCHEDULE}`);
+    cron.schedule(ELEVATION_BACKFILL_SCHEDULE, runElevationBackfill, {
+      scheduled: true,
+      timezone: "America/Los_Angeles"
+    });
+  }
+
+  // Coverage prediction task (only with local DEM tiles)
+  if (PREDICTION_ENABLED && prediction.canPredict()) {
+    console.log(`[Maintenance] Scheduling coverage prediction task: ${PREDICTION_SCHEDULE}`);
+    cron.schedule(PREDICTION_SCHEDULE, runPrediction, {
+      scheduled: true,
+      timezone: "America/Los_Angeles"
+    });
+  }
 }
 
 module.exports = {
   initializeScheduledTasks,
   runConsolidate,
-  runCleanupRepeaters
+  runCleanupRepeaters,
+  runElevationBackfill,
+  runPrediction
 };
 
@@ -0,0 +1,244 @@
+// Versioned schema migrations.
+//
+// Migrations are the SQL files in migrations/ (NNN_name.sql), applied in version order.
+// Each is applied in its own transaction and recorded in schema_migrations with a
+// checksum of the file, so an applied migration that's been edited afterwards stops the
+// runner instead of leaving instances with different schemas. The server applies pending
+// migrations when it starts; scripts/migrate.js does it by hand.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_\w+\.sql$/;
+
+// Held while migrating so two servers starting together don't both apply migrations.
+const MIGRATION_LOCK_ID = 7240815;
+
+// The migrations there were before they were recorded. Docker set up databases with
+// all of them, so a database with their schema and nothing newer has exactly these.
+const UNRECORDED_VERSION = 5;
+
+// Whether the server applies pending migrations when it starts (configurable via env var). Default: true
+function getMigrateOnStart() {
+  return (process.env.MIGRATE_ON_START || 'true').toLowerCase() !== 'false';
+}
+
+// Gets the migration files in version order: { version, name, sql, checksum }.
+function readMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE.test(file))
+    .map(file => {
+      // Line endings depend on how the repo was checked out, so they don't count.
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8').replace(/\r\n/g, '\n');
+      return {
+        version: parseInt(file.match(MIGRATION_FILE)[1]),
+        name: path.basename(file, '.sql'),
+        sql: sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex'),
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Migrations ${migrations[i - 1].name} and ${migrations[i].name} have the same version`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      duration_ms INTEGER,
+      baseline BOOLEAN DEFAULT false
+    )
+  `);
+}
+
+// Compares the migration files with what's been applied.
+async function getStatusWith(client) {
+  await ensureMigrationsTable(client);
+  const migrations = readMigrations();
+  const result = await client.query('SELECT version, name, checksum, applied_at, baseline FROM schema_migrations ORDER BY version');
+  const applied = new Map(result.rows.map(row => [row.version, row]));
+
+  return {
+    migrations: migrations.map(m => {
+      const row = applied.get(m.version);
+      return {
+        ...m,
+        state: !row ? 'pending' : row.checksum !== m.checksum ? 'changed' : 'applied',
+        appliedAt: row?.applied_at ?? null,
+        baseline: row?.baseline ?? false,
+      };
+    }),
+    // Recorded as applied, but the file is gone.
+    missing: result.rows.filter(row => !migrations.some(m => m.version === row.version)).map(row => row.name),
+  };
+}
+
+// Runs fn with a client holding the migration lock.
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Gets each migration's state: applied, pending, or changed (applied, but the file has
+// been edited since).
+async function getStatus() {
+  return withMigrationLock(getStatusWith);
+}
+
+// Records migrations as applied without running them.
+async function recordBaseline(client, migrations) {
+  await client.query('BEGIN');
+  try {
+    for (const m of migrations) {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum, baseline) VALUES ($1, $2, $3, true)',
+        [m.version, m.name, m.checksum]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Whether the database has tables, and whether they're exactly the unrecorded
+// migrations' schema: repeaters with decimal elevations and 8 decimal places (002, 003),
+// decimal SNR columns everywhere (004, 005) and no API keys (006).
+async function getUnrecordedSchema(client) {
+  const result = await client.query(`
+    SELECT
+      to_regclass('public.samples') IS NOT NULL AS has_tables,
+      to_regclass('public.api_keys') IS NULL AND (
+        SELECT COUNT(*) FROM information_schema.columns
+        WHERE table_schema = 'public' AND data_type = 'numeric'
+          AND (table_name, column_name) IN (
+            ('repeaters', 'elev'), ('repeaters', 'lat'), ('samples', 'snr'),
+            ('coverage', 'snr'), ('coverage_samples', 'sample_snr'), ('archive', 'snr')
+          )
+          AND (column_name <> 'lat' OR numeric_scale = 8)
+      ) = 6 AS is_unrecorded
+  `);
+  return { hasTables: result.rows[0].has_tables, isUnrecorded: result.rows[0].is_unrecorded };
+}
+
+// Throws unless the applied migrations still match their files and history is known.
+// Returns the status, which changes if the unrecorded migrations were baselined (with
+// dryRun, only as far as the returned status goes).
+async function checkHistory(client, status, { dryRun, log }) {
+  const changed = status.migrations.filter(m => m.state === 'changed');
+  if (changed.length > 0) {
+    throw new Error(`Applied migrations have been edited: ${changed.map(m => m.name).join(', ')}. ` +
+      'Put the files back the way they were and make the change in a new migration.');
+  }
+
+  // A database set up before migrations were recorded already has some of them. If it
+  // has just the unrecorded ones, they're recorded here; otherwise there's no telling
+  // which it has, and running them all again isn't safe.
+  const anyApplied = status.migrations.some(m => m.state === 'applied') || status.missing.length > 0;
+  if (!anyApplied) {
+    const { hasTables, isUnrecorded } = await getUnrecordedSchema(client);
+    if (hasTables && isUnrecorded) {
+      const marked = status.migrations.filter(m => m.version <= UNRECORDED_VERSION);
+      log(`Recording migrations the database already has: ${marked.map(m => m.name).join(', ')}`);
+      if (dryRun) {
+        return {
+          ...status,
+          migrations: status.migrations.map(m => marked.includes(m) ? { ...m, state: 'applied', baseline: true } : m),
+        };
+      }
+      await recordBaseline(client, marked);
+      return getStatusWith(client);
+    }
+    if (hasTables) {
+      throw new Error('The database has tables but no migration history. ' +
+        'Run `npm run migrate -- baseline <version>` with the last migration it has, then migrate again.');
+    }
+  }
+  return status;
+}
+
+// Applies pending migrations in order and returns their names. With dryRun, they're
+// applied in a transaction that's rolled back, which checks they'll go through
+// without changing anything.
+async function migrate({ dryRun = false, log = console.log } = {}) {
+  return withMigrationLock(async client => {
+    const status = await checkHistory(client, await getStatusWith(client), { dryRun, log });
+
+    const pending = status.migrations.filter(m => m.state === 'pending');
+    if (pending.length === 0) {
+      return [];
+    }
+
+    if (dryRun) {
+      await client.query('BEGIN');
+      try {
+        for (const m of pending) {
+          log(`Checking migration ${m.name}`);
+          await client.query(m.sql);
+        }
+      } finally {
+        await client.query('ROLLBACK');
+      }
+      return pending.map(m => m.name);
+    }
+
+    for (const m of pending) {
+      log(`Applying migration ${m.name}`);
+      const started = Date.now();
+      await client.query('BEGIN');
+      try {
+        await client.query(m.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES ($1, $2, $3, $4)',
+          [m.version, m.name, m.checksum, Date.now() - started]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${m.name} failed: ${error.message}`);
+      }
+    }
+    return pending.map(m => m.name);
+  });
+}
+
+// Records migrations up to a version (all of them by default) as applied without
+// running them, for databases that were migrated by hand.
+async function baseline(version = null) {
+  return withMigrationLock(async client => {
+    const status = await getStatusWith(client);
+    const marked = status.migrations
+      .filter(m => m.state === 'pending' && (version === null || m.version <= version));
+    await recordBaseline(client, marked);
+    return marked.map(m => m.name);
+  });
+}
+
+module.exports = {
+  getMigrateOnStart,
+  readMigrations,
+  getStatus,
+  migrate,
+  baseline,
+};
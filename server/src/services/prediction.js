@@ -0,0 +1,180 @@
+// Predicted coverage: the signal each repeater should give in each coverage tile around
+// it, from a simple terrain-aware model. Each tile's path loss is free-space loss plus
+// knife-edge diffraction over the worst obstacle on the DEM profile (see
+// utils/propagation.js), and the signal is the TX power plus antenna gains, less that
+// and a fixed allowance for clutter, foliage and cables. Tiles the signal reaches to
+// within STORE_BELOW_SENSITIVITY_DB of the sensitivity are kept.
+//
+// Needs local DEM tiles (ELEVATION_DEM_DIR): a repeater's prediction samples millions
+// of points. Each run predicts the repeaters that are new, moved or were predicted
+// with other settings (most limit per run), drops predictions for repeaters that are
+// gone, and is recorded as a 'predict-coverage' job.
+const predictionsModel = require('../models/predictions');
+const repeatersModel = require('../models/repeaters');
+const { readGrid } = require('../utils/dem');
+const { haversineMiles, COVERAGE_PRECISION } = require('../utils/shared');
+const { coverageGrid, cellsInBbox, cellCenter, cellCenterHash } = require('../utils/grid');
+const { repeaterKey } = require('../utils/pathCandidates');
+const { METERS_PER_MILE, getRadioConfig, pathLossDb } = require('../utils/propagation');
+const { runJob } = require('./jobs');
+
+const JOB_TYPE = 'predict-coverage';
+
+const DEM_DIR = process.env.ELEVATION_DEM_DIR || null;
+
+// Spacing of the elevation grid read around a repeater (3 arc-seconds, about 90 m) and of
+// the points on each profile.
+const GRID_STEP_DEG = 1 / 1200;
+const PROFILE_STEP_M = 90;
+
+// Tiles predicted this far below the sensitivity are still kept, to show where coverage is marginal.
+const STORE_BELOW_SENSITIVITY_DB = 10;
+
+// Tiles predicted between pauses, so a run doesn't hold up requests.
+const TILES_PER_PAUSE = 500;
+
+const MILES_PER_DEGREE = 69.05;
+
+// Parses a number from an env var, allowing 0.
+function envNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+// Model settings (configurable via env vars), along with the radio settings /los uses.
+// Defaults: 22 dBm, 3 dBi of antenna gain between both ends, 10 dB of other losses,
+// -125 dBm sensitivity and 30 miles around each repeater.
+function getModelConfig() {
+  return {
+    ...getRadioConfig(),
+    txPowerDbm: envNumber('PREDICTION_TX_POWER_DBM', 22),
+    antennaGainDbi: envNumber('PREDICTION_ANTENNA_GAIN_DBI', 3),
+    extraLossDb: envNumber('PREDICTION_EXTRA_LOSS_DB', 10),
+    sensitivityDbm: envNumber('PREDICTION_SENSITIVITY_DBM', -125),
+    radiusMiles: envNumber('PREDICTION_RADIUS_MILES', 30),
+  };
+}
+
+// Predictions need local DEM tiles; remote lookups are far too slow.
+function canPredict() {
+  return DEM_DIR !== null;
+}
+
+// Repeaters predicted per run (configurable via env var). Default: 20
+function getPredictLimit() {
+  return parseInt(process.env.PREDICTION_LIMIT) || 20;
+}
+
+// What a repeater's prediction depends on, to tell when it needs redoing.
+function predictionInputs(repeater, config) {
+  return JSON.stringify({
+    lat: repeater.lat,
+    lon: repeater.lon,
+    elev: repeater.elev,
+    grid: coverageGrid,
+    config: config
+  });
+}
+
+// Predicts the signal (dBm) from a repeater in the tiles around it. Returns
+// [{ cell, center, rssi }] for the tiles worth keeping, or null if there's no
+// elevation data at the repeater.
+async function predictRepeater(repeater, config) {
+  const origin = [repeater.lat, repeater.lon];
+  const latRadius = config.radiusMiles / MILES_PER_DEGREE;
+  const lonRadius = latRadius / Math.cos(repeater.lat * Math.PI / 180);
+  const bbox = [repeater.lat - latRadius, repeater.lon - lonRadius, repeater.lat + latRadius, repeater.lon + lonRadius];
+  const dem = await readGrid(DEM_DIR, bbox, GRID_STEP_DEG);
+
+  const ground = repeater.elev !== null ? parseFloat(repeater.elev) : dem.elevation(...origin);
+  if (ground === null) {
+    return null;
+  }
+
+  const minRssi = config.sensitivityDbm - STORE_BELOW_SENSITIVITY_DB;
+  const gainDb = config.txPowerDbm + config.antennaGainDbi - config.extraLossDb;
+  const tiles = [];
+  const cells = cellsInBbox(bbox, COVERAGE_PRECISION);
+  for (let c = 0; c < cells.length; c++) {
+    if (c > 0 && c % TILES_PER_PAUSE === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const [lat, lon] = cellCenter(cells[c]);
+    const miles = haversineMiles(origin, [lat, lon]);
+    if (miles > config.radiusMiles) {
+      continue;
+    }
+
+    const distanceM = miles * METERS_PER_MILE;
+    const count = Math.max(Math.ceil(distanceM / PROFILE_STEP_M), 1) + 1;
+    const grounds = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      const f = i / (count - 1);
+      grounds[i] = dem.elevation(origin[0] + (lat - origin[0]) * f, origin[1] + (lon - origin[1]) * f) ?? NaN;
+    }
+    grounds[0] = ground;
+    if (isNaN(grounds[count - 1])) {
+      continue; // No elevation data for the tile.
+    }
+
+    const rssi = gainDb - pathLossDb(grounds, distanceM, config.repeaterAntennaM, config.mobileAntennaM, config.frequencyMhz);
+    if (rssi >= minRssi) {
+      tiles.push({ cell: cells[c], center: cellCenterHash(cells[c]), rssi: Math.round(rssi * 10) / 10 });
+    }
+  }
+  return tiles;
+}
+
+// Predicts coverage for repeaters that need it, up to limit per run (all of them with
+// force), and returns the counters. A dry run only counts them. trigger is 'schedule'
+// or 'admin'.
+async function predict({ limit = getPredictLimit(), force = false, dryRun = false, trigger = 'admin' } = {}) {
+  return runJob(JOB_TYPE, { trigger, params: { limit, force }, dryRun }, async result => {
+    if (!canPredict()) {
+      throw new Error('Predicting coverage needs local DEM tiles (ELEVATION_DEM_DIR)');
+    }
+
+    const config = getModelConfig();
+    const [repeaters, predicted] = await Promise.all([
+      repeatersModel.getAll(false),
+      predictionsModel.getInputs()
+    ]);
+    const current = repeaters.keys.map(r => r.metadata);
+    const keys = current.map(repeaterKey);
+    const stale = current.filter((r, i) => force || predicted.get(keys[i]) !== predictionInputs(r, config));
+    // Repeaters that were never predicted go first.
+    stale.sort((a, b) => predicted.has(repeaterKey(a)) - predicted.has(repeaterKey(b)));
+
+    result.repeaters = current.length;
+    result.out_of_date = stale.length;
+    if (dryRun) {
+      const keySet = new Set(keys);
+      result.would_predict = Math.min(stale.length, limit);
+      result.would_remove = [...predicted.keys()].filter(key => !keySet.has(key)).length;
+      return;
+    }
+
+    result.removed = await predictionsModel.deleteExcept(keys);
+    Object.assign(result, { predicted: 0, no_elevation: 0, tiles: 0 });
+    for (const repeater of stale.slice(0, limit)) {
+      // Repeaters outside the DEM are recorded with no tiles, so they don't come up every run.
+      const tiles = await predictRepeater(repeater, config);
+      if (tiles === null) {
+        result.no_elevation++;
+      } else {
+        result.predicted++;
+        result.tiles += tiles.length;
+      }
+      await predictionsModel.replace(repeaterKey(repeater), predictionInputs(repeater, config), tiles ?? []);
+    }
+  });
+}
+
+module.exports = {
+  JOB_TYPE,
+  canPredict,
+  getModelConfig,
+  getPredictLimit,
+  predict,
+};
@@ -0,0 +1,214 @@
+// Coverage rebuilds: re-derive coverage and its consolidated samples from the raw sample
+// log, so a change to how samples are counted (or a fix for a bug that miscounted them)
+// can be applied to the whole history.
+//
+// Samples are merged per geohash the way uploads are, and each counts once in its tile,
+// like windowed coverage. Samples still waiting to be consolidated are left out; the
+// next consolidation adds them as usual. A rebuild can be limited to an area (prefix,
+// bbox) or to the tiles that have samples from a time range (since, until); either
+// way, the tiles it touches are rebuilt from all of their samples. The new tiles are
+// swapped in in one transaction. The scheduled consolidation, clean-ups and rebuilds
+// don't overlap (see jobs.js). Each run is recorded as a 'rebuild-coverage' job.
+const coverageModel = require('../models/coverage');
+const rawSamplesModel = require('../models/rawSamples');
+const { runJob } = require('./jobs');
+const events = require('./events');
+const { geo, parseBbox, parseTime, bboxPrefixes, SAMPLE_PRECISION } = require('../utils/shared');
+const { mergeStats } = require('../utils/signalStats');
+const { isH3, cellOfSample, cellInBbox } = require('../utils/grid');
+
+const JOB_TYPE = 'rebuild-coverage';
+const OPTIONS = ['since', 'until', 'prefix', 'bbox'];
+
+const GEOHASH_PATTERN = /^[0-9b-hjkmnp-z]{1,8}$/;
+
+// Parses rebuild options from query parameters (or script arguments).
+// Throws if an option is unknown or malformed.
+function parseOptions(query) {
+  const unknown = Object.keys(query).filter(k => !OPTIONS.includes(k) && k !== 'dryRun');
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option ${unknown.join(', ')}. Expected ${OPTIONS.join(', ')}`);
+  }
+
+  const options = {
+    since: parseTime(query.since),
+    until: parseTime(query.until),
+    prefix: query.prefix ? String(query.prefix).toLowerCase() : null,
+    bbox: parseBbox(query.bbox),
+  };
+  if (options.prefix && !GEOHASH_PATTERN.test(options.prefix)) {
+    throw new Error(`Invalid prefix ${query.prefix}`);
+  }
+  return options;
+}
+
+// Gets the bbox a rebuild is limited to (where the prefix and bbox overlap), or null.
+function areaOf(options) {
+  const areas = [options.prefix ? geo.decode_bbox(options.prefix) : null, options.bbox].filter(a => a);
+  if (areas.length === 0) {
+    return null;
+  }
+  return [
+    Math.max(...areas.map(a => a[0])),
+    Math.max(...areas.map(a => a[1])),
+    Math.min(...areas.map(a => a[2])),
+    Math.min(...areas.map(a => a[3])),
+  ];
+}
+
+// Gets the tiles a rebuild replaces, or null for all of them: the tiles in the area,
+// existing or with raw samples there, or with a time range, the tiles with raw samples
+// from then. Samples from before the archive are only placed on the geohash grid.
+async function tilesInScope(options) {
+  const area = areaOf(options);
+  const timed = options.since !== null || options.until !== null;
+  if (!area && !timed) {
+    return null;
+  }
+  if (area && (area[0] > area[2] || area[1] > area[3])) {
+    return [];
+  }
+
+  const prefixes = area ? bboxPrefixes(area) : null;
+  const inArea = tile => !area || cellInBbox(tile, area);
+  const tiles = new Set();
+  if (!timed) {
+    (await coverageModel.getByPrefixes(prefixes))
+      .map(c => c.hash)
+      .filter(inArea)
+      .forEach(tile => tiles.add(tile));
+  }
+  (await rawSamplesModel.getGeohashes(prefixes, options.since, options.until))
+    .filter(hash => !isH3() || hash.length === SAMPLE_PRECISION)
+    .map(hash => cellOfSample(hash))
+    .filter(inArea)
+    .forEach(tile => tiles.add(tile));
+  return Array.from(tiles).sort();
+}
+
+// Adds up merged samples ({ tile, time, path, observed, snr, rssi, snrStats, rssiStats })
+// into coverage totals by tile.
+function totalsOf(samples) {
+  const tiles = new Map();
+  for (const s of samples) {
+    if (!tiles.has(s.tile)) {
+      tiles.set(s.tile, {
+        hash: s.tile, observed: 0, heard: 0, lost: 0, snr: null, rssi: null, lastObserved: 0, lastHeard: 0,
+        hitRepeaters: new Set(), snrStats: null, rssiStats: null
+      });
+    }
+
+    const t = tiles.get(s.tile);
+    if (s.observed) {
+      t.observed++;
+      t.lastObserved = Math.max(t.lastObserved, s.time);
+    }
+    if (s.path.length > 0) {
+      t.heard++;
+      t.lastHeard = Math.max(t.lastHeard, s.time);
+    } else {
+      t.lost++;
+    }
+    if (s.snr !== null) {
+      t.snr = t.snr === null ? s.snr : Math.max(t.snr, s.snr);
+    }
+    if (s.rssi !== null) {
+      t.rssi = t.rssi === null ? s.rssi : Math.max(t.rssi, s.rssi);
+    }
+    s.path.forEach(p => t.hitRepeaters.add(p));
+    t.snrStats = mergeStats(t.snrStats, s.snrStats);
+    t.rssiStats = mergeStats(t.rssiStats, s.rssiStats);
+  }
+
+  return Array.from(tiles.values()).map(t => ({ ...t, hitRepeaters: [...t.hitRepeaters].sort() }));
+}
+
+// Gets the consolidated samples to keep for merged samples, one per sample. An archived
+// sample keeps the archive's time, which clean-ups find it by, and is marked archived,
+// so windowed coverage doesn't count it twice (see CONSOLIDATED_SAMPLES in
+// models/coverage.js). Samples in a tile with the same time share a row, which is only
+// archived if all of them are.
+function coverageSamplesOf(samples) {
+  const rows = new Map();
+  for (const s of samples) {
+    const time = s.archivedTime ?? s.time;
+    const key = `${s.tile}|${time}`;
+    const row = rows.get(key);
+    if (!row) {
+      rows.set(key, {
+        tile: s.tile, time: time, path: s.path, observed: s.observed, snr: s.snr, rssi: s.rssi,
+        contributors: s.contributors, verified: s.verified, snrStats: s.snrStats, rssiStats: s.rssiStats,
+        archived: s.archivedTime !== null
+      });
+      continue;
+    }
+
+    row.path = Array.from(new Set([...row.path, ...s.path])).sort();
+    row.observed = row.observed || s.observed;
+    row.snr = row.snr === null ? s.snr : Math.max(row.snr, s.snr ?? row.snr);
+    row.rssi = row.rssi === null ? s.rssi : Math.max(row.rssi, s.rssi ?? row.rssi);
+    row.contributors = Array.from(new Set([...row.contributors, ...s.contributors])).sort();
+    row.verified = row.verified && s.verified;
+    row.archived = row.archived && s.archivedTime !== null;
+    row.snrStats = mergeStats(row.snrStats, s.snrStats);
+    row.rssiStats = mergeStats(row.rssiStats, s.rssiStats);
+  }
+  return Array.from(rows.values());
+}
+
+// Rebuilds coverage from the raw sample log and returns the counters. A dry run only
+// reports what would change. trigger is 'admin' or 'script'.
+async function rebuild({ since = null, until = null, prefix = null, bbox = null, dryRun = false, trigger = 'admin' } = {}) {
+  const options = { since, until, prefix, bbox };
+  return runJob(JOB_TYPE, { trigger, params: options, dryRun, lockCoverage: !dryRun }, async result => {
+    Object.assign(result, {
+      raw_samples: 0,
+      samples: 0,
+      tiles: 0,
+      tiles_added: 0,
+      tiles_removed: 0,
+      coverage_samples: 0,
+    });
+
+    const scope = await tilesInScope(options);
+    if (scope && scope.length === 0) {
+      return;
+    }
+    const prefixes = scope ? coverageModel.prefixesOfTiles(scope) : null;
+    const wanted = scope ? new Set(scope) : null;
+
+    const samples = (await rawSamplesModel.getMerged(prefixes))
+      .filter(s => !isH3() || s.geohash.length === SAMPLE_PRECISION)
+      .map(s => ({ ...s, tile: cellOfSample(s.geohash) }))
+      .filter(s => !wanted || wanted.has(s.tile));
+    const tiles = totalsOf(samples);
+    const coverageSamples = coverageSamplesOf(samples);
+
+    const existing = new Set((await coverageModel.getByPrefixes(prefixes))
+      .map(c => c.hash)
+      .filter(hash => !wanted || wanted.has(hash)));
+    const rebuilt = new Set(tiles.map(t => t.hash));
+
+    result.raw_samples = samples.reduce((count, s) => count + s.readings, 0);
+    result.samples = samples.length;
+    result.tiles = tiles.length;
+    result.tiles_added = tiles.filter(t => !existing.has(t.hash)).length;
+    result.tiles_removed = Array.from(existing).filter(hash => !rebuilt.has(hash)).length;
+    result.coverage_samples = coverageSamples.length;
+
+    if (dryRun) {
+      return;
+    }
+
+    await coverageModel.replaceTiles(scope, tiles, coverageSamples);
+    // The other pyramid levels are sums of the new tiles.
+    result.coverage_levels = await coverageModel.rebuildLevels();
+    events.publish('tiles', { tiles: scope });
+  });
+}
+
+module.exports = {
+  JOB_TYPE,
+  parseOptions,
+  rebuild,
+};
@@ -0,0 +1,309 @@
+// Ground elevation from local DEM (digital elevation model) tiles.
+//
+// A DEM directory holds SRTM .hgt tiles and/or GeoTIFFs, e.g. SRTM, Copernicus or
+// NED downloads. .hgt tiles are found by name (N47W123.hgt covers 47-48N, 122-123W)
+// and are 1 or 3 arc-second grids of big-endian 16 bit heights. GeoTIFFs can be
+// named anything; they're indexed by their bounds the first time they're needed and
+// must be in WGS84 lat/lon (EPSG:4326), which is how those datasets are published.
+// Heights are interpolated between the four nearest posts. Jobs that need heights all
+// over an area (e.g. coverage predictions) read it into memory once with readGrid.
+const fs = require('fs');
+const path = require('path');
+const { fromFile } = require('geotiff');
+
+// SRTM marks missing posts with this.
+const HGT_VOID = -32768;
+
+// dir -> GeoTIFF index ([{ file, bbox }]), built on first use.
+const tiffIndexes = new Map();
+
+// Bilinear interpolation of the posts around (x, y), given as [[top-left, top-right],
+// [bottom-left, bottom-right]] and the fractions across. Null if any post is missing.
+function interpolate(posts, fx, fy) {
+  if (posts.flat().some(v => v === null)) {
+    return null;
+  }
+  const top = posts[0][0] * (1 - fx) + posts[0][1] * fx;
+  const bottom = posts[1][0] * (1 - fx) + posts[1][1] * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+// Gets the name of the .hgt tile covering a location, e.g. N47W123.
+function hgtName(lat, lon) {
+  const latFloor = Math.floor(lat);
+  const lonFloor = Math.floor(lon);
+  const ns = latFloor >= 0 ? 'N' : 'S';
+  const ew = lonFloor >= 0 ? 'E' : 'W';
+  return `${ns}${String(Math.abs(latFloor)).padStart(2, '0')}${ew}${String(Math.abs(lonFloor)).padStart(3, '0')}`;
+}
+
+// Finds a file in dir by name, ignoring case. Returns its path or null.
+async function findFile(dir, name) {
+  const files = await fs.promises.readdir(dir);
+  const match = files.find(f => f.toLowerCase() === name.toLowerCase());
+  return match ? path.join(dir, match) : null;
+}
+
+// Reads the elevation at a location from its .hgt tile, or null if there's no tile
+// or no data there.
+async function readHgt(dir, lat, lon) {
+  const file = await findFile(dir, `${hgtName(lat, lon)}.hgt`);
+  if (!file) {
+    return null;
+  }
+
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const { size } = await handle.stat();
+    const posts = Math.round(Math.sqrt(size / 2)); // 1201 (3") or 3601 (1")
+    if (posts * posts * 2 !== size) {
+      throw new Error(`${path.basename(file)} isn't an SRTM tile`);
+    }
+
+    // Rows run north to south from the tile's top edge; posts sit on the edges.
+    const x = (lon - Math.floor(lon)) * (posts - 1);
+    const y = (Math.floor(lat) + 1 - lat) * (posts - 1);
+    const col = Math.min(Math.floor(x), posts - 2);
+    const row = Math.min(Math.floor(y), posts - 2);
+    const buffer = Buffer.alloc(2);
+    const post = async (r, c) => {
+      await handle.read(buffer, 0, 2, (r * posts + c) * 2);
+      const value = buffer.readInt16BE(0);
+      return value === HGT_VOID ? null : value;
+    };
+
+    return interpolate([
+      [await post(row, col), await post(row, col + 1)],
+      [await post(row + 1, col), await post(row + 1, col + 1)]
+    ], x - col, y - row);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Gets the bounds of the GeoTIFFs in dir, indexing them the first time.
+async function tiffIndex(dir) {
+  if (!tiffIndexes.has(dir)) {
+    const files = (await fs.promises.readdir(dir)).filter(f => /\.tiff?$/i.test(f)).sort();
+    const index = [];
+    for (const f of files) {
+      const file = path.join(dir, f);
+      try {
+        const tiff = await fromFile(file);
+        // [minLon, minLat, maxLon, maxLat]
+        index.push({ file: file, bbox: (await tiff.getImage()).getBoundingBox() });
+        tiff.close();
+      } catch (e) {
+        console.log(`[DEM] Skipping ${f}. ${e.message}`);
+      }
+    }
+    tiffIndexes.set(dir, index);
+  }
+  return tiffIndexes.get(dir);
+}
+
+// Reads the elevation at a location from the first GeoTIFF covering it, or null.
+async function readTiff(dir, lat, lon) {
+  const entry = (await tiffIndex(dir)).find(({ bbox }) =>
+    lon >= bbox[0] && lon <= bbox[2] && lat >= bbox[1] && lat <= bbox[3]);
+  if (!entry) {
+    return null;
+  }
+
+  const tiff = await fromFile(entry.file);
+  try {
+    const image = await tiff.getImage();
+    const [originX, originY] = image.getOrigin();
+    const [resX, resY] = image.getResolution();
+    const width = image.getWidth();
+    const height = image.getHeight();
+    const noData = image.getGDALNoData();
+
+    // Pixel values are for the pixel's centre, unless the file says they're points.
+    const pixelIsPoint = image.getGeoKeys()?.GTRasterTypeGeoKey === 2;
+    const shift = pixelIsPoint ? 0 : 0.5;
+    const x = Math.min(Math.max((lon - originX) / resX - shift, 0), width - 1);
+    const y = Math.min(Math.max((lat - originY) / resY - shift, 0), height - 1);
+    const col = Math.min(Math.floor(x), Math.max(width - 2, 0));
+    const row = Math.min(Math.floor(y), Math.max(height - 2, 0));
+    const window = [col, row, Math.min(col + 2, width), Math.min(row + 2, height)];
+    const [band] = await image.readRasters({ window: window, samples: [0] });
+    const windowWidth = window[2] - window[0];
+    const value = (r, c) => {
+      const v = band[Math.min(r, window[3] - window[1] - 1) * windowWidth + Math.min(c, windowWidth - 1)];
+      return v === noData || !isFinite(v) ? null : v;
+    };
+
+    return interpolate([
+      [value(0, 0), value(0, 1)],
+      [value(1, 0), value(1, 1)]
+    ], x - col, y - row);
+  } finally {
+    tiff.close();
+  }
+}
+
+// Reads the elevation (meters) at a location from the tiles in dir, or null if no
+// tile covers it or it has no data there.
+async function readElevation(dir, lat, lon) {
+  return (await readHgt(dir, lat, lon)) ?? (await readTiff(dir, lat, lon));
+}
+
+// Reads an .hgt tile into memory. Returns { buffer, posts }, or null if there's no tile.
+async function loadHgt(dir, lat, lon) {
+  const file = await findFile(dir, `${hgtName(lat, lon)}.hgt`);
+  if (!file) {
+    return null;
+  }
+  const buffer = await fs.promises.readFile(file);
+  const posts = Math.round(Math.sqrt(buffer.length / 2));
+  if (posts * posts * 2 !== buffer.length) {
+    throw new Error(`${path.basename(file)} isn't an SRTM tile`);
+  }
+  return { buffer, posts };
+}
+
+// Fills the grid points an .hgt tile covers from the tile.
+async function fillFromHgt(dir, grid) {
+  const [minLat, minLon, maxLat, maxLon] = grid.bbox;
+  for (let latFloor = Math.floor(minLat); latFloor <= Math.floor(maxLat); latFloor++) {
+    for (let lonFloor = Math.floor(minLon); lonFloor <= Math.floor(maxLon); lonFloor++) {
+      const tile = await loadHgt(dir, latFloor, lonFloor);
+      if (!tile) {
+        continue;
+      }
+
+      const { buffer, posts } = tile;
+      const post = (r, c) => {
+        const value = buffer.readInt16BE((r * posts + c) * 2);
+        return value === HGT_VOID ? null : value;
+      };
+      grid.forEachPoint((lat, lon, i) => {
+        if (Math.floor(lat) !== latFloor || Math.floor(lon) !== lonFloor) {
+          return;
+        }
+        const x = (lon - lonFloor) * (posts - 1);
+        const y = (latFloor + 1 - lat) * (posts - 1);
+        const col = Math.min(Math.floor(x), posts - 2);
+        const row = Math.min(Math.floor(y), posts - 2);
+        grid.heights[i] = interpolate([
+          [post(row, col), post(row, col + 1)],
+          [post(row + 1, col), post(row + 1, col + 1)]
+        ], x - col, y - row) ?? NaN;
+      });
+    }
+  }
+}
+
+// Fills grid points that are still empty from the GeoTIFFs covering them. Only the
+// part of each file under the grid is read, at no finer than the grid's spacing.
+async function fillFromTiffs(dir, grid) {
+  const [minLat, minLon, maxLat, maxLon] = grid.bbox;
+  for (const { file, bbox } of await tiffIndex(dir)) {
+    if (bbox[0] > maxLon || bbox[2] < minLon || bbox[1] > maxLat || bbox[3] < minLat) {
+      continue;
+    }
+
+    const tiff = await fromFile(file);
+    try {
+      const image = await tiff.getImage();
+      const [originX, originY] = image.getOrigin();
+      const [resX, resY] = image.getResolution();
+      const width = image.getWidth();
+      const height = image.getHeight();
+      const noData = image.getGDALNoData();
+      const shift = image.getGeoKeys()?.GTRasterTypeGeoKey === 2 ? 0 : 0.5;
+
+      // Pixel coordinates, where whole numbers are where the pixel values are.
+      const px = lon => (lon - originX) / resX - shift;
+      const py = lat => (lat - originY) / resY - shift;
+      const clamp = (v, max) => Math.min(Math.max(v, 0), max);
+      const x0 = clamp(Math.floor(px(Math.max(minLon, bbox[0]))) - 1, width - 1);
+      const x1 = clamp(Math.ceil(px(Math.min(maxLon, bbox[2]))) + 2, width);
+      const y0 = clamp(Math.floor(py(Math.min(maxLat, bbox[3]))) - 1, height - 1);
+      const y1 = clamp(Math.ceil(py(Math.max(minLat, bbox[1]))) + 2, height);
+      if (x1 - x0 < 2 || y1 - y0 < 2) {
+        continue;
+      }
+
+      // Read finer rasters at about the grid's spacing, so a 10 m DEM doesn't fill memory.
+      const readWidth = Math.max(Math.min(x1 - x0, Math.ceil((x1 - x0) * Math.abs(resX) / grid.step)), 2);
+      const readHeight = Math.max(Math.min(y1 - y0, Math.ceil((y1 - y0) * Math.abs(resY) / grid.step)), 2);
+      const [band] = await image.readRasters({
+        window: [x0, y0, x1, y1], samples: [0], width: readWidth, height: readHeight
+      });
+      const scaleX = (x1 - x0) / readWidth;
+      const scaleY = (y1 - y0) / readHeight;
+      const value = (r, c) => {
+        const v = band[Math.min(r, readHeight - 1) * readWidth + Math.min(c, readWidth - 1)];
+        return v === noData || !isFinite(v) ? null : v;
+      };
+
+      grid.forEachPoint((lat, lon, i) => {
+        if (!isNaN(grid.heights[i]) || lon < bbox[0] || lon > bbox[2] || lat < bbox[1] || lat > bbox[3]) {
+          return;
+        }
+        // Each value read stands for the middle of the pixels it was read from.
+        const x = clamp((px(lon) - x0 + 0.5) / scaleX - 0.5, readWidth - 1);
+        const y = clamp((py(lat) - y0 + 0.5) / scaleY - 0.5, readHeight - 1);
+        const col = Math.min(Math.floor(x), readWidth - 2);
+        const row = Math.min(Math.floor(y), readHeight - 2);
+        grid.heights[i] = interpolate([
+          [value(row, col), value(row, col + 1)],
+          [value(row + 1, col), value(row + 1, col + 1)]
+        ], x - col, y - row) ?? NaN;
+      });
+    } finally {
+      tiff.close();
+    }
+  }
+}
+
+// Reads the elevations over a bbox ([minLat, minLon, maxLat, maxLon]) from the tiles in
+// dir into a grid of points step degrees apart. Returns { elevation(lat, lon) }, which
+// interpolates the grid, giving null outside it or where there's no data.
+async function readGrid(dir, bbox, step) {
+  const [minLat, minLon, maxLat, maxLon] = bbox;
+  const rows = Math.ceil((maxLat - minLat) / step) + 1;
+  const cols = Math.ceil((maxLon - minLon) / step) + 1;
+  const grid = {
+    bbox: bbox,
+    step: step,
+    heights: new Float32Array(rows * cols).fill(NaN), // Rows run south to north
+    forEachPoint(fn) {
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+          fn(minLat + r * step, minLon + c * step, r * cols + c);
+        }
+      }
+    },
+  };
+  await fillFromHgt(dir, grid);
+  await fillFromTiffs(dir, grid);
+
+  const heights = grid.heights;
+  return {
+    elevation(lat, lon) {
+      const y = (lat - minLat) / step;
+      const x = (lon - minLon) / step;
+      if (y < 0 || x < 0 || y > rows - 1 || x > cols - 1) {
+        return null;
+      }
+      const row = Math.min(Math.floor(y), rows - 2);
+      const col = Math.min(Math.floor(x), cols - 2);
+      // Called for every point of every profile, so interpolate here without arrays.
+      const fx = x - col;
+      const fy = y - row;
+      const south = heights[row * cols + col] * (1 - fx) + heights[row * cols + col + 1] * fx;
+      const north = heights[(row + 1) * cols + col] * (1 - fx) + heights[(row + 1) * cols + col + 1] * fx;
+      const elevation = south * (1 - fy) + north * fy;
+      return isNaN(elevation) ? null : elevation;
+    },
+  };
+}
+
+module.exports = {
+  hgtName,
+  readElevation,
+  readGrid,
+};
@@ -0,0 +1,120 @@
+// Encoders for data exports.
+//
+// Each export record looks like:
+//   { id, time, point: [lat, lon] }
+// tiles also have their outline, as a ring of [lat, lon] (not closed) with point at its center:
+//   { id, time, point: [lat, lon], ring: [[lat, lon], ...] }
+// plus a flat-ish `properties` object (arrays are allowed).
+
+// Gets the closed outer ring for a tile record, as [lon, lat] pairs.
+function closedRing(ring) {
+  const lonLats = ring.map(([lat, lon]) => [lon, lat]);
+  return [...lonLats, lonLats[0]];
+}
+
+function toGeoJSON(records) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: records.map(r => ({
+      type: 'Feature',
+      id: r.id,
+      geometry: r.ring
+        ? { type: 'Polygon', coordinates: [closedRing(r.ring)] }
+        : { type: 'Point', coordinates: [r.point[1], r.point[0]] },
+      properties: r.properties
+    }))
+  });
+}
+
+function escapeXml(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
+}
+
+function kmlValue(value) {
+  if (value === null || value === undefined) return '';
+  return escapeXml(Array.isArray(value) ? value.join(',') : value);
+}
+
+// KML colors are aabbggrr. Tiles are shaded by heard ratio like the map palette.
+const KML_STYLES = [
+  { id: 'lost', max: 0.25, color: '800000ff' },
+  { id: 'weak', max: 0.70, color: '8000ffff' },
+  { id: 'good', max: 1.00, color: '80006400' },
+];
+
+function kmlStyleFor(properties) {
+  const total = (properties.heard ?? 0) + (properties.lost ?? 0);
+  const ratio = total > 0 ? properties.heard / total : 0;
+  return KML_STYLES.find(s => ratio <= s.max).id;
+}
+
+function toKML(records, name) {
+  const styles = KML_STYLES.map(s => `
+    <Style id="${s.id}"><LineStyle><color>ff${s.color.substring(2)}</color></LineStyle><PolyStyle><color>${s.color}</color></PolyStyle></Style>`
+  ).join('');
+
+  const placemarks = records.map(r => {
+    const data = Object.entries(r.properties)
+      .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${kmlValue(value)}</value></Data>`)
+      .join('');
+    const timestamp = r.time ? `<TimeStamp><when>${new Date(Number(r.time)).toISOString()}</when></TimeStamp>` : '';
+
+    let geometry;
+    let style = '';
+    if (r.ring) {
+      const ring = closedRing(r.ring).map(([lon, lat]) => `${lon},${lat}`).join(' ');
+      geometry = `<Polygon><outerBoundaryIs><LinearRing><coordinates>${ring}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+      style = `<styleUrl>#${kmlStyleFor(r.properties)}</styleUrl>`;
+    } else {
+      geometry = `<Point><coordinates>${r.point[1]},${r.point[0]}</coordinates></Point>`;
+    }
+
+    return `
+    <Placemark><name>${escapeXml(r.name ?? r.id)}</name>${timestamp}${style}<ExtendedData>${data}</ExtendedData>${geometry}</Placemark>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>${styles}${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const s = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+function toCSV(records) {
+  const columns = new Set(['lat', 'lon']);
+  records.forEach(r => Object.keys(r.properties).forEach(k => columns.add(k)));
+  const header = Array.from(columns);
+
+  const lines = records.map(r => {
+    const [lat, lon] = r.point;
+    const row = { lat, lon, ...r.properties };
+    return header.map(k => csvValue(row[k])).join(',');
+  });
+
+  return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+const FORMATS = {
+  geojson: { contentType: 'application/geo+json', encode: toGeoJSON },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', encode: toKML },
+  csv: { contentType: 'text/csv', encode: toCSV },
+};
+
+module.exports = {
+  FORMATS,
+  toGeoJSON,
+  toKML,
+  toCSV,
+};
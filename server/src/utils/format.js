@@ -0,0 +1,105 @@
+// Response formatting shared by the API routes and exports.
+
+const { SNR_EDGES, RSSI_EDGES, summarize } = require('./signalStats');
+const { repeaterKey } = require('./pathCandidates');
+const { truncateTime } = require('./shared');
+
+// A reading as a number, or null. The database returns DECIMAL columns as strings.
+function readingOf(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+// Formats a coverage model entry the way /get-coverage returns it. Entries read from
+// coverage have BIGINT times and DECIMAL readings as strings, windowed ones numbers, so
+// both are numbers here.
+function formatCoverage(c) {
+  const lastHeard = Number(c.lastHeard) || 0;
+  const lastObserved = Number(c.lastObserved) || lastHeard;
+  const updated = Number(c.updated) || lastHeard;
+  
+  return {
+    hash: c.hash,
+    observed: c.observed ?? c.heard ?? 0,
+    heard: c.heard ?? 0,
+    lost: c.lost ?? 0,
+    snr: readingOf(c.snr),
+    rssi: readingOf(c.rssi),
+    updated: updated,
+    lastObserved: lastObserved,
+    lastHeard: lastHeard,
+    hitRepeaters: c.hitRepeaters ?? [],
+    snrStats: summarize(c.snrStats, SNR_EDGES),
+    rssiStats: summarize(c.rssiStats, RSSI_EDGES),
+    values: c.values || []
+  };
+}
+
+// Formats a samples model key the way /get-samples returns it.
+function formatSample(s) {
+  const path = s.metadata.path ?? [];
+  return {
+    name: s.name, // geohash
+    metadata: {
+      time: s.metadata.time,
+      path: path,
+      rssi: s.metadata.rssi ?? null,
+      snr: s.metadata.snr ?? null,
+      snrStats: summarize(s.metadata.snrStats, SNR_EDGES),
+      rssiStats: summarize(s.metadata.rssiStats, RSSI_EDGES),
+      observed: s.metadata.observed ?? path.length > 0
+    },
+    // Also include flat format for compatibility
+    hash: s.name,
+    time: s.metadata.time,
+    path: path,
+    rssi: s.metadata.rssi ?? null,
+    snr: s.metadata.snr ?? null,
+    observed: s.metadata.observed ?? path.length > 0
+  };
+}
+
+// Formats a repeater (model metadata) the way /get-nodes returns it.
+function formatNodeRepeater(r) {
+  return {
+    time: truncateTime(r.time),
+    id: r.id,
+    key: repeaterKey(r),
+    pk: r.publicKey,
+    name: r.name,
+    lat: r.lat,
+    lon: r.lon,
+    elev: Math.round(r.elev || 0),
+    ...(r.retired ? { ret: truncateTime(r.retired) } : {}),
+  };
+}
+
+// Formats an uploaded sample (as normalized for storage) for the live event stream,
+// in the compact /get-nodes style. id is the sample geohash, not a tile.
+function formatLiveSample(s) {
+  const path = s.path ?? [];
+  const item = {
+    id: s.geohash,
+    time: truncateTime(s.time),
+    obs: (s.observed ?? path.length > 0) ? 1 : 0,
+    heard: path.length > 0 ? 1 : 0,
+    lost: path.length > 0 ? 0 : 1,
+    verified: s.verified ?? false,
+  };
+  if (path.length > 0) {
+    item.path = path;
+  }
+  if (s.snr !== null && s.snr !== undefined) {
+    item.snr = s.snr;
+  }
+  if (s.rssi !== null && s.rssi !== undefined) {
+    item.rssi = s.rssi;
+  }
+  return item;
+}
+
+module.exports = {
+  formatCoverage,
+  formatSample,
+  formatNodeRepeater,
+  formatLiveSample,
+};
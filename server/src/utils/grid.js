@@ -0,0 +1,159 @@
+// Coverage grid: geohash rectangles (the default) or H3 hexagons.
+//
+// COVERAGE_GRID=h3 switches an instance to H3 cells. Raw samples are always keyed by
+// their 8 character geohash; only coverage (and its pyramid levels) uses the grid.
+// Both grids use the same precisions (4-7, see COVERAGE_LEVELS in shared.js). For H3
+// they map to resolutions of roughly the same area as the geohash at that latitude.
+const h3 = require('h3-js');
+const { geo, sampleKey, posFromHash, COVERAGE_PRECISION } = require('./shared');
+
+const GRIDS = ['geohash', 'h3'];
+const H3_RESOLUTIONS = { 4: 5, 5: 6, 6: 8, 7: 10 };
+const GEOHASH_PATTERN = /^[0-9b-hjkmnp-z]{1,8}$/;
+const SQ_MILES_PER_SQ_KM = 0.386102;
+const MILES_PER_DEGREE = 69.05;
+
+// The configured grid (configurable via env var). Default: geohash
+function getCoverageGrid() {
+  const grid = (process.env.COVERAGE_GRID || '').toLowerCase();
+  return GRIDS.includes(grid) ? grid : 'geohash';
+}
+
+const coverageGrid = getCoverageGrid();
+
+function isH3() {
+  return coverageGrid === 'h3';
+}
+
+// Gets the H3 resolution used for a precision.
+function h3Resolution(precision = COVERAGE_PRECISION) {
+  return H3_RESOLUTIONS[precision];
+}
+
+// Gets the precision of a cell id.
+function cellPrecision(cell) {
+  if (!isH3()) {
+    return cell.length;
+  }
+  const resolution = h3.getResolution(cell);
+  const match = Object.entries(H3_RESOLUTIONS).find(([, r]) => r === resolution);
+  return match ? parseInt(match[0]) : null;
+}
+
+// True if the id is a cell of the configured grid.
+function isCell(cell) {
+  return isH3() ? h3.isValidCell(cell) : GEOHASH_PATTERN.test(cell);
+}
+
+// Gets the cell containing a lat/lon.
+function cellKey(lat, lon, precision = COVERAGE_PRECISION) {
+  return isH3()
+    ? h3.latLngToCell(lat, lon, h3Resolution(precision))
+    : geo.encode(lat, lon, precision);
+}
+
+// Gets the cell a sample (by its geohash key) falls in.
+function cellOfSample(sampleHash, precision = COVERAGE_PRECISION) {
+  if (!isH3()) {
+    return sampleHash.substring(0, precision);
+  }
+  const [lat, lon] = posFromHash(sampleHash);
+  return cellKey(lat, lon, precision);
+}
+
+// Gets the cell's parent at a coarser precision (or the cell if it isn't finer).
+function cellParent(cell, precision) {
+  if (!isH3()) {
+    return cell.substring(0, precision);
+  }
+  const resolution = h3Resolution(precision);
+  return h3.getResolution(cell) > resolution ? h3.cellToParent(cell, resolution) : cell;
+}
+
+// Gets [lat, lon] for the center of a cell.
+function cellCenter(cell) {
+  return isH3() ? h3.cellToLatLng(cell) : posFromHash(cell);
+}
+
+// Gets the geohash of an H3 cell's center, which is what area lookups by geohash
+// prefix match it by. Null for geohash cells, which match by their own id.
+function cellCenterHash(cell) {
+  if (!isH3()) {
+    return null;
+  }
+  const [lat, lon] = h3.cellToLatLng(cell);
+  return sampleKey(lat, lon);
+}
+
+// Gets the cell outline as a counter-clockwise ring of [lat, lon] (not closed).
+function cellBoundary(cell) {
+  if (isH3()) {
+    return h3.cellToBoundary(cell);
+  }
+  const [minLat, minLon, maxLat, maxLon] = geo.decode_bbox(cell);
+  return [[minLat, minLon], [minLat, maxLon], [maxLat, maxLon], [maxLat, minLon]];
+}
+
+// Gets [minLat, minLon, maxLat, maxLon] around a cell.
+function cellBbox(cell) {
+  if (!isH3()) {
+    return geo.decode_bbox(cell);
+  }
+  const ring = h3.cellToBoundary(cell);
+  return [
+    Math.min(...ring.map(p => p[0])),
+    Math.min(...ring.map(p => p[1])),
+    Math.max(...ring.map(p => p[0])),
+    Math.max(...ring.map(p => p[1])),
+  ];
+}
+
+// True if the cell overlaps the bbox.
+function cellInBbox(cell, bbox) {
+  const [minLat, minLon, maxLat, maxLon] = bbox;
+  const [cellMinLat, cellMinLon, cellMaxLat, cellMaxLon] = cellBbox(cell);
+  return cellMinLat <= maxLat && cellMaxLat >= minLat &&
+    cellMinLon <= maxLon && cellMaxLon >= minLon;
+}
+
+// Gets the cells at a precision that overlap the bbox.
+function cellsInBbox(bbox, precision) {
+  const [minLat, minLon, maxLat, maxLon] = bbox;
+  if (!isH3()) {
+    return geo.bboxes(minLat, minLon, maxLat, maxLon, precision);
+  }
+  const polygon = [[minLat, minLon], [maxLat, minLon], [maxLat, maxLon], [minLat, maxLon]];
+  return h3.polygonToCellsExperimental(
+    polygon, h3Resolution(precision), h3.POLYGON_TO_CELLS_FLAGS.containmentOverlapping);
+}
+
+// Gets the area of a cell in square miles.
+function cellAreaSqMiles(cell) {
+  if (isH3()) {
+    return h3.cellArea(cell, h3.UNITS.km2) * SQ_MILES_PER_SQ_KM;
+  }
+  const [minLat, minLon, maxLat, maxLon] = geo.decode_bbox(cell);
+  const midLat = (minLat + maxLat) / 2;
+  return (maxLat - minLat) * MILES_PER_DEGREE *
+    (maxLon - minLon) * MILES_PER_DEGREE * Math.cos(midLat * Math.PI / 180);
+}
+
+module.exports = {
+  H3_RESOLUTIONS,
+  coverageGrid,
+  getCoverageGrid,
+  isH3,
+  h3Resolution,
+  cellPrecision,
+  isCell,
+  cellKey,
+  cellOfSample,
+  cellParent,
+  cellCenter,
+  cellCenterHash,
+  cellBoundary,
+  cellBbox,
+  cellInBbox,
+  cellsInBbox,
+  cellAreaSqMiles,
+};
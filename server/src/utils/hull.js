@@ -0,0 +1,170 @@
+// Concave hulls for outlining a set of coverage tiles.
+//
+// Uses the k-nearest neighbours approach (Moreira & Santos, 2007): walk around the
+// points taking the sharpest right-hand turn among the k nearest, and retry with a
+// larger k when the outline crosses itself or leaves points outside. Smaller k hugs
+// the points more tightly. Falls back to the convex hull.
+//
+// Points are [lat, lon]. They're projected to a local plane (longitude scaled by
+// cos(latitude)) which is fine at the scale of a repeater's coverage.
+
+const DEFAULT_K = 5;
+const MAX_K = 25;
+const MILES_PER_DEGREE = 69.05;
+
+function project(points) {
+  const meanLat = points.reduce((sum, [lat]) => sum + lat, 0) / points.length;
+  const scale = Math.cos(meanLat * Math.PI / 180);
+  return { scale: scale, points: points.map(([lat, lon]) => ({ x: lon * scale, y: lat, pos: [lat, lon] })) };
+}
+
+function cross(o, a, b) {
+  return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+// True if segments ab and cd cross (touching at shared endpoints doesn't count).
+function intersects(a, b, c, d) {
+  if (a === c || a === d || b === c || b === d) {
+    return false;
+  }
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+    ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+function onSegment(p, a, b) {
+  return Math.abs(cross(a, b, p)) < 1e-12 &&
+    p.x >= Math.min(a.x, b.x) && p.x <= Math.max(a.x, b.x) &&
+    p.y >= Math.min(a.y, b.y) && p.y <= Math.max(a.y, b.y);
+}
+
+// True if p is inside the polygon or on its outline.
+function insidePolygon(p, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (onSegment(p, a, b)) {
+      return true;
+    }
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Monotone chain convex hull, counter-clockwise.
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const half = list => {
+    const hull = [];
+    for (const p of list) {
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) {
+        hull.pop();
+      }
+      hull.push(p);
+    }
+    hull.pop();
+    return hull;
+  };
+  return [...half(sorted), ...half([...sorted].reverse())];
+}
+
+// Clockwise angle from direction `from` to direction `to`, in (0, 2π].
+function clockwiseAngle(from, to) {
+  const angle = (from - to) % (2 * Math.PI);
+  return angle <= 0 ? angle + 2 * Math.PI : angle;
+}
+
+// One attempt at the hull with k neighbours. Returns null if it fails.
+function tryConcaveHull(points, k) {
+  const first = points.reduce((min, p) => (p.y < min.y || (p.y === min.y && p.x < min.x)) ? p : min);
+  const hull = [first];
+  let remaining = points.filter(p => p !== first);
+  let current = first;
+  let backAngle = Math.PI; // Walk counter-clockwise, starting as if we came from the west.
+
+  while ((current !== first || hull.length === 1) && remaining.length > 0) {
+    if (hull.length === 3) {
+      remaining.push(first); // Allow closing once there's a triangle.
+    }
+
+    const nearest = remaining
+      .map(p => ({ p: p, d: (p.x - current.x) ** 2 + (p.y - current.y) ** 2 }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, k)
+      .map(n => n.p);
+    const candidates = nearest
+      .map(p => ({ p: p, turn: clockwiseAngle(backAngle, Math.atan2(p.y - current.y, p.x - current.x)) }))
+      .sort((a, b) => b.turn - a.turn)
+      .map(c => c.p);
+
+    // Take the sharpest right-hand turn that doesn't cross the outline so far.
+    const next = candidates.find(candidate => {
+      for (let i = 0; i < hull.length - 2; i++) {
+        if (intersects(current, candidate, hull[i], hull[i + 1])) {
+          return false;
+        }
+      }
+      return true;
+    });
+    if (!next) {
+      return null;
+    }
+
+    backAngle = Math.atan2(current.y - next.y, current.x - next.x);
+    current = next;
+    if (current !== first) {
+      hull.push(current);
+    }
+    remaining = remaining.filter(p => p !== current);
+  }
+
+  if (current !== first || hull.length < 3) {
+    return null;
+  }
+  return points.every(p => insidePolygon(p, hull)) ? hull : null;
+}
+
+// Gets the concave hull of [lat, lon] points as a ring of [lat, lon] (not closed),
+// or null if there are fewer than 3 distinct points.
+function concaveHull(positions, k = DEFAULT_K) {
+  const unique = Array.from(new Map(positions.map(p => [`${p[0]},${p[1]}`, p])).values());
+  if (unique.length < 3) {
+    return null;
+  }
+
+  const { points } = project(unique);
+  for (let tryK = Math.max(3, k); tryK <= Math.min(MAX_K, points.length - 1); tryK++) {
+    const hull = tryConcaveHull(points, tryK);
+    if (hull) {
+      return hull.map(p => p.pos);
+    }
+  }
+
+  const hull = convexHull(points);
+  return hull.length >= 3 ? hull.map(p => p.pos) : null;
+}
+
+// Gets the area of a ring of [lat, lon] points, in square miles.
+function polygonAreaSqMiles(ring) {
+  if (!ring || ring.length < 3) {
+    return 0;
+  }
+
+  const { points } = project(ring);
+  let twiceArea = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    twiceArea += (points[j].x + points[i].x) * (points[j].y - points[i].y);
+  }
+  return Math.abs(twiceArea) / 2 * MILES_PER_DEGREE ** 2;
+}
+
+module.exports = {
+  concaveHull,
+  polygonAreaSqMiles,
+};
@@ -0,0 +1,79 @@
+// Resolves 1 byte path hashes to the repeaters that could have sent them.
+//
+// Paths only carry the first byte of a repeater's public key, so an id like "a3"
+// can match several repeaters. Each candidate gets a confidence from how close it
+// is to where the sample was heard (taller repeaters reach further). Some share of
+// the confidence is kept back for a repeater we don't know about, so a lone match
+// far away isn't reported as a sure thing.
+
+const { haversineMiles } = require('./shared');
+
+// Distance at which a candidate's weight halves.
+const RANGE_SCALE_MILES = 15;
+// An unknown repeater is weighted like a known one this far away.
+const UNKNOWN_DISTANCE_MILES = 40;
+
+function distanceWeight(miles) {
+  return 1 / (1 + (miles / RANGE_SCALE_MILES) ** 2);
+}
+
+// Same "height helps" adjustment the map used to pick the best repeater.
+function effectiveDistance(fromPos, repeater) {
+  const dist = haversineMiles(fromPos, [repeater.lat, repeater.lon]);
+  return Math.max(0, dist - (0.5 * Math.sqrt(repeater.elev ?? 0)));
+}
+
+// Stable key for a repeater: its public key, or id and location if the key isn't known.
+function repeaterKey(repeater) {
+  return repeater.publicKey ?? `${repeater.id}|${repeater.lat}|${repeater.lon}`;
+}
+
+// Indexes repeater metadata ({ id, publicKey, lat, lon, elev, ... }) by id.
+function indexById(repeaters) {
+  const index = new Map();
+  repeaters.forEach(r => {
+    if (!index.has(r.id)) {
+      index.set(r.id, []);
+    }
+    index.get(r.id).push(r);
+  });
+  return index;
+}
+
+// Gets the candidates for a path id heard at fromPos, best first, as
+// { candidates: [{ repeater, distance, confidence }], unknown } where unknown
+// is the confidence left for a repeater that isn't in the list.
+function resolveId(fromPos, id, idIndex) {
+  const repeaters = idIndex.get(id.toLowerCase()) ?? [];
+  const weighted = repeaters.map(r => {
+    const distance = haversineMiles(fromPos, [r.lat, r.lon]);
+    return { repeater: r, distance: distance, weight: distanceWeight(effectiveDistance(fromPos, r)) };
+  });
+
+  const unknownWeight = distanceWeight(UNKNOWN_DISTANCE_MILES);
+  const total = weighted.reduce((sum, c) => sum + c.weight, unknownWeight);
+
+  const candidates = weighted
+    .map(c => ({ repeater: c.repeater, distance: c.distance, confidence: c.weight / total }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  return { candidates: candidates, unknown: unknownWeight / total };
+}
+
+// Compact candidates for API responses: { <id>: [[<repeater key>, <confidence>], ...] }.
+// Confidences are rounded to 2 places; whatever is left over is the unknown share.
+function compactCandidates(fromPos, ids, idIndex) {
+  const result = {};
+  ids.forEach(id => {
+    const { candidates } = resolveId(fromPos, id, idIndex);
+    result[id] = candidates.map(c => [repeaterKey(c.repeater), Math.round(c.confidence * 100) / 100]);
+  });
+  return result;
+}
+
+module.exports = {
+  repeaterKey,
+  indexById,
+  resolveId,
+  compactCandidates,
+};
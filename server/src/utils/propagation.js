@@ -0,0 +1,144 @@
+// Radio propagation over terrain: line of sight, Fresnel zones and path loss.
+//
+// A profile is the ground height (meters) at evenly spaced points on the path. The
+// earth's curve is allowed for with the usual 4/3 effective radius (standard
+// refraction), by raising the terrain in the middle of the path. Obstacles are
+// treated as knife edges (ITU-R P.526); only the worst one counts, which is a
+// lower bound on the loss when there are several ridges.
+
+const EARTH_RADIUS_M = 6371000;
+const K_FACTOR = 4 / 3;
+const SPEED_OF_LIGHT = 299792458;
+const METERS_PER_MILE = 1609.344;
+
+// Radio settings (configurable via env vars). Defaults: 915 MHz, repeaters 10 m up,
+// mobiles 1.5 m up.
+function getRadioConfig() {
+  return {
+    frequencyMhz: parseFloat(process.env.RADIO_FREQUENCY_MHZ) || 915,
+    repeaterAntennaM: parseFloat(process.env.REPEATER_ANTENNA_HEIGHT_M) || 10,
+    mobileAntennaM: parseFloat(process.env.MOBILE_ANTENNA_HEIGHT_M) || 1.5,
+  };
+}
+
+function wavelength(frequencyMhz) {
+  return SPEED_OF_LIGHT / (frequencyMhz * 1e6);
+}
+
+// Radius (meters) of the first Fresnel zone d1 and d2 meters from the ends.
+function fresnelRadius(d1, d2, frequencyMhz) {
+  return d1 <= 0 || d2 <= 0 ? 0 : Math.sqrt(wavelength(frequencyMhz) * d1 * d2 / (d1 + d2));
+}
+
+// How much (meters) the earth's curve raises the ground d1 and d2 meters from the ends.
+function earthBulge(d1, d2) {
+  return d1 * d2 / (2 * K_FACTOR * EARTH_RADIUS_M);
+}
+
+// Free-space path loss (dB) over distanceM meters.
+function fsplDb(distanceM, frequencyMhz) {
+  return 20 * Math.log10(Math.max(distanceM, 1) / 1000) + 20 * Math.log10(frequencyMhz) + 32.44;
+}
+
+// Knife-edge diffraction loss (dB) for the diffraction parameter v (ITU-R P.526).
+function knifeEdgeLossDb(v) {
+  return v <= -0.78 ? 0 : 6.9 + 20 * Math.log10(Math.sqrt((v - 0.1) ** 2 + 1) + v - 0.1);
+}
+
+// Knife-edge diffraction parameter v for an obstacle d1 and d2 meters from the ends,
+// clearance meters below the line of sight (negative when it's above).
+function diffractionParameter(clearance, d1, d2, frequencyMhz) {
+  return -clearance * Math.sqrt(2 / wavelength(frequencyMhz) * (d1 + d2) / (d1 * d2));
+}
+
+// Gets the points along a path from one location to another, evenly spaced, as
+// [{ lat, lon, distance }] with distance in meters from the start. Straight in lat/lon,
+// which is close enough to the great circle at radio ranges.
+function pathPoints(from, to, count, distanceM) {
+  return Array.from({ length: count }, (_, i) => {
+    const f = count > 1 ? i / (count - 1) : 0;
+    return {
+      lat: from[0] + (to[0] - from[0]) * f,
+      lon: from[1] + (to[1] - from[1]) * f,
+      distance: distanceM * f
+    };
+  });
+}
+
+// Analyses a terrain profile between two antennas. points are [{ distance, ground }]
+// (meters, ground null where unknown), fromHeight and toHeight are the antennas'
+// heights above sea level. Returns each point's curve-adjusted terrain, line of
+// sight height, clearance and first Fresnel radius, plus:
+// - minClearance: least clearance below the line (meters, negative when blocked)
+// - fresnelClearance: least clearance as a share of the Fresnel radius (0.6 or more
+//   is considered clear)
+// - worst: the point that intrudes furthest into the Fresnel zone, and
+// - diffractionDb: the knife-edge loss at that point.
+function analyzeProfile(points, fromHeight, toHeight, frequencyMhz) {
+  const total = points[points.length - 1].distance;
+
+  let worst = null;
+  let worstV = -Infinity;
+  const analysed = points.map((p, i) => {
+    const d1 = p.distance;
+    const d2 = total - p.distance;
+    const los = fromHeight + (toHeight - fromHeight) * (total > 0 ? d1 / total : 0);
+    const fresnel = fresnelRadius(d1, d2, frequencyMhz);
+    const terrain = p.ground === null ? null : p.ground + earthBulge(d1, d2);
+    const clearance = terrain === null ? null : los - terrain;
+    const point = { ...p, terrain, los, clearance, fresnel };
+
+    // The ends are the antennas, not obstacles.
+    if (clearance !== null && i > 0 && i < points.length - 1) {
+      const v = diffractionParameter(clearance, d1, d2, frequencyMhz);
+      if (v > worstV) {
+        worstV = v;
+        worst = point;
+      }
+    }
+    return point;
+  });
+
+  const inner = analysed.slice(1, -1).filter(p => p.clearance !== null);
+  return {
+    points: analysed,
+    minClearance: inner.length > 0 ? Math.min(...inner.map(p => p.clearance)) : null,
+    fresnelClearance: inner.length > 0 ? Math.min(...inner.map(p => p.clearance / p.fresnel)) : null,
+    worst: worst,
+    diffractionDb: worst ? knifeEdgeLossDb(worstV) : 0,
+  };
+}
+
+// Path loss (dB) over terrain: free space plus knife-edge diffraction over the worst
+// obstacle, like analyzeProfile but without the per-point details, for predicting
+// many paths. grounds are ground heights (meters) evenly spaced along the path, NaN
+// where unknown except at the ends; fromAntenna and toAntenna are the antennas'
+// heights above the ground at the ends.
+function pathLossDb(grounds, distanceM, fromAntenna, toAntenna, frequencyMhz) {
+  const last = grounds.length - 1;
+  const fromHeight = grounds[0] + fromAntenna;
+  const toHeight = grounds[last] + toAntenna;
+  let worstV = -Infinity;
+  for (let i = 1; i < last; i++) {
+    if (isNaN(grounds[i])) {
+      continue;
+    }
+    const d1 = distanceM * i / last;
+    const d2 = distanceM - d1;
+    const clearance = fromHeight + (toHeight - fromHeight) * i / last - (grounds[i] + earthBulge(d1, d2));
+    worstV = Math.max(worstV, diffractionParameter(clearance, d1, d2, frequencyMhz));
+  }
+  return fsplDb(distanceM, frequencyMhz) + knifeEdgeLossDb(worstV);
+}
+
+module.exports = {
+  METERS_PER_MILE,
+  getRadioConfig,
+  fresnelRadius,
+  earthBulge,
+  fsplDb,
+  knifeEdgeLossDb,
+  pathPoints,
+  analyzeProfile,
+  pathLossDb,
+};
@@ -1,14 +1,186 @@
 const geo = require('ngeohash');
+const { mergeStats } = require('./signalStats');
 require('dotenv').config();
 
 // Generates the key for a sample given lat/lon.
 function sampleKey(lat, lon) {
-  return geo.encode(lat, lon, 8);
+  return geo.encode(lat, lon, SAMPLE_PRECISION);
 }
 
 // Generates the key for a coverage tile given lat/lon.
 function coverageKey(lat, lon) {
-  return geo.encode(lat, lon, 6);
+  return geo.encode(lat, lon, COVERAGE_PRECISION);
+}
+
+// Sample geohash precision.
+const SAMPLE_PRECISION = 8;
+
+// Coverage tile precision (the coverage table), and the precisions the server keeps
+// coverage at: 5 for regional overviews and 7 for dense areas are in coverage_levels.
+const COVERAGE_PRECISION = 6;
+const COVERAGE_LEVELS = [5, 6, 7];
+const MIN_PRECISION = 4;
+const MAX_PRECISION = 7;
+
+// Precision by map zoom level. Views coarser than the coarsest level are rolled up.
+const ZOOM_PRECISIONS = [
+  { minZoom: 14, precision: 7 },
+  { minZoom: 10, precision: 6 },
+  { minZoom: 7, precision: 5 },
+  { minZoom: 0, precision: 4 },
+];
+
+// Gets the coverage geohash precision to use for a map zoom level.
+// Missing or invalid zoom gets the full coverage precision.
+function coveragePrecisionForZoom(zoomStr) {
+  const zoom = parseInt(zoomStr);
+  if (isNaN(zoom)) {
+    return COVERAGE_PRECISION;
+  }
+  const match = ZOOM_PRECISIONS.find(z => zoom >= z.minZoom);
+  return match ? match.precision : ZOOM_PRECISIONS[ZOOM_PRECISIONS.length - 1].precision;
+}
+
+// Parses a coverage precision (geohash length). Returns null if not specified,
+// throws if it's not a whole number from MIN_PRECISION to MAX_PRECISION.
+function parsePrecision(precisionStr) {
+  if (precisionStr === undefined || precisionStr === null || precisionStr === '') {
+    return null;
+  }
+
+  const precision = /^\d+$/.test(String(precisionStr)) ? parseInt(precisionStr) : NaN;
+  if (isNaN(precision) || precision < MIN_PRECISION || precision > MAX_PRECISION) {
+    throw new Error(`Invalid precision ${precisionStr}, must be ${MIN_PRECISION} to ${MAX_PRECISION}`);
+  }
+
+  return precision;
+}
+
+// Gets the stored level to read coverage at for a precision: the precision itself,
+// or the coarsest level to roll up from.
+function levelForPrecision(precision) {
+  return COVERAGE_LEVELS.find(level => level >= precision) ?? COVERAGE_PRECISION;
+}
+
+// Parses a "minLat,minLon,maxLat,maxLon" string into a clamped bbox array.
+// Returns null if not specified, throws if malformed.
+function parseBbox(bboxStr) {
+  if (bboxStr === undefined || bboxStr === null || bboxStr === '') {
+    return null;
+  }
+
+  const parts = String(bboxStr).split(',').map(parseFloat);
+  if (parts.length !== 4 || parts.some(isNaN)) {
+    throw new Error(`Invalid bbox ${bboxStr}`);
+  }
+
+  const [minLat, minLon, maxLat, maxLon] = parts;
+  if (minLat > maxLat || minLon > maxLon) {
+    throw new Error(`Invalid bbox ${bboxStr}`);
+  }
+
+  return [
+    Math.max(minLat, -90),
+    Math.max(minLon, -180),
+    Math.min(maxLat, 90),
+    Math.min(maxLon, 180),
+  ];
+}
+
+// Parses a time given as epoch millis or an ISO date string.
+// Returns null if not specified, throws if malformed.
+function parseTime(timeStr) {
+  if (timeStr === undefined || timeStr === null || timeStr === '') {
+    return null;
+  }
+
+  const time = /^\d+$/.test(String(timeStr)) ? parseInt(timeStr) : Date.parse(timeStr);
+  if (isNaN(time)) {
+    throw new Error(`Invalid time ${timeStr}`);
+  }
+
+  return time;
+}
+
+// Parses a boolean query flag like "1", "true" or "yes".
+function parseFlag(flagStr) {
+  return ['1', 'true', 'yes'].includes(String(flagStr ?? '').toLowerCase());
+}
+
+// Gets the geohash prefixes that cover the bbox, using the longest prefix
+// that needs no more than maxCells cells (never longer than maxPrecision).
+function bboxPrefixes(bbox, maxCells = 64, maxPrecision = COVERAGE_PRECISION) {
+  const [minLat, minLon, maxLat, maxLon] = bbox;
+  let prefixes = [''];
+
+  for (let precision = 1; precision <= maxPrecision; precision++) {
+    const hashes = geo.bboxes(minLat, minLon, maxLat, maxLon, precision);
+    if (hashes.length > maxCells) {
+      break;
+    }
+    prefixes = Array.from(new Set(hashes));
+  }
+
+  return prefixes;
+}
+
+// True if the geohash cell overlaps the bbox.
+function hashInBbox(hash, bbox) {
+  const [minLat, minLon, maxLat, maxLon] = bbox;
+  const [hashMinLat, hashMinLon, hashMaxLat, hashMaxLon] = geo.decode_bbox(hash);
+  return hashMinLat <= maxLat && hashMaxLat >= minLat &&
+    hashMinLon <= maxLon && hashMaxLon >= minLon;
+}
+
+// Rolls coverage tiles up to a coarser precision. parentOf gets a tile's parent at
+// the precision (the geohash prefix by default; see cellParent for H3). Tiles with
+// a verified flag stay verified only if all of their children are.
+function rollUpCoverage(coverage, precision, parentOf = (hash, p) => hash.substring(0, p)) {
+  if (coverage.every(c => parentOf(c.hash, precision) === c.hash)) {
+    return coverage;
+  }
+
+  const rolledUp = new Map();
+  coverage.forEach(c => {
+    const hash = parentOf(c.hash, precision);
+    const existing = rolledUp.get(hash);
+    if (!existing) {
+      rolledUp.set(hash, { ...c, hash: hash, hitRepeaters: [...(c.hitRepeaters ?? [])] });
+      return;
+    }
+
+    existing.observed += c.observed ?? 0;
+    existing.heard += c.heard ?? 0;
+    existing.lost += c.lost ?? 0;
+    existing.lastObserved = Math.max(existing.lastObserved, c.lastObserved ?? 0);
+    existing.lastHeard = Math.max(existing.lastHeard, c.lastHeard ?? 0);
+    if (c.snr !== null) {
+      existing.snr = (existing.snr === null) ? c.snr : Math.max(existing.snr, c.snr);
+    }
+    if (c.rssi !== null) {
+      existing.rssi = (existing.rssi === null) ? c.rssi : Math.max(existing.rssi, c.rssi);
+    }
+    existing.snrStats = mergeStats(existing.snrStats ?? null, c.snrStats ?? null);
+    existing.rssiStats = mergeStats(existing.rssiStats ?? null, c.rssiStats ?? null);
+    if (c.verified !== undefined) {
+      existing.verified = existing.verified && c.verified;
+    }
+    (c.hitRepeaters ?? []).forEach(r => {
+      if (!existing.hitRepeaters.includes(r)) {
+        existing.hitRepeaters.push(r);
+      }
+    });
+  });
+
+  return Array.from(rolledUp.values()).map(c => ({ ...c, hitRepeaters: c.hitRepeaters.sort() }));
+}
+
+// Gets the [minLat, minLon, maxLat, maxLon] bbox of a slippy-map (XYZ) tile.
+function tileToBbox(z, x, y) {
+  const n = 2 ** z;
+  const lonAt = tx => tx / n * 360 - 180;
+  const latAt = ty => Math.atan(Math.sinh(Math.PI * (1 - 2 * ty / n))) * 180 / Math.PI;
+  return [latAt(y + 1), lonAt(x), latAt(y), lonAt(x + 1)];
 }
 
 // Gets [lat, lon] for the specified hash.
@@ -35,6 +207,17 @@ function haversineMiles(a, b) {
   return 2 * R * Math.asin(Math.sqrt(h));
 }
 
+// Initial bearing from a to b ([lat, lon] points), in degrees clockwise from north.
+function bearingDegrees(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const [lat1, lon1] = a.map(toRad);
+  const [lat2, lon2] = b.map(toRad);
+
+  const y = Math.sin(lon2 - lon1) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(lon2 - lon1);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
 // The center position to use for point filtering (configurable via env vars)
 // Format: "lat,lon" (e.g., "37.3382,-121.8863")
 // Default: San Jose, CA
@@ -80,6 +263,30 @@ function getInitialZoom() {
   return 10;
 }
 
+// dB breakpoints for the SNR and RSSI map modes (configurable via env vars)
+// Format: ascending comma-separated dB values, e.g. "-15,-10,-5,0,5,10"
+// They're spread evenly across the color scale: the first is the bottom and the last is the top.
+const DEFAULT_SNR_BREAKPOINTS = [-15, -10, -5, 0, 5, 10];
+const DEFAULT_RSSI_BREAKPOINTS = [-120, -110, -100, -90, -80];
+
+function parseBreakpoints(value, defaults) {
+  if (value) {
+    const points = value.split(',').map(parseFloat);
+    if (points.length >= 2 && points.every((p, i) => !isNaN(p) && (i === 0 || p > points[i - 1]))) {
+      return points;
+    }
+  }
+  return defaults;
+}
+
+function getSnrBreakpoints() {
+  return parseBreakpoints(process.env.SNR_BREAKPOINTS, DEFAULT_SNR_BREAKPOINTS);
+}
+
+function getRssiBreakpoints() {
+  return parseBreakpoints(process.env.RSSI_BREAKPOINTS, DEFAULT_RSSI_BREAKPOINTS);
+}
+
 const centerPos = getCenterPos();
 const maxDistanceMiles = getMaxDistanceMiles();
 const initialZoom = getInitialZoom();
@@ -169,8 +376,22 @@ module.exports = {
   geo,
   sampleKey,
   coverageKey,
+  SAMPLE_PRECISION,
+  COVERAGE_PRECISION,
+  COVERAGE_LEVELS,
+  coveragePrecisionForZoom,
+  parsePrecision,
+  levelForPrecision,
+  parseBbox,
+  parseTime,
+  parseFlag,
+  bboxPrefixes,
+  hashInBbox,
+  rollUpCoverage,
+  tileToBbox,
   posFromHash,
   haversineMiles,
+  bearingDegrees,
   centerPos,
   maxDistanceMiles,
   initialZoom,
@@ -186,6 +407,8 @@ module.exports = {
   and,
   getCenterPos,
   getMaxDistanceMiles,
+  getSnrBreakpoints,
+  getRssiBreakpoints,
   getInitialZoom,
 };
 
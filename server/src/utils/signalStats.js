@@ -0,0 +1,100 @@
+// SNR/RSSI statistics that can be merged as samples are combined.
+//
+// Stats are { n, sum, min, max, hist } where hist counts values per bin. Bins are
+// split at the edges below: hist[0] is below the first edge, hist[i] is from
+// edge[i - 1] up to edge[i], and the last bin is at or above the last edge.
+// The database merges them the same way with merge_signal_stats() (migration 013),
+// so the edges here must match the ones used there.
+
+const SNR_EDGES = [-20, -15, -10, -5, 0, 5, 10, 15];
+const RSSI_EDGES = [-130, -120, -110, -100, -90, -80, -70, -60];
+
+// Gets the stats for a single value, or null if there's no value.
+function statsOf(value, edges) {
+  if (value === null || value === undefined || isNaN(parseFloat(value))) {
+    return null;
+  }
+
+  const v = parseFloat(value);
+  const hist = new Array(edges.length + 1).fill(0);
+  hist[edges.filter(e => v >= e).length]++;
+  return { n: 1, sum: v, min: v, max: v, hist: hist };
+}
+
+// Merges two stats, either of which may be null.
+function mergeStats(a, b) {
+  if (!a) return b ?? null;
+  if (!b) return a;
+
+  const length = Math.max(a.hist.length, b.hist.length);
+  return {
+    n: a.n + b.n,
+    sum: a.sum + b.sum,
+    min: Math.min(a.min, b.min),
+    max: Math.max(a.max, b.max),
+    hist: Array.from({ length: length }, (_, i) => (a.hist[i] ?? 0) + (b.hist[i] ?? 0)),
+  };
+}
+
+// Estimates the value at quantile q (0-1) by interpolating within its bin.
+// The open-ended first and last bins are bounded by the min and max seen.
+function quantile(stats, edges, q) {
+  const target = q * stats.n;
+  let seen = 0;
+  for (let i = 0; i < stats.hist.length; i++) {
+    const count = stats.hist[i];
+    if (count === 0 || seen + count < target) {
+      seen += count;
+      continue;
+    }
+
+    const low = Math.max(i === 0 ? stats.min : edges[i - 1], stats.min);
+    const high = Math.min(i === edges.length ? stats.max : edges[i], stats.max);
+    return low + (high - low) * Math.max(0, target - seen) / count;
+  }
+  return stats.max;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Summarizes stats for API responses, or null if there are none.
+function summarize(stats, edges) {
+  if (!stats || stats.n === 0) {
+    return null;
+  }
+
+  return {
+    count: stats.n,
+    mean: round1(stats.sum / stats.n),
+    median: round1(quantile(stats, edges, 0.5)),
+    p10: round1(quantile(stats, edges, 0.1)),
+    min: round1(stats.min),
+    max: round1(stats.max),
+    hist: stats.hist,
+  };
+}
+
+// Parses stats from a JSONB column (numbers may come back as strings).
+function parseStats(json) {
+  if (!json) {
+    return null;
+  }
+  return {
+    n: Number(json.n),
+    sum: Number(json.sum),
+    min: Number(json.min),
+    max: Number(json.max),
+    hist: (json.hist ?? []).map(Number),
+  };
+}
+
+module.exports = {
+  SNR_EDGES,
+  RSSI_EDGES,
+  statsOf,
+  mergeStats,
+  summarize,
+  parseStats,
+};
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// DER prefix that wraps a raw 32 byte ed25519 public key as SPKI, so Node can load it.
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function isHex(value, bytes) {
+  return typeof value === 'string' && value.length === bytes * 2 && /^[0-9a-fA-F]+$/.test(value);
+}
+
+// Verifies an ed25519 signature (hex) over the payload string with a MeshCore public key (hex).
+// Companions sign the raw bytes they're given, so the payload is verified as UTF-8.
+function verifySignature(payload, signatureHex, publicKeyHex) {
+  if (!isHex(signatureHex, 64) || !isHex(publicKeyHex, 32)) {
+    return false;
+  }
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKeyHex, 'hex')]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(null, Buffer.from(payload, 'utf8'), key, Buffer.from(signatureHex, 'hex'));
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = {
+  isHex,
+  verifySignature,
+};
@@ -0,0 +1,36 @@
+// Consolidating a tile with models/coverage.js mergeCoverage, against a stand-in pool
+// that records the queries. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const queries = [];
+const client = {
+  async query(text, params = []) {
+    queries.push({ text, params });
+    return { rows: [] };
+  },
+  release() {},
+};
+require.cache[path.join(__dirname, '..', 'src', 'config', 'database.js')] = {
+  loaded: true,
+  exports: { query: client.query, connect: async () => client },
+};
+const { mergeCoverage } = require('../src/models/coverage');
+
+test('consolidates a tile with mixed null and non-null snr', async () => {
+  // Samples from the database have their readings as DECIMAL strings.
+  await mergeCoverage('9q9k6m', [
+    { key: '9q9k6mbc', metadata: { time: 1000, path: ['ab'], snr: '5.50', rssi: '-90.00' } },
+    { key: '9q9k6mbd', metadata: { time: 2000, path: [], snr: null, rssi: null } },
+    { key: '9q9k6mbe', metadata: { time: 3000, path: ['cd'] } },
+  ]);
+
+  const coverage = queries.findIndex(q => q.text.includes('INSERT INTO coverage ('));
+  const coverageSample = queries.findIndex(q => q.text.includes('INSERT INTO coverage_samples'));
+  assert.ok(coverage >= 0 && coverageSample > coverage, 'coverage is written before its coverage_samples');
+
+  const [, , heard, lost, snr, rssi] = queries[coverage].params;
+  assert.deepStrictEqual({ heard, lost, snr, rssi }, { heard: 2, lost: 1, snr: 5.5, rssi: -90 });
+  assert.deepStrictEqual(queries[coverageSample].params.slice(4, 6), [5.5, -90]);
+});